@@ -0,0 +1,222 @@
+/**
+ * Cleaning audit card.
+ *
+ * stripQuotedText_ removes text by rules, some of them guesses (a line
+ * that happens to end in "wrote:", a bare separator). The audit card
+ * shows, for each selected message, what the draft's cleaning removes
+ * (analyzeMessageCleaning_: the HTML or plain-text pipeline, and the
+ * learned signature), by which rule and how confident it is, flags
+ * low-confidence messages, and lets the user restore messages to their
+ * full text before the draft is created.
+ */
+
+/**
+ * Longest removed span shown on the audit card.
+ *
+ * @constant
+ * @type {number}
+ */
+const AUDIT_SPAN_LENGTH_ = 300;
+
+/**
+ * Badge in front of messages whose cleaning confidence is below
+ * LOW_CLEANING_CONFIDENCE_, on the selection and audit cards.
+ *
+ * @constant
+ * @type {string}
+ */
+const LOW_CONFIDENCE_BADGE_ = '⚠ ';
+
+/**
+ * Action handler for the selection card's "Review cleaning" button.
+ * Pushes the audit card for the ticked messages.
+ *
+ * @param {Object} e - Event object with the "messageIds" form input and the
+ *     compose and merge parameters of the selection card
+ * @returns {ActionResponse} Response that pushes the audit card
+ */
+function showCleaningAudit(e) {
+  const thread = getSelectedThread_(e);
+  if (!thread) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText('No thread found. Open an email and try again.')
+      )
+      .build();
+  }
+
+  const messageIds = getSelectedMessageIds_(e) || [];
+  if (messageIds.length === 0) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText('Select at least one message.')
+      )
+      .build();
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(
+        buildCleaningAuditCard_(thread, messageIds, getComposeOptions_(e), getSettings_(e))
+      )
+    )
+    .build();
+}
+
+/**
+ * Builds the audit card: a section per message with its confidence, the
+ * rule that cut it and the removed spans, then the messages to restore
+ * and the button that creates the draft.
+ *
+ * @private
+ * @param {GmailThread|Object} thread - Current thread, or a merged thread from createMergedThread_
+ * @param {string[]} messageIds - Ids of the selected messages
+ * @param {Object} compose - Compose options (see readComposeForm_)
+ * @param {Object} settings - User settings (cleaning options and date labels)
+ * @returns {Card} Audit card
+ */
+function buildCleaningAuditCard_(thread, messageIds, compose, settings) {
+  const messages = sortMessagesByDate_(thread.getMessages())
+    .filter((msg) => messageIds.indexOf(msg.getId()) !== -1);
+  const signatures = settings.stripSignatures ? learnSignatures_(messages, getCleaningOptions_(settings)) : {};
+  const mergeThreadIds = getSourceThreads_(thread).slice(1).map((source) => source.getId()).join(',');
+
+  const card = CardService.newCardBuilder();
+  const restoreInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setTitle('Restore full text')
+    .setFieldName('restoreMessageIds');
+  let flagged = 0;
+  let restorable = 0;
+
+  for (const msg of messages) {
+    const report = analyzeMessageCleaning_(msg, settings, signatures);
+    const low = report.confidence < LOW_CLEANING_CONFIDENCE_;
+    const title = `${low ? LOW_CONFIDENCE_BADGE_ : ''}${parseEmailFrom_(msg.getFrom()).name} · ` +
+      formatDate_(msg.getDate(), settings);
+    if (low) flagged++;
+
+    const section = CardService.newCardSection()
+      .setHeader(sanitizeHtml_(title))
+      .addWidget(CardService.newTextParagraph().setText(formatCleaningReport_(report)));
+
+    report.removed.forEach((span) => {
+      const text = span.text.length > AUDIT_SPAN_LENGTH_
+        ? `${span.text.slice(0, AUDIT_SPAN_LENGTH_ - 1).trim()}…`
+        : span.text;
+      section.addWidget(
+        CardService.newTextParagraph()
+          .setText(`<b>${CLEANING_RULES_[span.rule].label}</b> (line ${span.line})<br>${sanitizeHtml_(text)}`)
+      );
+    });
+    if (report.removed.length) {
+      section.setCollapsible(!low).setNumUncollapsibleWidgets(1);
+      restoreInput.addItem(title, msg.getId(), false);
+      restorable++;
+    }
+    card.addSection(section);
+  }
+
+  const actionSection = CardService.newCardSection();
+  if (restorable) actionSection.addWidget(restoreInput);
+  actionSection.addWidget(
+    CardService.newTextButton()
+      .setText(compose.format !== 'email' ? 'Export' : compose.sendNow ? 'Send' : 'Create draft')
+      .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+      .setOnClickAction(
+        CardService.newAction()
+          .setFunctionName('createCleanForwardFromContext')
+          .setParameters({
+            fromSelection: 'true',
+            messageIds: messageIds.join(','),
+            compose: JSON.stringify(compose),
+            mergeThreadIds: mergeThreadIds
+          })
+      )
+  );
+
+  return card
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Review cleaning')
+        .setSubtitle(flagged
+          ? `${flagged} of ${messages.length} ${messages.length === 1 ? 'message needs' : 'messages need'} a look`
+          : 'Nothing looks over-trimmed')
+    )
+    .addSection(actionSection)
+    .build();
+}
+
+/**
+ * Reports what the draft's cleaning removes from a message, the way
+ * buildThreadModel_ cleans it: from the cleaned HTML when the draft will
+ * use it (HTML bodies on, no inline replies, HTML that can be cleaned),
+ * else from the plain text, with the sender's learned signature cut
+ * either way.
+ *
+ * @private
+ * @param {GmailMessage} msg - The message
+ * @param {Object} settings - User settings
+ * @param {Object.<string, string[]>} signatures - Learned signatures from learnSignatures_
+ * @returns {Object} Report from analyzeHtmlBody_ or analyzeQuotedText_
+ */
+function analyzeMessageCleaning_(msg, settings, signatures) {
+  const options = Object.assign(
+    { signature: signatures[normalizeEmail_(parseEmailFrom_(msg.getFrom()).email)] },
+    getCleaningOptions_(settings)
+  );
+  const htmlReport = settings.htmlBodies && !findInlineReplies_(msg.getPlainBody(), options)
+    ? analyzeHtmlBody_(msg.getBody(), options)
+    : null;
+  return htmlReport || analyzeQuotedText_(msg.getPlainBody(), options);
+}
+
+/**
+ * Summarizes a cleaning report for the audit card, e.g.
+ * "Confidence 95% · cut at line 3 (Reply header)".
+ *
+ * @private
+ * @param {Object} report - Result of analyzeMessageCleaning_
+ * @returns {string} Card text (basic HTML)
+ */
+function formatCleaningReport_(report) {
+  if (report.removed.length === 0) return 'Nothing removed.';
+
+  const summary = `Confidence ${Math.round(report.confidence * 100)}%` +
+    (report.rule ? ` · cut at line ${report.line} (${CLEANING_RULES_[report.rule].label})` : '');
+  return report.confidence < LOW_CLEANING_CONFIDENCE_
+    ? `<font color="#b45309"><b>Low confidence</b></font> · ${summary}`
+    : summary;
+}
+
+/**
+ * Returns a message's full plain text, for messages restored on the
+ * audit card: artifacts cleaned and soft line breaks collapsed, nothing
+ * removed.
+ *
+ * @private
+ * @param {string} plainBody - Raw plain text body from Gmail message
+ * @param {Object} [options] - Cleaning options (emoji handling)
+ * @returns {string} Full text
+ */
+function getFullPlainText_(plainBody, options) {
+  if (!plainBody) return '';
+  const text = cleanPlainTextArtifacts_(cleanUnicodeArtifacts_(plainBody, { emoji: (options || {}).emoji }));
+  return collapseSoftLineBreaks_(text.replace(/\r\n/g, '\n')).trim();
+}
+
+/**
+ * Reads the ids of the messages ticked for restoring on the audit card,
+ * or carried in the "restoreIds" parameter by the preview card.
+ *
+ * @private
+ * @param {Object} e - Event object
+ * @returns {string[]} Message ids, possibly empty
+ */
+function getRestoredMessageIds_(e) {
+  const parameters = e && e.commonEventObject && e.commonEventObject.parameters;
+  if (parameters && parameters.restoreIds) {
+    return parameters.restoreIds.split(',').filter((id) => id);
+  }
+  return getFormValues_(e, 'restoreMessageIds');
+}
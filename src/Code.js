@@ -5,7 +5,7 @@
  * - Removing quoted text, reply headers, and signatures
  * - Displaying messages in chronological order
  * - Presenting conversations in a beautiful timeline format
- * - Preserving all attachments with de-duplication
+ * - Preserving all attachments with content-based de-duplication
  * - Converting URLs to clickable links
  *
  * @author 573dave
@@ -16,12 +16,24 @@
 /**
  * Main entry point for the Gmail add-on.
  * Called by Gmail when the add-on sidebar is opened. This function builds
- * the initial UI card with a button to create a clean forward draft.
+ * the initial UI card with the compose options (recipients, subject, intro
+ * note, draft or send) and a button to create a clean forward draft.
  *
  * @param {Object} e - The event object from Gmail containing context information
  * @returns {Card[]} Array of Card objects to display in the Gmail sidebar
  */
 function buildAddOn(e) {
+  const section = CardService.newCardSection()
+    .addWidget(
+      CardService.newTextParagraph()
+        .setText(
+          'Click the button below to choose messages from this thread and ' +
+          'create a new draft with them cleaned up into a chronological, ' +
+          'readable conversation.'
+        )
+    );
+  addComposeWidgets_(section, getCurrentThreadFromEvent_(e));
+
   const card = CardService.newCardBuilder()
     .setHeader(
       CardService.newCardHeader()
@@ -29,21 +41,32 @@ function buildAddOn(e) {
         .setSubtitle('Generate a readable conversation summary')
     )
     .addSection(
-      CardService.newCardSection()
+      section
         .addWidget(
-          CardService.newTextParagraph()
-            .setText(
-              'Click the button below to create a new draft with this thread ' +
-              'cleaned up into a chronological, readable conversation.'
+          CardService.newTextButton()
+            .setText('Create clean forward draft')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('showMessageSelection')
             )
         )
         .addWidget(
           CardService.newTextButton()
-            .setText('Create clean forward draft')
-            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setText('Merge related threads')
+            .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('showMergeThreads')
+            )
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Settings')
+            .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
             .setOnClickAction(
               CardService.newAction()
-                .setFunctionName('createCleanForwardFromContext')
+                .setFunctionName('openSettings')
             )
         )
     )
@@ -53,17 +76,25 @@ function buildAddOn(e) {
 }
 
 /**
- * Action handler for the "Create clean forward draft" button.
- * Retrieves the current Gmail thread, processes all messages to remove
- * quoted text, and creates a draft with a clean, timeline-style layout.
+ * Action handler for the selection card's "Create draft" button, and for
+ * the preview card's confirm button.
+ * From the selection or audit card, pushes the preview card (see
+ * src/Preview.js) of the selected messages (all of them when not called
+ * from the selection card). Once confirmed, processes the messages the
+ * preview kept to remove quoted text, applies the preview's edits, and
+ * creates a draft with a clean, timeline-style layout (or exports it in
+ * the chosen format).
  * Shows a success card with a "View Draft" button upon completion.
  *
- * @param {Object} e - The event object from Gmail containing threadId and other context
+ * @param {Object} e - The event object from Gmail containing threadId, other
+ *     context, the "messageIds" form input (or parameter, from the audit
+ *     card), the messages to restore to their full text, the threads to
+ *     merge, if any, and the preview's "previewId" and "confirmed" parameters
  * @returns {ActionResponse} Response object to update the UI and show notifications
  */
 function createCleanForwardFromContext(e) {
   try {
-    const thread = getCurrentThreadFromEvent_(e);
+    const thread = getSelectedThread_(e);
     if (!thread) {
       return CardService.newActionResponseBuilder()
         .setNotification(
@@ -72,24 +103,85 @@ function createCleanForwardFromContext(e) {
         .build();
     }
 
-    const result = createCleanForwardDraftFromThread_(thread);
+    const preview = getPreviewState_(e, thread);
+    if (!preview) return buildPreviewExpiredResponse_();
+    if (preview.messageIds.length === 0) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('Select at least one message.')
+        )
+        .build();
+    }
+
+    const compose = preview.compose;
+    const settings = getSettings_(e);
+    if (compose.format === 'email' && compose.sendNow && !compose.recipients) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('Add at least one recipient to send now.')
+        )
+        .build();
+    }
+
+    const parameters = e.commonEventObject && e.commonEventObject.parameters;
+    if (!parameters || parameters.confirmed !== 'true') {
+      const previewCard = buildPreviewCard_(thread, preview, settings);
+      if (!previewCard) return buildPreviewTooLargeResponse_();
+      return CardService.newActionResponseBuilder()
+        .setNavigation(
+          CardService.newNavigation().pushCard(previewCard)
+        )
+        .build();
+    }
+
+    const included = preview.messageIds.filter((id) => preview.excludedIds.indexOf(id) === -1);
+    if (included.length === 0) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('Select at least one message.')
+        )
+        .build();
+    }
+    const buildOptions = Object.assign({
+      messageIds: included,
+      restoreIds: preview.restoreIds,
+      edits: preview.edits,
+      settings: settings
+    }, compose);
+    if (compose.format !== 'email') {
+      return buildExportSuccessResponse_(exportCleanThread_(thread, buildOptions));
+    }
+
+    const result = createCleanForwardDraftFromThread_(thread, buildOptions);
+
+    // Create a success card with a button to view the draft (or sent message)
+    const successSection = CardService.newCardSection()
+      .addWidget(
+        CardService.newTextParagraph()
+          .setText(result.sent
+            ? `Your clean forward has been sent to ${sanitizeHtml_(compose.recipients)}.`
+            : 'Your clean forward draft has been created successfully.')
+      );
+
+    if (result.linkedFiles.length > 0) {
+      // Tell the user which files went to Drive instead of the draft
+      successSection.addWidget(buildLinkedFilesParagraph_(result.linkedFiles));
+    }
+    if (result.redactions.length > 0) {
+      successSection.addWidget(buildRedactionsParagraph_(result.redactions));
+    }
 
-    // Create a success card with a button to view the draft
     const responseCard = CardService.newCardBuilder()
       .setHeader(
         CardService.newCardHeader()
-          .setTitle('Draft Created!')
+          .setTitle(result.sent ? 'Sent!' : 'Draft Created!')
           .setSubtitle(result.subject)
       )
       .addSection(
-        CardService.newCardSection()
-          .addWidget(
-            CardService.newTextParagraph()
-              .setText('Your clean forward draft has been created successfully.')
-          )
+        successSection
           .addWidget(
             CardService.newTextButton()
-              .setText('View Draft')
+              .setText(result.sent ? 'View Message' : 'View Draft')
               .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
               .setOpenLink(
                 CardService.newOpenLink()
@@ -116,7 +208,7 @@ function createCleanForwardFromContext(e) {
       )
       .setNotification(
         CardService.newNotification()
-          .setText(`Draft created: ${result.subject}`)
+          .setText(`${result.sent ? 'Sent' : 'Draft created'}: ${result.subject}`)
           .setType(CardService.NotificationType.INFO)
       )
       .build();
@@ -162,313 +254,249 @@ function getCurrentThreadFromEvent_(e) {
 
 /**
  * Processes a Gmail thread and creates a clean forward draft.
- *
- * This is the main processing function that:
- * 1. Retrieves all messages from the thread
- * 2. Sorts them chronologically (oldest to newest)
- * 3. Strips quoted text and reply headers from each message
- * 4. Builds a beautiful HTML timeline display
- * 5. De-duplicates attachments across all messages
- * 6. Creates a draft email with the cleaned content
+ * The thread is rendered by renderCleanThread_; this adds the recipients,
+ * files and subject, and saves (or sends) the draft. Files linked from
+ * Drive are shared with the recipients only when the draft is sent.
  *
  * @private
- * @param {GmailThread} thread - The Gmail thread to process
- * @returns {Object} Object containing {subject: string, draftUrl: string}
+ * @param {GmailThread|Object} thread - The Gmail thread to process, or several
+ *     threads merged by createMergedThread_
+ * @param {Object} [options] - Compose options (also see renderCleanThread_)
+ * @param {string[]} [options.messageIds] - Ids of the messages to include (default: all)
+ * @param {string} [options.recipients] - Comma-separated recipients (default: none)
+ * @param {string} [options.subject] - Subject line (default: "FWD: " + first subject)
+ * @param {string} [options.intro] - Plain-text note shown above the summary header
+ * @param {boolean} [options.sendNow] - Send the draft right away instead of saving it
+ * @returns {Object} Object containing {subject: string, draftUrl: string, linkedFiles: Object[],
+ *     redactions: Object[], sent: boolean}; when sent, draftUrl points at the sent message
  */
-function createCleanForwardDraftFromThread_(thread) {
-  const messages = thread.getMessages();
-  if (!messages || messages.length === 0) return null;
-
-  // Sort messages oldest -> newest
-  const sortedMessages = messages.slice().sort((a, b) => a.getDate() - b.getDate());
-
-  const htmlParts = [];
-
-  // Collect all unique attachments across messages
-  const allAttachments = [];
-  const seenAttachmentKeys = {}; // name|size -> true
-
-  // Extract unique participants for summary
-  const participants = extractParticipants_(sortedMessages);
-  const participantSummary = participants.length > 1
-    ? `<p style="margin:4px 0 0 0;font-size:12px;color:#6b7280;">
-         Participants: ${sanitizeHtml_(participants.join(', '))}
-         (${participants.length} ${participants.length === 1 ? 'person' : 'people'})
-       </p>`
-    : '';
-
-  // Build the HTML header with modern styling
-  htmlParts.push(`
-    <div style="
-      font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;
-      background:#f8fafc;
-      padding:24px 16px;
-      margin:0;
-      line-height:1.5;
-    ">
-      <div style="max-width:760px;margin:0 auto;">
-        <div style="
-          background:#ffffff;
-          border-radius:12px;
-          padding:20px 24px;
-          margin-bottom:20px;
-          box-shadow:0 1px 3px rgba(0,0,0,0.1);
-        ">
-          <h2 style="
-            margin:0 0 4px 0;
-            font-size:22px;
-            font-weight:600;
-            color:#111827;
-            letter-spacing:-0.01em;
-          ">Conversation Summary</h2>
-          <p style="
-            margin:0;
-            font-size:14px;
-            color:#6b7280;
-            line-height:1.4;
-          ">Chronological view of this email thread (oldest to newest).</p>
-          ${participantSummary}
-        </div>
-  `);
-
-  // Process each message
-  for (let i = 0; i < sortedMessages.length; i++) {
-    const msg = sortedMessages[i];
-    const fromRaw = msg.getFrom();
-    const date = msg.getDate();
-    const subject = msg.getSubject() || '';
-    const plainBody = msg.getPlainBody();
-
-    // Parse email address for better display
-    const fromParsed = parseEmailFrom_(fromRaw);
-    const fromDisplay = fromParsed.name || fromParsed.email;
-
-    // Clean the message body
-    const cleanedBody = stripQuotedText_(plainBody);
-    let safeHtmlBody = textToHtml_(cleanedBody);
-
-    // Check for attachments
-    const msgAttachments = msg.getAttachments({
-      includeInlineImages: false,
-      includeAttachments: true
-    });
-    const hasAttachments = msgAttachments && msgAttachments.length > 0;
-
-    // Handle empty messages gracefully
-    if (!safeHtmlBody) {
-      safeHtmlBody = hasAttachments
-        ? '<span style="color:#9ca3af;font-style:italic;">(no new text; see attachments)</span>'
-        : '<span style="color:#9ca3af;font-style:italic;">(forwarded without adding new content)</span>';
-    }
-
-    const attachmentsHtml = buildAttachmentsHtml_(msg, allAttachments, seenAttachmentKeys);
-
-    const isLatest = i === sortedMessages.length - 1;
-    const dotColor = isLatest ? '#2563eb' : '#9ca3af';
-
-    // Build the timeline card for this message
-    htmlParts.push(`
-      <div style="
-        display:flex;
-        align-items:flex-start;
-        margin-bottom:16px;
-      ">
-        <!-- Timeline column with dot and connecting line -->
-        <div style="
-          width:32px;
-          display:flex;
-          justify-content:center;
-          flex-shrink:0;
-        ">
-          <div style="
-            position:relative;
-            width:4px;
-            background:#e5e7eb;
-            border-radius:999px;
-            min-height:32px;
-          ">
-            ${i === 0 ? '' : `
-              <div style="
-                position:absolute;
-                top:-16px;
-                left:50%;
-                transform:translateX(-50%);
-                width:2px;
-                height:16px;
-                background:#e5e7eb;
-              "></div>
-            `}
-            <div style="
-              position:absolute;
-              top:16px;
-              left:50%;
-              transform:translate(-50%,-50%);
-              width:12px;
-              height:12px;
-              border-radius:999px;
-              background:${dotColor};
-              box-shadow:0 0 0 3px #f8fafc;
-              border:2px solid #ffffff;
-            "></div>
-          </div>
-        </div>
-
-        <!-- Message card -->
-        <div style="flex:1;margin-left:12px;">
-          <div style="
-            background:#ffffff;
-            border-radius:10px;
-            padding:14px 16px;
-            box-shadow:0 1px 3px rgba(0,0,0,0.08);
-            border:1px solid ${isLatest ? '#dbeafe' : '#f3f4f6'};
-            ${isLatest ? 'background:linear-gradient(135deg, #ffffff 0%, #f0f9ff 100%);' : ''}
-          ">
-            <div style="
-              display:flex;
-              justify-content:space-between;
-              align-items:flex-start;
-              margin-bottom:8px;
-            ">
-              <div style="flex:1;min-width:0;">
-                <div style="
-                  font-size:14px;
-                  font-weight:600;
-                  color:#111827;
-                ">${sanitizeHtml_(fromDisplay)}</div>
-              </div>
-              <div style="
-                font-size:11px;
-                color:#9ca3af;
-                white-space:nowrap;
-                margin-left:12px;
-                flex-shrink:0;
-              ">${sanitizeHtml_(formatDate_(date))}</div>
-            </div>
-            <div style="
-              font-size:14px;
-              color:#374151;
-              line-height:1.6;
-              white-space:pre-wrap;
-              word-wrap:break-word;
-              overflow-wrap:break-word;
-            ">${safeHtmlBody}</div>
-            ${attachmentsHtml}
-          </div>
-        </div>
-      </div>
-    `);
-  }
-
-  htmlParts.push('</div></div>'); // close containers
-
-  const finalHtml = htmlParts.join('');
-
-  const threadSubject = sortedMessages[0].getSubject() || 'Forwarded Conversation';
-  const draftSubject = `FWD: ${threadSubject}`;
+function createCleanForwardDraftFromThread_(thread, options) {
+  const opts = options || {};
+  const rendered = renderCleanThread_(thread, opts);
+  if (!rendered) return null;
 
   const draftOptions = {
-    htmlBody: finalHtml
+    htmlBody: rendered.html
   };
-  if (allAttachments.length > 0) {
-    draftOptions.attachments = allAttachments;
+  if (rendered.attachments.length > 0) {
+    draftOptions.attachments = rendered.attachments;
+  }
+  if (Object.keys(rendered.inlineImages).length > 0) {
+    draftOptions.inlineImages = rendered.inlineImages;
   }
 
   // Create draft and get the message ID for deep linking
-  const draft = GmailApp.createDraft('', draftSubject, 'This email requires HTML view.', draftOptions);
+  // The plain-text rendering is the body for clients that don't show HTML
+  const draft = GmailApp.createDraft(opts.recipients || '', rendered.subject, renderThreadModel_(rendered.model, 'text'), draftOptions);
+
+  if (opts.sendNow) {
+    const sentMessage = draft.send();
+    // Only now do the recipients get access to the files linked from Drive
+    shareLinkedFiles_(rendered.linkedFiles, parseAddressList_(opts.recipients || '').map((address) => address.email));
+    return {
+      subject: rendered.subject,
+      draftUrl: `https://mail.google.com/mail/u/0/#sent/${sentMessage.getId()}`,
+      linkedFiles: rendered.linkedFiles,
+      redactions: rendered.model.redactions,
+      sent: true
+    };
+  }
+
   const messageId = draft.getMessage().getId();
   const draftUrl = `https://mail.google.com/mail/u/0/#drafts?compose=${messageId}`;
 
   return {
-    subject: draftSubject,
-    draftUrl: draftUrl
+    subject: rendered.subject,
+    draftUrl: draftUrl,
+    linkedFiles: rendered.linkedFiles,
+    redactions: rendered.model.redactions,
+    sent: false
   };
 }
 
 /**
- * Formats a date in a human-readable way.
- * Uses relative formatting for recent dates (Today, Yesterday, day names)
- * and full dates for older messages.
+ * Renders a Gmail thread as the clean timeline HTML.
+ *
+ * This is the main processing function:
+ * 1. Builds the thread model (buildThreadModel_): selected messages in
+ *    chronological order, with quoted text, reply headers and signatures
+ *    stripped, and attachments and inline images de-duplicated by content;
+ *    the signatures it used are saved to the cache (saveCachedSignatures_)
+ * 2. Collects the attachment and image blobs the model refers to, linking
+ *    files over the size budget from Drive
+ * 3. Renders the model as HTML (renderThreadHtml_) in the user's theme
+ *    and branding
+ *
+ * The model is returned too, so other output formats (see src/Renderers.js
+ * and src/Export.js) render from the same data. Used for new drafts, for
+ * inserting a thread into an open draft, and for exports.
+ *
+ * @private
+ * @param {GmailThread} thread - The Gmail thread to process
+ * @param {Object} [options] - Rendering options
+ * @param {string[]} [options.messageIds] - Ids of the messages to include (default: all)
+ * @param {string[]} [options.restoreIds] - Ids of the messages to keep in full, uncleaned
+ * @param {Object} [options.edits] - Text the user edited on the preview card, by message id
+ * @param {string} [options.subject] - Subject line (default: "FWD: " + first subject)
+ * @param {string} [options.intro] - Plain-text note shown above the summary header
+ * @param {boolean} [options.includeFiles] - Collect attachments and inline images
+ *     (default true); when false, files are only listed and images are left out,
+ *     for destinations that can't carry them
+ * @param {Object} [options.settings] - User settings (default: getSettings_())
+ * @returns {Object|null} {subject, html, attachments: Blob[], inlineImages: Object (cid -> Blob),
+ *     linkedFiles: Object[], model: Object}, or null when there are no messages
+ */
+function renderCleanThread_(thread, options) {
+  const opts = options || {};
+  const includeFiles = opts.includeFiles !== false;
+  const settings = opts.settings || getSettings_();
+
+  const blobs = {};
+  const model = buildThreadModel_(thread, {
+    messageIds: opts.messageIds,
+    restoreIds: opts.restoreIds,
+    edits: opts.edits,
+    subject: opts.subject,
+    intro: opts.intro,
+    includeImages: includeFiles,
+    settings: settings,
+    blobs: blobs
+  });
+  if (!model) return null;
+  saveCachedSignatures_(model.signatures);
+
+  // Files that would push the draft past the size budget go to Drive instead
+  // (nothing is fetched or uploaded when the files won't be used anyway)
+  const attachmentBudget = createAttachmentBudget_(settings.attachmentBudgetMb);
+  const files = includeFiles
+    ? collectThreadFiles_(model, blobs, attachmentBudget, settings.driveSharing)
+    : { attachments: [], inlineImages: {} };
+
+  return {
+    subject: model.subject,
+    html: renderThreadHtml_(model, { theme: settings.theme, branding: getBranding_() }),
+    attachments: files.attachments,
+    inlineImages: files.inlineImages,
+    linkedFiles: attachmentBudget.linked,
+    model: model
+  };
+}
+
+/**
+ * Formats a date in a human-readable way, in the user's time zone and
+ * locale (so "3:05 PM" in en-US and "15:05" in de).
+ *
+ * The "absolute" format (the default) always shows the full date, so a
+ * forward read next week still makes sense; "relative" uses Today,
+ * Yesterday and day names for recent dates, counted in the user's time
+ * zone; "iso" is sortable (2025-12-01 15:05).
  *
  * @private
  * @param {Date} date - The date to format
- * @returns {string} Formatted date string (e.g., "Today 2:30 PM", "Wed 4:15 PM", "Dec 15 3:00 PM")
+ * @param {Object} [options] - Settings-shaped options
+ * @param {string} [options.dateFormat] - Key of DATE_FORMATS_ (default "absolute")
+ * @param {string} [options.timeZone] - IANA time zone (default: the script's)
+ * @param {string} [options.dateLocale] - BCP 47 locale (default "en-US")
+ * @returns {string} Formatted date string (e.g., "Dec 15, 2025 3:00 PM", "Today 2:30 PM", "Wed 4:15 PM")
  */
-function formatDate_(date) {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  const messageDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+function formatDate_(date, options) {
+  const opts = options || {};
+  const timeZone = opts.timeZone || Session.getScriptTimeZone();
+  const locale = opts.dateLocale || 'en-US';
+  const format = opts.dateFormat || 'absolute';
+
+  const timeStr = date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit', timeZone: timeZone });
+  const dayParts = (d) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(d)
+      .forEach((part) => { parts[part.type] = part.value; });
+    return parts;
+  };
 
-  const diffDays = Math.floor((today - messageDate) / (1000 * 60 * 60 * 24));
+  if (format === 'iso') {
+    const p = dayParts(date);
+    return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
+  }
+  if (format === 'absolute') {
+    return date.toLocaleDateString(locale, { month: 'short', day: 'numeric', year: 'numeric', timeZone: timeZone }) + ' ' + timeStr;
+  }
 
-  const timeStr = date.toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
+  // Count calendar days in the user's time zone, not the server's
+  const dayNumber = (d) => {
+    const p = dayParts(d);
+    return Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day)) / (1000 * 60 * 60 * 24);
+  };
+  const now = new Date();
+  const diffDays = dayNumber(now) - dayNumber(date);
 
-  if (diffDays === 0) {
-    return `Today ${timeStr}`;
-  } else if (diffDays === 1) {
-    return `Yesterday ${timeStr}`;
-  } else if (diffDays < 7) {
-    const dayName = date.toLocaleDateString('en-US', { weekday: 'short' });
+  if (diffDays === 0 || diffDays === 1) {
+    const label = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(-diffDays, 'day');
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)} ${timeStr}`;
+  } else if (diffDays > 1 && diffDays < 7) {
+    const dayName = date.toLocaleDateString(locale, { weekday: 'short', timeZone: timeZone });
     return `${dayName} ${timeStr}`;
   } else {
-    return date.toLocaleDateString('en-US', {
+    return date.toLocaleDateString(locale, {
       month: 'short',
       day: 'numeric',
-      year: now.getFullYear() !== date.getFullYear() ? 'numeric' : undefined
+      year: dayParts(now).year !== dayParts(date).year ? 'numeric' : undefined,
+      timeZone: timeZone
     }) + ' ' + timeStr;
   }
 }
 
 /**
- * Extracts unique participant names from an array of messages.
- * Parses the "From" field of each message and de-duplicates by name.
+ * Describes a time zone for the output header, e.g.
+ * "America/Chicago (CST)".
  *
  * @private
- * @param {GmailMessage[]} messages - Array of Gmail messages
- * @returns {string[]} Array of unique participant names
+ * @param {Object} settings - Settings with timeZone and dateLocale
+ * @param {Date} [date] - Date whose offset to name (daylight saving), default now
+ * @returns {string} Time zone label
  */
-function extractParticipants_(messages) {
-  const seen = {};
-  const participants = [];
-
-  for (const msg of messages) {
-    const fromRaw = msg.getFrom();
-    const parsed = parseEmailFrom_(fromRaw);
-    const name = parsed.name || parsed.email;
-
-    if (!seen[name]) {
-      seen[name] = true;
-      participants.push(name);
-    }
-  }
-
-  return participants;
+function formatTimeZoneLabel_(settings, date) {
+  const timeZone = settings.timeZone || Session.getScriptTimeZone();
+  const abbreviation = new Intl.DateTimeFormat(settings.dateLocale || 'en-US', { timeZone: timeZone, timeZoneName: 'short' })
+    .formatToParts(date || new Date())
+    .find((part) => part.type === 'timeZoneName');
+
+  return abbreviation && abbreviation.value !== timeZone
+    ? `${timeZone} (${abbreviation.value})`
+    : timeZone;
 }
 
 /**
- * Parses an email "From" field into name and email components.
- * Handles formats like "John Doe <john@example.com>" and plain emails.
+ * Returns a copy of the messages sorted oldest to newest.
  *
  * @private
- * @param {string} fromString - The raw "From" field from a Gmail message
- * @returns {Object} Object with {name: string, email: string}
+ * @param {GmailMessage[]} messages - Messages in any order
+ * @returns {GmailMessage[]} Sorted copy
  */
-function parseEmailFrom_(fromString) {
-  if (!fromString) return { name: '', email: '' };
+function sortMessagesByDate_(messages) {
+  return messages.slice().sort((a, b) => a.getDate() - b.getDate());
+}
 
-  const match = fromString.match(/^(.+?)\s*<(.+?)>$/);
-  if (match) {
-    return {
-      name: match[1].trim().replace(/^["']|["']$/g, ''),
-      email: match[2].trim()
-    };
-  }
+/**
+ * Returns the lower-cased domain of an email address.
+ *
+ * @private
+ * @param {string} email - Email address
+ * @returns {string} Domain, or empty string if there is none
+ */
+function getEmailDomain_(email) {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : email.slice(at + 1).trim().toLowerCase();
+}
 
-  // If no angle brackets, it's just an email
-  return { name: fromString.trim(), email: fromString.trim() };
+/**
+ * Returns the current user's email address, lower-cased.
+ *
+ * @private
+ * @returns {string} Email address, or empty string if it isn't available
+ */
+function getUserEmail_() {
+  return (Session.getActiveUser().getEmail() || '').toLowerCase();
 }
 
 /**
@@ -484,8 +512,8 @@ const REGEX_PATTERNS_ = {
   replyHeaderDate: /^on\s+\w+,?\s+\w+\s+\d+,?\s+\d{4}/i,
   // Alternative reply format: "On Dec 15, 2025" or "On 12/15/2025"
   replyHeaderAlt: /^on\s+(\w+\s+\d+,?\s+\d{4}|\d+\/\d+\/\d+)/i,
-  // Gmail forwarded message
-  gmailForward: /^[-]{10}\s*forwarded message\s*[-]{10}$/i,
+  // Forwarded message marker: Gmail, Thunderbird and Zimbra dash widths
+  gmailForward: /^[-]{5,}\s*forwarded message\s*[-]{5,}$/i,
   // Outlook forwarded
   outlookForward: /^[-_]{10,}$/,
   // iOS Mail
@@ -519,37 +547,174 @@ const REGEX_PATTERNS_ = {
   fromWithoutAt: /^from:\s*[^@]*$/i
 };
 
+/**
+ * The rules stripQuotedText_ and cleanHtmlBody_ remove text by, with a
+ * label for the cleaning audit card and how sure the rule is that what it removed isn't
+ * the sender's own text (0-1). Strong markers like reply headers are
+ * near-certain; bare separators and "wrote:" lines are guesses.
+ *
+ * @constant
+ * @type {Object.<string, {label: string, confidence: number}>}
+ */
+const CLEANING_RULES_ = {
+  disclaimer: { label: 'Legal disclaimer', confidence: 0.8 },
+  collapsed: { label: 'Collapsed quote ("...")', confidence: 0.7 },
+  forward: { label: 'Forward marker', confidence: 0.95 },
+  originalMessage: { label: '"Original Message" separator', confidence: 0.95 },
+  outlookSeparator: { label: 'Outlook separator', confidence: 0.85 },
+  separator: { label: 'Separator line', confidence: 0.6 },
+  wrote: { label: '"wrote:" line', confidence: 0.9 },
+  wroteUnquoted: { label: '"wrote:" line with nothing quoted after it', confidence: 0.4 },
+  senderLine: { label: 'Sender line', confidence: 0.75 },
+  replyHeader: { label: 'Reply header', confidence: 0.95 },
+  localized: { label: 'Localized reply header', confidence: 0.9 },
+  headerBlock: { label: 'Header block', confidence: 0.9 },
+  quoted: { label: 'Quoted lines (">")', confidence: 0.95 },
+  signatureSeparator: { label: 'Signature separator', confidence: 0.8 },
+  mobileSignature: { label: 'Mobile signature', confidence: 0.9 },
+  signature: { label: 'Learned signature', confidence: 0.9 },
+  htmlQuote: { label: 'Quoted part of the HTML', confidence: 0.95 },
+  htmlSignature: { label: 'Signature block (HTML)', confidence: 0.9 }
+};
+
+/**
+ * Cleaning confidence below which a message is flagged for review.
+ *
+ * @constant
+ * @type {number}
+ */
+const LOW_CLEANING_CONFIDENCE_ = 0.6;
+
 /**
  * Strips quoted text, reply headers, and disclaimers from email body.
  *
  * This is the core text cleaning function that removes:
  * - Quoted text (lines starting with >)
  * - Reply headers ("On ... wrote:", "From: ... Sent: ...")
- * - Email signatures (-- separator, mobile signatures)
+ * - Email signatures (-- separator, mobile signatures, the sender's learned signature)
  * - Forwarded message markers
  * - Legal disclaimers and confidentiality notices
  * - Empty quoted replies
  *
  * The function uses sophisticated pattern matching to avoid false positives
- * while being aggressive about removing unwanted content.
+ * while being aggressive about removing unwanted content. English patterns
+ * always apply; the message's language is detected and, if it is one of the
+ * active locales, that locale's patterns from LOCALE_PATTERNS_ apply too.
  *
  * @private
  * @param {string} plainBody - Raw plain text body from Gmail message
+ * @param {Object} [options] - Cleaning options
+ * @param {string[]} [options.locales] - Active locale codes (defaults to DEFAULT_SETTINGS_.locales)
+ * @param {boolean} [options.stripDisclaimers] - Cut at legal disclaimers (default true)
+ * @param {string} [options.emoji] - "strip" (default) or "keep", see cleanUnicodeArtifacts_
+ * @param {string[]} [options.signature] - The sender's learned signature lines
+ *     (see learnSignatures_), cut from the end of the message
  * @returns {string} Cleaned message body with only new content
  */
-function stripQuotedText_(plainBody) {
-  if (!plainBody) return '';
+function stripQuotedText_(plainBody, options) {
+  return analyzeQuotedText_(plainBody, options).text;
+}
+
+/**
+ * Cleans a body like stripQuotedText_ and reports what was removed: the
+ * rule that cut the message, at which line, every removed span, and how
+ * confident the cleaning is (the lowest confidence of the rules that
+ * fired, see CLEANING_RULES_). The cleaning audit card shows this so
+ * over-trimmed messages can be restored.
+ *
+ * @private
+ * @param {string} plainBody - Raw plain text body from Gmail message
+ * @param {Object} [options] - Cleaning options, see stripQuotedText_
+ * @returns {Object} {text, rule, line, confidence, removed: [{rule, line, text, confidence}]};
+ *     rule and line (1-based) are those of the cut, null and 0 when nothing
+ *     was cut; confidence is 1 when nothing was removed
+ */
+function analyzeQuotedText_(plainBody, options) {
+  const opts = options || {};
+  const result = stripQuotedLines_(plainBody, opts);
+  const removed = result.removed.slice();
+  let lines = result.lines;
+
+  // The sender's learned signature, compared before soft breaks are collapsed
+  const signatureStart = findSignatureStart_(lines, opts.signature);
+  if (signatureStart !== -1) {
+    removed.push(createRemovedSpan_('signature', result.lineNumbers[signatureStart], lines.slice(signatureStart)));
+    lines = lines.slice(0, signatureStart);
+  }
+
+  return {
+    // Collapse soft line breaks while preserving structure
+    text: collapseSoftLineBreaks_(lines.join('\n')).trim(),
+    rule: result.cut ? result.cut.rule : null,
+    line: result.cut ? result.cut.line : 0,
+    confidence: removed.reduce((lowest, span) => Math.min(lowest, span.confidence), 1),
+    removed: removed.sort((a, b) => a.line - b.line)
+  };
+}
+
+/**
+ * Builds a removed span for analyzeQuotedText_.
+ *
+ * @private
+ * @param {string} rule - Key of CLEANING_RULES_
+ * @param {number} line - 1-based number of the span's first line
+ * @param {string[]} lines - The removed lines
+ * @returns {Object} {rule, line, text, confidence}
+ */
+function createRemovedSpan_(rule, line, lines) {
+  return {
+    rule: rule,
+    line: line,
+    text: lines.join('\n').trim(),
+    confidence: CLEANING_RULES_[rule].confidence
+  };
+}
+
+/**
+ * Cleans a plain-text body and cuts it at the quoted history, keeping its
+ * line breaks. analyzeQuotedText_ does the rest; learnSignatures_ compares
+ * these lines.
+ *
+ * @private
+ * @param {string} plainBody - Raw plain text body from Gmail message
+ * @param {Object} opts - Cleaning options, see stripQuotedText_
+ * @returns {Object} {lines, lineNumbers, cut, removed}: the message's own lines
+ *     (without trailing blank lines) and their 1-based numbers in the body,
+ *     the cut ({rule, line}, or null) and the removed spans (see analyzeQuotedText_)
+ */
+function stripQuotedLines_(plainBody, opts) {
+  if (!plainBody) return { lines: [], lineNumbers: [], cut: null, removed: [] };
+
+  const locale = getLocalePatterns_(plainBody, opts.locales || DEFAULT_SETTINGS_.locales);
 
   // Clean unicode artifacts and plain text conversion issues
-  let text = cleanUnicodeArtifacts_(plainBody);
+  let text = cleanUnicodeArtifacts_(plainBody, { emoji: opts.emoji });
   text = cleanPlainTextArtifacts_(text);
 
   // Normalize line endings
   text = text.replace(/\r\n/g, '\n');
   const lines = text.split('\n');
   const cleanedLines = [];
+  const lineNumbers = [];
+  const removed = [];
+  let quoted = [];
+  let cut = null;
   let consecutiveHeaderCount = 0;
 
+  const keep = (i) => {
+    cleanedLines.push(lines[i]);
+    lineNumbers.push(i + 1);
+  };
+  // Cuts the message at line `at` (0-based): that line and the rest are removed
+  const cutAt = (rule, at) => {
+    cut = { rule: rule, line: at + 1 };
+    removed.push(createRemovedSpan_(rule, at + 1, lines.slice(at)));
+  };
+  const flushQuoted = () => {
+    if (quoted.length) removed.push(createRemovedSpan_('quoted', quoted[0] + 1, quoted.map((q) => lines[q])));
+    quoted = [];
+  };
+
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
     const trimmed = line.trim();
@@ -557,43 +722,59 @@ function stripQuotedText_(plainBody) {
 
     // Skip empty lines but don't break on them
     if (trimmed === '') {
-      cleanedLines.push(line);
+      keep(i);
       consecutiveHeaderCount = 0;
       continue;
     }
 
     // Disclaimers / legal footers (only after some real content)
-    if (cleanedLines.length > 5 && REGEX_PATTERNS_.disclaimer.test(lower)) {
+    if (opts.stripDisclaimers !== false && cleanedLines.length > 5 && REGEX_PATTERNS_.disclaimer.test(lower)) {
+      cutAt('disclaimer', i);
       break;
     }
 
     // Gmail collapsed text indicator
-    if (REGEX_PATTERNS_.gmailCollapsed.test(trimmed)) break;
-
-    // Gmail forwarded message header
-    if (REGEX_PATTERNS_.gmailForward.test(trimmed)) break;
+    if (REGEX_PATTERNS_.gmailCollapsed.test(trimmed)) {
+      cutAt('collapsed', i);
+      break;
+    }
 
-    // iOS Mail forwarded message
-    if (REGEX_PATTERNS_.iosForward.test(trimmed)) break;
+    // Forwarded message header (Gmail, Thunderbird, Zimbra) and iOS Mail
+    if (REGEX_PATTERNS_.gmailForward.test(trimmed) || REGEX_PATTERNS_.iosForward.test(trimmed)) {
+      cutAt('forward', i);
+      break;
+    }
 
     // Original message separator
-    if (REGEX_PATTERNS_.originalMessage.test(trimmed)) break;
+    if (REGEX_PATTERNS_.originalMessage.test(trimmed)) {
+      cutAt('originalMessage', i);
+      break;
+    }
 
     // Outlook underscore separator
-    if (REGEX_PATTERNS_.outlookSeparator.test(trimmed)) break;
+    if (REGEX_PATTERNS_.outlookSeparator.test(trimmed)) {
+      cutAt('outlookSeparator', i);
+      break;
+    }
 
     // Long separator lines (Outlook style) - but only after content
     if (cleanedLines.length > 5 && REGEX_PATTERNS_.outlookForward.test(trimmed)) {
+      cutAt('separator', i);
       break;
     }
 
-    // "wrote:" by itself or with minimal text (strong indicator)
+    // "wrote:" by itself or with minimal text (strong indicator), unless
+    // nothing quoted follows - then the line may be the sender's own text
     if (REGEX_PATTERNS_.wroteAlone.test(lower) && trimmed.length < 100) {
+      const next = lines.slice(i + 1).map((l) => l.trim()).find((l) => l) || '';
+      const quoteFollows = next.startsWith('>') || REGEX_PATTERNS_.fromHeader.test(next.toLowerCase());
+      cutAt(quoteFollows ? 'wrote' : 'wroteUnquoted', i);
       break;
     }
 
     // Email-like line: "John Doe <john@example.com> wrote:"
     if (REGEX_PATTERNS_.emailLine.test(trimmed)) {
+      cutAt('senderLine', i);
       break;
     }
 
@@ -606,15 +787,23 @@ function stripQuotedText_(plainBody) {
 
       // Check if "wrote:" appears in the current line or next 3 lines
       if (hasWrote || ahead1.includes('wrote:') || ahead2.includes('wrote:') || ahead3.includes('wrote:')) {
+        cutAt('replyHeader', i);
         break;
       }
 
       // Also break if we see email headers after this line
       if (REGEX_PATTERNS_.fromHeader.test(ahead1) || REGEX_PATTERNS_.fromHeader.test(ahead2)) {
+        cutAt('replyHeader', i);
         break;
       }
     }
 
+    // Localized reply headers, forward markers and header blocks
+    if (locale && isLocalizedQuoteStart_(lines, i, locale)) {
+      cutAt('localized', i);
+      break;
+    }
+
     // Email headers - require multiple consecutive headers OR Sent: header
     let isHeader = false;
     if (cleanedLines.length > 3) {
@@ -631,6 +820,9 @@ function stripQuotedText_(plainBody) {
           // Remove previous line if it was a header
           if (REGEX_PATTERNS_.fromHeader.test(behind1)) {
             cleanedLines.pop();
+            cutAt('headerBlock', lineNumbers.pop() - 1);
+          } else {
+            cutAt('headerBlock', i);
           }
           break;
         }
@@ -648,6 +840,7 @@ function stripQuotedText_(plainBody) {
         if (consecutiveHeaderCount >= 2) {
           // Remove the first header line we added
           cleanedLines.pop();
+          cutAt('headerBlock', lineNumbers.pop() - 1);
           break;
         }
       }
@@ -658,25 +851,35 @@ function stripQuotedText_(plainBody) {
     }
 
     // Skip quoted lines (starting with >)
-    if (trimmed.startsWith('>')) continue;
+    if (trimmed.startsWith('>')) {
+      quoted.push(i);
+      continue;
+    }
+    flushQuoted();
 
     // Signature separators (only after substantial content)
     if (cleanedLines.length > 5) {
-      if (REGEX_PATTERNS_.sigSeparator.test(trimmed)) break;
-      if (REGEX_PATTERNS_.mobileSig.test(trimmed)) break;
+      if (REGEX_PATTERNS_.sigSeparator.test(trimmed)) {
+        cutAt('signatureSeparator', i);
+        break;
+      }
+      if (REGEX_PATTERNS_.mobileSig.test(trimmed) || (locale && locale.mobileSig.test(trimmed))) {
+        cutAt('mobileSignature', i);
+        break;
+      }
     }
 
-    cleanedLines.push(line);
+    keep(i);
   }
+  flushQuoted();
 
   // Trim trailing blank lines
   while (cleanedLines.length && cleanedLines[cleanedLines.length - 1].trim() === '') {
     cleanedLines.pop();
+    lineNumbers.pop();
   }
 
-  // Collapse soft line breaks while preserving structure
-  const collapsed = collapseSoftLineBreaks_(cleanedLines.join('\n'));
-  return collapsed.trim();
+  return { lines: cleanedLines, lineNumbers: lineNumbers, cut: cut, removed: removed };
 }
 
 /**
@@ -744,77 +947,49 @@ function sanitizeHtml_(str) {
 }
 
 /**
- * Builds HTML for attachment list and collects attachment blobs.
- *
- * Creates a styled attachment card showing all attachments for a message.
- * Also collects the attachment blobs into the allAttachments array for
- * inclusion in the final draft. De-duplicates attachments by name+size.
+ * Formats a byte count for display: whole KB (at least 1 KB) below 1 MB,
+ * MB with one decimal above.
  *
  * @private
- * @param {GmailMessage} msg - The Gmail message to extract attachments from
- * @param {BlobSource[]} allAttachments - Array to collect attachment blobs (mutated)
- * @param {Object} seenAttachmentKeys - Object for de-duplication tracking (mutated)
- * @returns {string} HTML string for the attachment card, or empty string if no attachments
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size label, e.g. "12 KB" or "15.0 MB"
  */
-function buildAttachmentsHtml_(msg, allAttachments, seenAttachmentKeys) {
-  const attachments = msg.getAttachments({
-    includeInlineImages: false,
-    includeAttachments: true
-  });
-  if (!attachments || attachments.length === 0) return '';
-
-  const items = [];
-  for (const att of attachments) {
-    // Simple de-duplication: same name + same size
-    const key = `${att.getName()}|${att.getSize()}`;
-    if (!seenAttachmentKeys[key]) {
-      seenAttachmentKeys[key] = true;
-      allAttachments.push(att); // Add blob to final draft
-    }
+function formatFileSize_(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
 
-    const sizeKb = Math.max(1, Math.round(att.getSize() / 1024));
-    items.push(`
-      <li style="margin:4px 0;line-height:1.4;">
-        <span style="font-weight:500;">${sanitizeHtml_(att.getName())}</span>
-        <span style="color:#6b7280;font-size:11px;"> (${sizeKb} KB)</span>
-      </li>
-    `);
-  }
+/**
+ * Returns the de-duplication key for an attachment or inline image: a
+ * SHA-256 digest of its bytes, so identical files match even when renamed
+ * and different files never merge just because their name and size agree.
+ *
+ * @private
+ * @param {GmailAttachment} att - Attachment or inline image
+ * @returns {string} Hex content digest
+ */
+function getAttachmentKey_(att) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, att.getBytes());
+  return digest.map((b) => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
 
-  return `
-    <div style="
-      margin-top:12px;
-      padding:10px 12px;
-      border-radius:8px;
-      border:1px solid #dbeafe;
-      background:#eff6ff;
-    ">
-      <div style="
-        display:flex;
-        align-items:center;
-        margin-bottom:6px;
-      ">
-        <span style="
-          font-size:12px;
-          font-weight:700;
-          color:#1e40af;
-          margin-right:6px;
-        ">[ATTACHMENTS]</span>
-        <span style="
-          font-size:11px;
-          font-weight:500;
-          color:#64748b;
-        ">(${items.length} ${items.length === 1 ? 'file' : 'files'})</span>
-      </div>
-      <ul style="
-        margin:0 0 0 20px;
-        padding:0;
-        font-size:13px;
-        color:#111827;
-        list-style:disc;
-      ">${items.join('')}</ul>
-    </div>
-  `;
+/**
+ * Replaces Gmail's plain-text "[image: name.png]" markers with the inline
+ * image itself. Markers whose image can't be resolved are removed.
+ *
+ * @private
+ * @param {string} html - HTML produced by textToHtml_
+ * @param {function(string, string): ?string} resolveImage - From createInlineImageResolver_
+ * @returns {string} HTML with images in place of markers
+ */
+function placeInlineImageMarkers_(html, resolveImage) {
+  if (!html) return '';
+  return html.replace(/\[image: ([^\]]+)\]/g, (marker, name) => {
+    const src = resolveImage('', name);
+    return src
+      ? `<img src="${src}" alt="${name}" style="max-width:100%;height:auto;">`
+      : '';
+  }).trim();
 }
 
 /**
@@ -824,15 +999,18 @@ function buildAttachmentsHtml_(msg, allAttachments, seenAttachmentKeys) {
  * - Normalizes curly quotes to straight quotes
  * - Converts en/em dashes to hyphens
  * - Removes zero-width characters
- * - Removes problematic emoji that cause mojibake
+ * - Removes problematic emoji that cause mojibake (unless emoji are kept)
  * - Preserves useful business symbols (bullets, arrows, checkmarks)
  *
  * @private
  * @param {string} text - Text to clean
+ * @param {Object} [options] - Cleaning options
+ * @param {string} [options.emoji] - "strip" (default) removes emoji; "keep" leaves them
  * @returns {string} Cleaned text with normalized characters
  */
-function cleanUnicodeArtifacts_(text) {
+function cleanUnicodeArtifacts_(text, options) {
   if (!text) return '';
+  const opts = options || {};
 
   // Step 1: try to normalize encoding via UTF-8 re-decode
   try {
@@ -861,6 +1039,8 @@ function cleanUnicodeArtifacts_(text) {
     // Zero-width characters (can cause rendering issues)
     .replace(/[\u200B-\u200D\uFEFF]/g, '');
 
+  if (opts.emoji === 'keep') return text;
+
   // Step 3: selective emoji/symbol removal
   // Preserve useful business symbols: bullets, arrows, checkmarks, stars
   const preserveSymbols = /[\u2022\u2023\u2043\u25E6\u2192\u2190\u2191\u2193\u2713\u2714\u2717\u2718\u2605\u2606]/;
@@ -0,0 +1,248 @@
+/**
+ * Compose options on the main card: recipients (with autocomplete from
+ * thread participants and contacts), subject, an intro note for the top of
+ * the forward, whether to save a draft or send right away, and the output
+ * format (an email draft or an export to Drive).
+ *
+ * The main card's inputs are carried through the message selection card
+ * as a JSON action parameter, since form inputs only reach actions on the
+ * card they're on.
+ */
+
+/**
+ * Most recipient suggestions offered at once.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_RECIPIENT_SUGGESTIONS_ = 10;
+
+/**
+ * Adds the compose inputs to the main card's section.
+ *
+ * @private
+ * @param {CardSection} section - Section to add the inputs to (mutated)
+ * @param {GmailThread|null} thread - Current thread, used for the default subject
+ * @returns {CardSection} The same section
+ */
+function addComposeWidgets_(section, thread) {
+  const messages = thread ? sortMessagesByDate_(thread.getMessages()) : [];
+  const subject = messages.length ? getDefaultSubject_(messages[0].getSubject(), getSettings_().subjectPrefix) : '';
+
+  const formatInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setFieldName('format')
+    .setTitle('Output');
+  for (const format of Object.keys(OUTPUT_FORMATS_)) {
+    formatInput.addItem(OUTPUT_FORMATS_[format], format, format === 'email');
+  }
+
+  return section
+    .addWidget(
+      CardService.newTextInput()
+        .setFieldName('recipients')
+        .setTitle('To')
+        .setHint('Comma-separated; leave empty to fill in later')
+        .setSuggestionsAction(
+          CardService.newAction()
+            .setFunctionName('suggestRecipients')
+        )
+    )
+    .addWidget(
+      CardService.newTextInput()
+        .setFieldName('subject')
+        .setTitle('Subject')
+        .setValue(subject)
+    )
+    .addWidget(
+      CardService.newTextInput()
+        .setFieldName('intro')
+        .setTitle('Intro note (optional)')
+        .setHint('Shown above the conversation summary')
+        .setMultiline(true)
+    )
+    .addWidget(
+      CardService.newSelectionInput()
+        .setType(CardService.SelectionInputType.RADIO_BUTTON)
+        .setFieldName('delivery')
+        .addItem('Save as draft', 'draft', true)
+        .addItem('Send now', 'send', false)
+    )
+    .addWidget(formatInput);
+}
+
+/**
+ * Suggestions handler for the "To" input. Suggests thread participants
+ * and contacts matching the address being typed (the text after the
+ * last comma outside quotes), keeping the addresses already entered.
+ *
+ * @param {Object} e - Event object with the "recipients" form input
+ * @returns {SuggestionsResponse} Suggested values for the whole input
+ */
+function suggestRecipients(e) {
+  const value = getFormValues_(e, 'recipients')[0] || '';
+  let split = -1;
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\') i++;
+    else if (value[i] === '"') quoted = !quoted;
+    else if (!quoted && (value[i] === ',' || value[i] === ';')) split = i;
+  }
+  const query = value.slice(split + 1).trim().toLowerCase();
+  const entered = parseAddressList_(value.slice(0, split + 1));
+  const prefix = entered.length
+    ? `${entered.map((address) => formatAddress_(address.name, address.email)).join(', ')}, `
+    : '';
+  const enteredEmails = entered.map((address) => normalizeEmail_(address.email));
+
+  const suggestions = CardService.newSuggestions();
+  getRecipientCandidates_(getCurrentThreadFromEvent_(e), query)
+    .filter((address) => enteredEmails.indexOf(normalizeEmail_(parseAddressList_(address)[0].email)) === -1)
+    .slice(0, MAX_RECIPIENT_SUGGESTIONS_)
+    .forEach((address) => suggestions.addSuggestion(prefix + address));
+
+  return CardService.newSuggestionsResponseBuilder()
+    .setSuggestions(suggestions)
+    .build();
+}
+
+/**
+ * Returns "Name <email>" candidates matching a query: thread participants
+ * first, then the user's contacts.
+ *
+ * @private
+ * @param {GmailThread|null} thread - Current thread
+ * @param {string} query - Lower-cased text to match against name or email
+ * @returns {string[]} Candidate addresses, de-duplicated by email
+ */
+function getRecipientCandidates_(thread, query) {
+  const seen = {};
+  const candidates = [];
+  const add = (name, email) => {
+    const key = (email || '').toLowerCase();
+    if (!key || seen[key]) return;
+    if (query && `${name} ${email}`.toLowerCase().indexOf(query) === -1) return;
+    seen[key] = true;
+    candidates.push(formatAddress_(name, email));
+  };
+
+  if (thread) {
+    for (const msg of thread.getMessages()) {
+      for (const field of [msg.getFrom(), msg.getTo(), msg.getCc()]) {
+        parseAddressList_(field).forEach((address) => add(address.name, address.email));
+      }
+    }
+  }
+
+  for (const contact of searchContacts_(query)) {
+    add(contact.name, contact.email);
+  }
+
+  return candidates;
+}
+
+/**
+ * Searches the user's contacts with the People advanced service.
+ * Returns nothing when the service isn't enabled or the search fails,
+ * so autocomplete still offers thread participants.
+ *
+ * @private
+ * @param {string} query - Text to search for
+ * @returns {Object[]} {name, email} of each matching contact email
+ */
+function searchContacts_(query) {
+  if (!query || typeof People === 'undefined') return [];
+
+  try {
+    const response = People.People.searchContacts({
+      query: query,
+      readMask: 'names,emailAddresses',
+      pageSize: MAX_RECIPIENT_SUGGESTIONS_
+    });
+    const results = [];
+    for (const result of response.results || []) {
+      const person = result.person || {};
+      const name = person.names && person.names.length ? person.names[0].displayName : '';
+      for (const address of person.emailAddresses || []) {
+        results.push({ name: name, email: address.value });
+      }
+    }
+    return results;
+  } catch (err) {
+    console.warn('Contact search failed:', err);
+    return [];
+  }
+}
+
+/**
+ * Reads the compose inputs from the main card.
+ *
+ * @private
+ * @param {Object} e - Event object from a main card action
+ * @returns {Object} {recipients: string, subject: string, intro: string, sendNow: boolean, format: string}
+ */
+function readComposeForm_(e) {
+  const recipients = parseAddressList_(getFormValues_(e, 'recipients')[0] || '')
+    .map((address) => formatAddress_(address.name, address.email));
+
+  return {
+    recipients: recipients.join(', '),
+    subject: (getFormValues_(e, 'subject')[0] || '').trim(),
+    intro: (getFormValues_(e, 'intro')[0] || '').trim(),
+    sendNow: getFormValues_(e, 'delivery')[0] === 'send',
+    format: OUTPUT_FORMATS_[getFormValues_(e, 'format')[0]] ? getFormValues_(e, 'format')[0] : 'email'
+  };
+}
+
+/**
+ * Reads the compose options carried in an action's "compose" parameter.
+ * Actions that don't carry one (e.g. called directly) get the defaults:
+ * no recipients, default subject, no intro, save as an email draft.
+ *
+ * @private
+ * @param {Object} e - Event object
+ * @returns {Object} {recipients: string, subject: string, intro: string, sendNow: boolean, format: string}
+ */
+function getComposeOptions_(e) {
+  const parameters = e && e.commonEventObject && e.commonEventObject.parameters;
+  const compose = { recipients: '', subject: '', intro: '', sendNow: false, format: 'email' };
+  if (parameters && parameters.compose) {
+    Object.assign(compose, JSON.parse(parameters.compose));
+  }
+  return compose;
+}
+
+/**
+ * Returns the default subject for a forward of a thread.
+ *
+ * @private
+ * @param {string} threadSubject - Subject of the first message
+ * @param {string} [prefix] - Subject prefix setting (default "FWD: ")
+ * @returns {string} Subject line
+ */
+function getDefaultSubject_(threadSubject, prefix) {
+  const subjectPrefix = prefix === undefined ? DEFAULT_SETTINGS_.subjectPrefix : prefix;
+  return `${subjectPrefix}${threadSubject || 'Forwarded Conversation'}`;
+}
+
+/**
+ * Builds the intro note shown above the "Conversation Summary" header.
+ *
+ * @private
+ * @param {string} intro - Plain-text note typed by the user
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string when there is no note
+ */
+function buildIntroHtml_(intro, theme) {
+  if (!intro) return '';
+
+  return `
+    <div style="
+      font-family:${theme.fontFamily};
+      font-size:${theme.fontSize}px;
+      color:${theme.heading};
+      line-height:1.6;
+      margin:0 0 20px 0;
+    ">${textToHtml_(intro)}</div>
+  `;
+}
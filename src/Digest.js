@@ -0,0 +1,537 @@
+/**
+ * Batch digest: every thread matching a Gmail search, cleaned into one
+ * email on a schedule.
+ *
+ * The digest card saves a query (e.g. "label:Escalations"), recipients and
+ * an hour, and installs a daily time-driven trigger that calls runDigest.
+ * Each run renders the matching threads it hasn't processed before with
+ * the same pipeline as a clean forward, puts them in one draft (or sent
+ * message) under a table of contents, and records their ids so a thread
+ * is never included twice. The search is limited to threads active in
+ * the last DIGEST_MAX_AGE_DAYS_, which is what lets old ids be forgotten.
+ * Like inserted threads, attachments are listed but not copied.
+ */
+
+/**
+ * User property key holding the digest configuration JSON:
+ * {query, recipients, hour, sendNow, timeZone, locale}.
+ *
+ * @constant
+ * @type {string}
+ */
+const DIGEST_PROPERTY_KEY_ = 'cleanForward.digest';
+
+/**
+ * User property key holding the digest state JSON:
+ * {processed: string[], lastRun: string, lastCount: number}.
+ *
+ * @constant
+ * @type {string}
+ */
+const DIGEST_STATE_PROPERTY_KEY_ = 'cleanForward.digest.state';
+
+/**
+ * Trigger handler function name.
+ *
+ * @constant
+ * @type {string}
+ */
+const DIGEST_TRIGGER_FUNCTION_ = 'runDigest';
+
+/**
+ * Most threads in one digest; the rest wait for the next run, so a run
+ * stays well inside the 6-minute execution limit.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_DIGEST_THREADS_ = 20;
+
+/**
+ * Age limit, in days, added to every digest search ("newer_than:7d").
+ * A processed id is forgotten once its thread stops matching, so a thread
+ * only comes back if it gets a new message after a week of silence.
+ *
+ * @constant
+ * @type {number}
+ */
+const DIGEST_MAX_AGE_DAYS_ = 7;
+
+/**
+ * Most processed thread ids remembered, so the list fits in one 9 KB
+ * property value. Only a query matching more threads than this within
+ * DIGEST_MAX_AGE_DAYS_ can push out an id that still matches.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_PROCESSED_THREADS_ = 300;
+
+/**
+ * Default hour of the daily run.
+ *
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_DIGEST_HOUR_ = 7;
+
+/**
+ * Time-driven trigger entry point. Builds and delivers the digest.
+ * Skips the run when another one (e.g. "Run now") holds the lock.
+ *
+ * @param {Object} [e] - Trigger event (not used)
+ * @returns {Object|null} Result of createDigest_, or null when there is no
+ *     query or another run is in progress
+ */
+function runDigest(e) {
+  const config = getDigestConfig_();
+  if (!config.query) return null;
+
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(1000)) {
+    console.warn('A digest is already being built, skipping this run.');
+    return null;
+  }
+  try {
+    return createDigest_(config);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Builds the digest for the threads matching the query that haven't been
+ * processed yet, records the threads as processed and delivers it. The
+ * threads are recorded first, so a failed state write can't send them
+ * twice; if delivery fails, the previous state is restored and the next
+ * run retries them.
+ *
+ * @private
+ * @param {Object} config - Digest configuration from getDigestConfig_
+ * @returns {Object} {subject, threadCount, sent, draftUrl}; threadCount is 0
+ *     (and nothing is delivered) when there are no new threads
+ */
+function createDigest_(config) {
+  // Triggers have no event, so use the time zone and locale saved with the digest
+  const settings = getSettings_({
+    commonEventObject: { timeZone: { id: config.timeZone }, userLocale: config.locale }
+  });
+  const state = getDigestState_();
+
+  const matching = GmailApp.search(`(${config.query}) newer_than:${DIGEST_MAX_AGE_DAYS_}d`, 0,
+    MAX_PROCESSED_THREADS_ + MAX_DIGEST_THREADS_);
+  const matchingIds = matching.map((thread) => thread.getId());
+  const threads = matching
+    .filter((thread) => state.processed.indexOf(thread.getId()) === -1)
+    .slice(0, MAX_DIGEST_THREADS_);
+  // Threads that no longer match can't be picked up again, so forget them
+  const processed = state.processed.filter((id) => matchingIds.indexOf(id) !== -1);
+
+  const entries = [];
+  for (const thread of threads) {
+    try {
+      const rendered = renderCleanThread_(thread, { includeFiles: false, settings: settings });
+      if (!rendered) continue;
+      entries.push({
+        threadId: thread.getId(),
+        anchor: `cleanfwd-digest-${entries.length + 1}`,
+        subject: stripSubjectPrefixes_(thread.getFirstMessageSubject()) || '(no subject)',
+        messageCount: rendered.model.messages.length,
+        latestLabel: formatDate_(thread.getLastMessageDate(), settings),
+        html: rendered.html,
+        text: renderThreadModel_(rendered.model, 'text')
+      });
+    } catch (err) {
+      // Leave the thread unprocessed so the next run retries it
+      console.error(`Could not add thread ${thread.getId()} to the digest:`, err);
+    }
+  }
+
+  if (entries.length === 0) {
+    saveDigestState_(processed, 0);
+    return { subject: '', threadCount: 0, sent: false, draftUrl: '' };
+  }
+
+  const digest = {
+    subject: `Digest: ${config.query} (${entries.length} ${entries.length === 1 ? 'thread' : 'threads'})`,
+    query: config.query,
+    dateLabel: formatDate_(new Date(), settings),
+    entries: entries
+  };
+  const theme = getTheme_(settings.theme, getBranding_());
+  const sent = !!(config.sendNow && config.recipients);
+
+  saveDigestState_(processed.concat(entries.map((entry) => entry.threadId)), entries.length);
+  let draft = null;
+  let messageId;
+  try {
+    draft = GmailApp.createDraft(config.recipients || '', digest.subject, renderDigestText_(digest), {
+      htmlBody: renderDigestHtml_(digest, theme)
+    });
+    messageId = sent ? draft.send().getId() : draft.getMessage().getId();
+  } catch (err) {
+    // Nothing was delivered: let the next run retry, without a stray draft
+    PropertiesService.getUserProperties().setProperty(DIGEST_STATE_PROPERTY_KEY_, JSON.stringify(state));
+    if (draft) draft.deleteDraft();
+    throw err;
+  }
+
+  return {
+    subject: digest.subject,
+    threadCount: entries.length,
+    sent: sent,
+    draftUrl: sent
+      ? `https://mail.google.com/mail/u/0/#sent/${messageId}`
+      : `https://mail.google.com/mail/u/0/#drafts?compose=${messageId}`
+  };
+}
+
+/**
+ * Renders the digest HTML: a header with the table of contents, linked to
+ * an anchor before each thread's clean timeline.
+ *
+ * @private
+ * @param {Object} digest - {subject, query, dateLabel, entries: [{anchor, subject, messageCount, latestLabel, html}]}
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML
+ */
+function renderDigestHtml_(digest, theme) {
+  const contents = digest.entries.map((entry) => `
+    <li style="margin:0 0 4px 0;">
+      <a href="#${entry.anchor}" style="color:${theme.accent};text-decoration:none;">${sanitizeHtml_(entry.subject)}</a>
+      <span style="color:${theme.muted};font-size:12px;">
+        · ${entry.messageCount} ${entry.messageCount === 1 ? 'message' : 'messages'} · ${sanitizeHtml_(entry.latestLabel)}
+      </span>
+    </li>`);
+
+  const sections = digest.entries.map((entry) =>
+    `<a name="${entry.anchor}" id="${entry.anchor}"></a>${entry.html}`);
+
+  return `
+    <div style="
+      font-family:${theme.fontFamily};
+      background:${theme.background};
+      padding:${theme.pagePadding};
+      margin:0;
+    ">
+      <div style="max-width:760px;margin:0 auto;">
+        <div style="
+          background:${theme.surface};
+          border:1px solid ${theme.border};
+          border-radius:${theme.radius + 2}px;
+          padding:20px 24px;
+        ">
+          <h2 style="
+            margin:0 0 4px 0;
+            font-size:${theme.headingSize}px;
+            font-weight:600;
+            color:${theme.heading};
+          ">${sanitizeHtml_(digest.subject)}</h2>
+          <p style="margin:0 0 12px 0;font-size:${theme.fontSize}px;color:${theme.muted};">
+            Threads matching <strong>${sanitizeHtml_(digest.query)}</strong>, ${sanitizeHtml_(digest.dateLabel)}.
+          </p>
+          <ol style="margin:0;padding-left:20px;font-size:${theme.fontSize}px;color:${theme.text};">
+            ${contents.join('')}
+          </ol>
+        </div>
+      </div>
+    </div>
+    ${sections.join('')}
+  `;
+}
+
+/**
+ * Renders the digest as plain text, for the body of clients that don't
+ * show HTML.
+ *
+ * @private
+ * @param {Object} digest - See renderDigestHtml_; entries also have text
+ * @returns {string} Plain-text digest
+ */
+function renderDigestText_(digest) {
+  const lines = [digest.subject, `Threads matching ${digest.query}, ${digest.dateLabel}.`, ''];
+
+  digest.entries.forEach((entry, i) => {
+    lines.push(`${i + 1}. ${entry.subject} (${entry.messageCount} ${entry.messageCount === 1 ? 'message' : 'messages'})`);
+  });
+
+  for (const entry of digest.entries) {
+    lines.push('', '#'.repeat(72), '', entry.text.trim());
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads the digest configuration.
+ *
+ * @private
+ * @returns {Object} {query, recipients, hour, sendNow, timeZone, locale}; query is
+ *     empty when no digest is set up
+ */
+function getDigestConfig_() {
+  const defaults = { query: '', recipients: '', hour: DEFAULT_DIGEST_HOUR_, sendNow: false, timeZone: '', locale: '' };
+  try {
+    const stored = PropertiesService.getUserProperties().getProperty(DIGEST_PROPERTY_KEY_);
+    return Object.assign(defaults, stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.warn('Could not read the digest configuration, ignoring it:', err);
+    return defaults;
+  }
+}
+
+/**
+ * Reads the digest state.
+ *
+ * @private
+ * @returns {Object} {processed: string[], lastRun: string, lastCount: number}
+ */
+function getDigestState_() {
+  const defaults = { processed: [], lastRun: '', lastCount: 0 };
+  try {
+    const stored = PropertiesService.getUserProperties().getProperty(DIGEST_STATE_PROPERTY_KEY_);
+    return Object.assign(defaults, stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.warn('Could not read the digest state, starting over:', err);
+    return defaults;
+  }
+}
+
+/**
+ * Saves the processed thread ids (the most recent MAX_PROCESSED_THREADS_)
+ * and the time of this run.
+ *
+ * @private
+ * @param {string[]} processed - Processed thread ids, oldest first
+ * @param {number} count - Threads included in this run
+ */
+function saveDigestState_(processed, count) {
+  PropertiesService.getUserProperties().setProperty(DIGEST_STATE_PROPERTY_KEY_, JSON.stringify({
+    processed: processed.slice(-MAX_PROCESSED_THREADS_),
+    lastRun: new Date().toISOString(),
+    lastCount: count
+  }));
+}
+
+/**
+ * Replaces the digest trigger with a daily one at the configured hour.
+ *
+ * @private
+ * @param {Object} config - Digest configuration
+ */
+function installDigestTrigger_(config) {
+  removeDigestTriggers_();
+  ScriptApp.newTrigger(DIGEST_TRIGGER_FUNCTION_)
+    .timeBased()
+    .everyDays(1)
+    .atHour(config.hour)
+    .inTimezone(config.timeZone || Session.getScriptTimeZone())
+    .create();
+}
+
+/**
+ * Deletes the user's digest triggers.
+ *
+ * @private
+ * @returns {number} Number of triggers deleted
+ */
+function removeDigestTriggers_() {
+  const triggers = ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === DIGEST_TRIGGER_FUNCTION_);
+  triggers.forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+  return triggers.length;
+}
+
+/**
+ * Action handler for the settings card's "Digest" button.
+ *
+ * @param {Object} e - The event object (not used)
+ * @returns {ActionResponse} Response that pushes the digest card
+ */
+function showDigestSettings(e) {
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(buildDigestCard_(getSettings_(e)))
+    )
+    .build();
+}
+
+/**
+ * Builds the digest card: query, recipients, delivery and hour, with the
+ * schedule's status.
+ *
+ * @private
+ * @param {Object} settings - User settings (for date labels)
+ * @returns {Card} Digest card
+ */
+function buildDigestCard_(settings) {
+  const config = getDigestConfig_();
+  const state = getDigestState_();
+  const scheduled = ScriptApp.getProjectTriggers()
+    .some((trigger) => trigger.getHandlerFunction() === DIGEST_TRIGGER_FUNCTION_);
+
+  const status = [scheduled ? `Runs daily at ${config.hour}:00.` : 'Not scheduled.'];
+  if (state.lastRun) {
+    status.push(`Last run ${formatDate_(new Date(state.lastRun), settings)}: ` +
+      `${state.lastCount} new ${state.lastCount === 1 ? 'thread' : 'threads'}.`);
+  }
+
+  const hourInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Every day at')
+    .setFieldName('digestHour');
+  for (let hour = 0; hour < 24; hour++) {
+    hourInput.addItem(`${hour}:00`, String(hour), hour === config.hour);
+  }
+
+  const button = (text, functionName, style) => CardService.newTextButton()
+    .setText(text)
+    .setTextButtonStyle(style || CardService.TextButtonStyle.TEXT)
+    .setOnClickAction(
+      CardService.newAction()
+        .setFunctionName(functionName)
+    );
+
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Daily digest')
+        .setSubtitle('New threads matching a search, in one email')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newTextParagraph()
+            .setText(status.join(' '))
+        )
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('digestQuery')
+            .setTitle('Gmail search')
+            .setHint('e.g. label:Escalations newer_than:2d')
+            .setValue(config.query)
+        )
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('digestRecipients')
+            .setTitle('Recipients')
+            .setHint('Comma-separated; leave empty to only save a draft')
+            .setValue(config.recipients)
+        )
+        .addWidget(
+          CardService.newSelectionInput()
+            .setType(CardService.SelectionInputType.RADIO_BUTTON)
+            .setTitle('Delivery')
+            .setFieldName('digestDelivery')
+            .addItem('Save as draft', 'draft', !config.sendNow)
+            .addItem('Send', 'send', config.sendNow)
+        )
+        .addWidget(hourInput)
+        .addWidget(button('Save & schedule', 'saveDigestSettings', CardService.TextButtonStyle.FILLED))
+        .addWidget(
+          CardService.newButtonSet()
+            .addButton(button('Run now', 'runDigestNow'))
+            .addButton(button('Turn off', 'disableDigest'))
+        )
+    )
+    .build();
+}
+
+/**
+ * Action handler for the digest card's "Save & schedule" button.
+ *
+ * @param {Object} e - Event object with the digest form inputs
+ * @returns {ActionResponse} Response that refreshes the digest card
+ */
+function saveDigestSettings(e) {
+  const query = (getFormValues_(e, 'digestQuery')[0] || '').trim();
+  const recipients = parseAddressList_(getFormValues_(e, 'digestRecipients')[0] || '')
+    .map((address) => address.email)
+    .join(', ');
+  const sendNow = getFormValues_(e, 'digestDelivery')[0] === 'send';
+
+  const error = !query ? 'Enter a Gmail search for the digest.'
+    : sendNow && !recipients ? 'Add at least one recipient to send the digest.'
+    : '';
+  if (error) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText(error)
+      )
+      .build();
+  }
+
+  const hour = parseInt(getFormValues_(e, 'digestHour')[0], 10);
+  const settings = getSettings_(e);
+  const config = {
+    query: query,
+    recipients: recipients,
+    hour: hour >= 0 && hour < 24 ? hour : DEFAULT_DIGEST_HOUR_,
+    sendNow: sendNow,
+    timeZone: settings.timeZone,
+    locale: settings.dateLocale
+  };
+  PropertiesService.getUserProperties().setProperty(DIGEST_PROPERTY_KEY_, JSON.stringify(config));
+  installDigestTrigger_(config);
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(buildDigestCard_(settings))
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText(`Digest scheduled daily at ${config.hour}:00.`)
+    )
+    .build();
+}
+
+/**
+ * Action handler for the digest card's "Run now" button.
+ *
+ * @param {Object} e - The event object
+ * @returns {ActionResponse} Response that refreshes the digest card with the outcome
+ */
+function runDigestNow(e) {
+  let message;
+  try {
+    const result = runDigest();
+    message = !result ? (getDigestConfig_().query ? 'A digest is already being built.' : 'Save a Gmail search first.')
+      : result.threadCount === 0 ? 'No new threads match.'
+      : `${result.sent ? 'Digest sent' : 'Digest draft created'} with ${result.threadCount} ` +
+        `${result.threadCount === 1 ? 'thread' : 'threads'}.`;
+  } catch (err) {
+    console.error(err);
+    message = 'Error building the digest. Check Logs.';
+  }
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(buildDigestCard_(getSettings_(e)))
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText(message)
+    )
+    .build();
+}
+
+/**
+ * Action handler for the digest card's "Turn off" button. Removes the
+ * trigger; the configuration and processed threads are kept.
+ *
+ * @param {Object} e - The event object
+ * @returns {ActionResponse} Response that refreshes the digest card
+ */
+function disableDigest(e) {
+  const removed = removeDigestTriggers_();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(buildDigestCard_(getSettings_(e)))
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText(removed ? 'Digest turned off.' : 'The digest was not scheduled.')
+    )
+    .build();
+}
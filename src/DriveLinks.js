@@ -0,0 +1,192 @@
+/**
+ * Attachment size budget with a Drive-link fallback.
+ *
+ * Gmail rejects drafts whose attachments total more than 25 MB, so the
+ * draft builder keeps a running total and, once a file would go over the
+ * user's budget, uploads it to a Drive folder and links it instead.
+ * Inline images can't be linked, so they are counted first. Linked files
+ * stay private until the forward is sent, then are shared with its
+ * recipients, unless the user picks link sharing (DRIVE_SHARING_MODES_)
+ * in settings. A saved draft never shares anything: Drive emails each new
+ * viewer, and the user may still change the recipients or drop the draft.
+ */
+
+/**
+ * User property key caching the Drive folder id for linked files and exports.
+ *
+ * @constant
+ * @type {string}
+ */
+const DRIVE_FOLDER_PROPERTY_KEY_ = 'cleanForward.driveFolderId';
+
+/**
+ * Sharing options for linked attachments, for the settings card.
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const DRIVE_SHARING_MODES_ = {
+  recipients: 'Shared with the recipients when sent',
+  domain: 'Anyone in my organization with the link',
+  anyone: 'Anyone with the link (public)'
+};
+
+/**
+ * Creates an attachment budget for one draft.
+ *
+ * @private
+ * @param {number} budgetMb - Budget in megabytes; 0 or less attaches everything
+ * @returns {Object} {limit: number (bytes, Infinity when disabled), used: number, linked: Object[]}
+ */
+function createAttachmentBudget_(budgetMb) {
+  return {
+    limit: budgetMb > 0 ? budgetMb * 1024 * 1024 : Infinity,
+    used: 0,
+    linked: [] // {name, size, url, fileId, sharing} of files uploaded to Drive
+  };
+}
+
+/**
+ * Checks whether a file still fits in the budget and, if so, counts it.
+ * Files are considered in thread order, so a small file after an
+ * oversized one can still be attached.
+ *
+ * @private
+ * @param {Object} budget - Budget from createAttachmentBudget_ (mutated)
+ * @param {number} size - File size in bytes
+ * @returns {boolean} True if the file should be attached
+ */
+function fitsAttachmentBudget_(budget, size) {
+  if (budget.used + size > budget.limit) return false;
+  budget.used += size;
+  return true;
+}
+
+/**
+ * Uploads an attachment to the Clean Forward Drive folder. With link
+ * sharing ("domain" or "anyone") the file is shared right away; otherwise
+ * it stays private until shareLinkedFiles_ runs after sending.
+ *
+ * @private
+ * @param {GmailAttachment} att - Attachment that didn't fit in the draft
+ * @param {string} mode - Key of DRIVE_SHARING_MODES_
+ * @returns {Object} {url, fileId, sharing}; sharing is the mode applied, or null
+ *     while only the user can open the file
+ */
+function linkAttachmentInDrive_(att, mode) {
+  const file = getAttachmentFolder_().createFile(att.copyBlob());
+  const access = {
+    domain: DriveApp.Access.DOMAIN_WITH_LINK,
+    anyone: DriveApp.Access.ANYONE_WITH_LINK
+  }[mode];
+
+  let sharing = null;
+  if (access) {
+    try {
+      file.setSharing(access, DriveApp.Permission.VIEW);
+      sharing = mode;
+    } catch (err) {
+      // Some domains forbid link sharing; the file is shared with the
+      // recipients when the forward is sent instead
+      console.warn(`Could not share ${att.getName()} by link:`, err);
+    }
+  }
+
+  return { url: file.getUrl(), fileId: file.getId(), sharing: sharing };
+}
+
+/**
+ * Shares the linked files that aren't shared by link with the recipients
+ * of a forward that was just sent. Drive emails each of them about it.
+ *
+ * @private
+ * @param {Object[]} linkedFiles - Entries of the budget's linked list (sharing is set)
+ * @param {string[]} recipients - Email addresses the forward was sent to
+ */
+function shareLinkedFiles_(linkedFiles, recipients) {
+  if (recipients.length === 0) return;
+
+  for (const file of linkedFiles) {
+    if (file.sharing) continue;
+    try {
+      DriveApp.getFileById(file.fileId).addViewers(recipients);
+      file.sharing = 'recipients';
+    } catch (err) {
+      // Some domains forbid outside sharing; the owner can still share it
+      console.warn(`Could not share ${file.name} with the recipients:`, err);
+    }
+  }
+}
+
+/**
+ * Returns the Drive folder for linked attachments and exports, creating
+ * it (and remembering its id) the first time or if it was deleted.
+ *
+ * @private
+ * @returns {Folder} Drive folder
+ */
+function getAttachmentFolder_() {
+  const userProperties = PropertiesService.getUserProperties();
+  const folderId = userProperties.getProperty(DRIVE_FOLDER_PROPERTY_KEY_);
+
+  if (folderId) {
+    try {
+      const folder = DriveApp.getFolderById(folderId);
+      if (!folder.isTrashed()) return folder;
+    } catch (err) {
+      console.warn('Saved attachment folder is gone, creating a new one:', err);
+    }
+  }
+
+  const folder = DriveApp.createFolder(getSettings_().driveFolderName);
+  userProperties.setProperty(DRIVE_FOLDER_PROPERTY_KEY_, folder.getId());
+  return folder;
+}
+
+/**
+ * Builds the "Open in Drive" link shown next to a linked file in the draft.
+ *
+ * @private
+ * @param {string} url - Drive file URL
+ * @returns {string} HTML link
+ */
+function buildDriveLinkHtml_(url) {
+  return `<a href="${sanitizeHtml_(url)}" style="color:#2563eb;font-size:11px;">Open in Drive</a>`;
+}
+
+/**
+ * Builds the success-card paragraph listing files that were linked from
+ * Drive instead of attached, and who can open them.
+ *
+ * @private
+ * @param {Object[]} linkedFiles - {name, size, url, sharing} of each linked file
+ * @returns {TextParagraph} Card widget
+ */
+function buildLinkedFilesParagraph_(linkedFiles) {
+  const access = {
+    recipients: 'the recipients',
+    domain: 'anyone in your organization with the link',
+    anyone: 'anyone with the link'
+  };
+  const lines = linkedFiles.map((file) =>
+    `• <a href="${sanitizeHtml_(file.url)}">${sanitizeHtml_(file.name)}</a> (${formatFileSize_(file.size)})` +
+    (file.sharing ? '' : ' - not shared yet')
+  );
+  const count = linkedFiles.length === 1 ? '1 file was' : `${linkedFiles.length} files were`;
+
+  const sharedWith = [];
+  linkedFiles.forEach((file) => {
+    if (file.sharing && sharedWith.indexOf(access[file.sharing]) === -1) sharedWith.push(access[file.sharing]);
+  });
+  const notes = [];
+  if (sharedWith.length > 0) {
+    notes.push(`Shared with ${sharedWith.join(' and ')} (change this in Settings).`);
+  }
+  if (linkedFiles.some((file) => !file.sharing)) {
+    notes.push('Files not shared yet only open for you: share them from Drive with the people you send the draft to.');
+  }
+
+  return CardService.newTextParagraph()
+    .setText(`${count} too large to attach and ${linkedFiles.length === 1 ? 'is' : 'are'} linked from Drive instead:` +
+      `<br>${lines.join('<br>')}<br>${notes.join(' ')}`);
+}
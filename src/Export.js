@@ -0,0 +1,188 @@
+/**
+ * Output formats other than the HTML email draft.
+ *
+ * Markdown and plain text come from the renderers in src/Renderers.js; PDF
+ * is the timeline HTML converted by Apps Script; Google Docs are built
+ * paragraph by paragraph from the thread model. Exports are saved to the
+ * Clean Forward Drive folder and linked from the success card.
+ */
+
+/**
+ * Selectable output formats, in the order they appear on the main card.
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const OUTPUT_FORMATS_ = {
+  email: 'Email draft',
+  markdown: 'Markdown (.md)',
+  text: 'Plain text (.txt)',
+  pdf: 'PDF',
+  doc: 'Google Doc'
+};
+
+/**
+ * Renders a thread in a non-email format and saves it to Drive.
+ *
+ * @private
+ * @param {GmailThread} thread - The Gmail thread to export
+ * @param {Object} options - {format, messageIds, restoreIds, edits, subject, intro, settings}; format is a key of OUTPUT_FORMATS_ other than "email"
+ * @returns {Object|null} {subject, fileName, url, redactions}, or null when there are no messages
+ */
+function exportCleanThread_(thread, options) {
+  // Exported files can't carry attachments or cid: images; they're listed instead
+  const rendered = renderCleanThread_(thread, Object.assign({}, options, { includeFiles: false }));
+  if (!rendered) return null;
+
+  const baseName = rendered.subject.replace(/[\\/:*?"<>|]+/g, '-').trim();
+  let file;
+
+  if (options.format === 'markdown') {
+    file = saveExportToDrive_(Utilities.newBlob(renderThreadModel_(rendered.model, 'markdown'), 'text/markdown', `${baseName}.md`));
+  } else if (options.format === 'text') {
+    file = saveExportToDrive_(Utilities.newBlob(renderThreadModel_(rendered.model, 'text'), 'text/plain', `${baseName}.txt`));
+  } else if (options.format === 'pdf') {
+    const pdf = Utilities.newBlob(rendered.html, 'text/html', `${baseName}.html`).getAs('application/pdf');
+    file = saveExportToDrive_(pdf.setName(`${baseName}.pdf`));
+  } else if (options.format === 'doc') {
+    file = createGoogleDocExport_(rendered.model, baseName);
+  } else {
+    throw new Error(`Unknown output format: ${options.format}`);
+  }
+
+  return {
+    subject: rendered.subject,
+    fileName: file.getName(),
+    url: file.getUrl(),
+    redactions: rendered.model.redactions
+  };
+}
+
+/**
+ * Saves an export blob to the Clean Forward Drive folder.
+ *
+ * @private
+ * @param {Blob} blob - File contents, already named
+ * @returns {File} The Drive file
+ */
+function saveExportToDrive_(blob) {
+  return getAttachmentFolder_().createFile(blob);
+}
+
+/**
+ * Builds a Google Doc from the cleaned messages and moves it into the
+ * Clean Forward Drive folder.
+ *
+ * @private
+ * @param {Object} model - Thread model from buildThreadModel_
+ * @param {string} name - Document name
+ * @returns {File} The Drive file for the document
+ */
+function createGoogleDocExport_(model, name) {
+  const doc = DocumentApp.create(name);
+  const body = doc.getBody();
+
+  body.appendParagraph(model.subject).setHeading(DocumentApp.ParagraphHeading.TITLE);
+  if (model.intro) {
+    body.appendParagraph(model.intro);
+  }
+  body.appendParagraph(`Times are in ${model.timeZone}.`);
+  if (model.participants.length > 1) {
+    body.appendParagraph(`Participants: ${formatRosterSummary_(model.participants)}`);
+    groupParticipantsByDomain_(model).forEach((group) => body.appendListItem(formatDomainGroup_(group)));
+    model.participants.filter((person) => person.signature)
+      .forEach((person) => body.appendListItem(formatParticipantSignature_(person)));
+  }
+  if (model.threads.length > 0) {
+    body.appendParagraph(`Merged from ${model.threads.length} threads:`);
+    model.threads.forEach((source) => body.appendListItem(formatSourceThread_(source)));
+  }
+  for (const file of model.files) {
+    body.appendListItem(`${file.name} (${formatFileSize_(file.size)}) - first shared by ${file.from}, ${file.dateLabel}`);
+  }
+
+  for (const message of model.messages) {
+    body.appendParagraph(`${message.sender.display} - ${message.dateLabel}`)
+      .setHeading(DocumentApp.ParagraphHeading.HEADING3);
+    if (message.source) {
+      body.appendParagraph(formatSourceThread_(message.source));
+    }
+    if (message.recipientChanges) {
+      body.appendParagraph(formatRecipientChanges_(message.recipientChanges));
+    }
+    const paragraphs = (message.text || '(no new text)').split(/\n{2,}/);
+    paragraphs.forEach((paragraph) => body.appendParagraph(paragraph));
+    message.forwarded.forEach((forward) => {
+      body.appendParagraph(formatForwardedHeading_(forward))
+        .setHeading(DocumentApp.ParagraphHeading.HEADING4);
+      forward.text.split(/\n{2,}/).forEach((paragraph) => body.appendParagraph(paragraph));
+    });
+    message.attachments.forEach((att) => body.appendListItem(`${att.name} (${formatFileSize_(att.size)})`));
+  }
+
+  doc.saveAndClose();
+
+  const file = DriveApp.getFileById(doc.getId());
+  file.moveTo(getAttachmentFolder_());
+  return file;
+}
+
+/**
+ * Builds the success response for an export: a card linking to the file.
+ *
+ * @private
+ * @param {Object} exported - Result of exportCleanThread_
+ * @returns {ActionResponse} Response that pushes the success card
+ */
+function buildExportSuccessResponse_(exported) {
+  const successSection = CardService.newCardSection()
+    .addWidget(
+      CardService.newTextParagraph()
+        .setText(`Saved <b>${sanitizeHtml_(exported.fileName)}</b> to your Clean Forward folder in Drive.`)
+    );
+  if (exported.redactions.length > 0) {
+    successSection.addWidget(buildRedactionsParagraph_(exported.redactions));
+  }
+
+  const card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Exported!')
+        .setSubtitle(exported.subject)
+    )
+    .addSection(
+      successSection
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Open File')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOpenLink(
+              CardService.newOpenLink()
+                .setUrl(exported.url)
+                .setOpenAs(CardService.OpenAs.FULL_SIZE)
+                .setOnClose(CardService.OnClose.NOTHING)
+            )
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Create Another')
+            .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('resetToMainCard')
+            )
+        )
+    )
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(card)
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText(`Exported: ${exported.fileName}`)
+        .setType(CardService.NotificationType.INFO)
+    )
+    .build();
+}
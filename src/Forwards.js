@@ -0,0 +1,144 @@
+/**
+ * Forwarded content inside messages.
+ *
+ * The cleaners cut a message at its first forward marker, which is right
+ * when the forwarded part repeats messages already in the thread but
+ * loses anything forwarded in from outside it. parseForwardedBlocks_
+ * splits the forwarded part into sub-messages (sender, date, subject,
+ * cleaned text); the thread model keeps those that aren't copies of a
+ * thread message or of an earlier forward, and the renderers show them as
+ * a card nested in the forwarding message.
+ */
+
+/**
+ * Header labels of a forwarded block, in English. LOCALE_PATTERNS_ headers
+ * add the labels of the detected language.
+ *
+ * @constant
+ * @type {Object.<string, RegExp>}
+ */
+const FORWARD_HEADER_PATTERNS_ = {
+  from: /^from\s*:/i,
+  sent: /^(sent|date)\s*:/i,
+  to: /^(to|cc)\s*:/i,
+  subject: /^subject\s*:/i
+};
+
+/**
+ * Splits the forwarded blocks out of a plain-text body.
+ *
+ * Each block starts at a forward marker (the same markers stripQuotedText_
+ * cuts at, plus the locale's) and runs to the next one, so a
+ * forward of a forward gives two blocks. The header lines after the
+ * marker give the sender, date and subject; the rest is cleaned with
+ * stripQuotedText_. Blocks without a From header are skipped.
+ *
+ * @private
+ * @param {string} plainBody - Raw plain text body from Gmail message
+ * @param {Object} [options] - Cleaning options, see stripQuotedText_
+ * @returns {Object[]} Blocks in order: {from: {name, email, display}, date: string,
+ *     subject: string, text: string}; date is the header as written
+ */
+function parseForwardedBlocks_(plainBody, options) {
+  if (!plainBody) return [];
+
+  const opts = options || {};
+  const locale = getLocalePatterns_(plainBody, opts.locales || DEFAULT_SETTINGS_.locales);
+  const lines = cleanPlainTextArtifacts_(cleanUnicodeArtifacts_(plainBody, { emoji: opts.emoji }))
+    .replace(/\r\n/g, '\n')
+    .split('\n');
+
+  const isMarker = (line) => {
+    const trimmed = line.trim();
+    return REGEX_PATTERNS_.gmailForward.test(trimmed) ||
+      REGEX_PATTERNS_.iosForward.test(trimmed) ||
+      REGEX_PATTERNS_.originalMessage.test(trimmed) ||
+      !!(locale && locale.forwardMarker.test(trimmed));
+  };
+  const markers = [];
+  lines.forEach((line, i) => {
+    if (isMarker(line)) markers.push(i);
+  });
+
+  const blocks = [];
+  markers.forEach((start, m) => {
+    const end = m + 1 < markers.length ? markers[m + 1] : lines.length;
+    const block = parseForwardedBlock_(lines.slice(start + 1, end), locale, opts);
+    if (block) blocks.push(block);
+  });
+  return blocks;
+}
+
+/**
+ * Parses one forwarded block: its header lines, then the body.
+ *
+ * @private
+ * @param {string[]} lines - Lines after the forward marker
+ * @param {Object|null} locale - Entry from LOCALE_PATTERNS_, or null for English only
+ * @param {Object} opts - Cleaning options for stripQuotedText_
+ * @returns {Object|null} Block (see parseForwardedBlocks_), or null without a From header
+ */
+function parseForwardedBlock_(lines, locale, opts) {
+  const labels = ['from', 'sent', 'to', 'subject'];
+  const headers = {};
+  let i = 0;
+
+  while (i < lines.length && !lines[i].trim()) i++;
+  for (; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!trimmed) break;
+    const label = labels.find((name) => FORWARD_HEADER_PATTERNS_[name].test(trimmed) ||
+      (locale && locale.headers[name].test(trimmed)));
+    if (!label) break;
+    if (!headers[label]) headers[label] = trimmed.replace(/^[^:]*:\s*/, '');
+  }
+  if (!headers.from) return null;
+
+  const from = parseEmailFrom_(headers.from);
+  return {
+    from: { name: from.name, email: from.email, display: from.name || from.email },
+    date: headers.sent || '',
+    subject: headers.subject || '',
+    text: stripQuotedText_(lines.slice(i).join('\n'), opts)
+  };
+}
+
+/**
+ * Returns the key forwarded text is compared on: whitespace collapsed,
+ * case ignored.
+ *
+ * @private
+ * @param {string} text - Cleaned text
+ * @returns {string} Comparison key
+ */
+function getForwardedTextKey_(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Parses a forwarded block's date header ("Mon, Dec 15, 2025 at 2:09 PM").
+ *
+ * @private
+ * @param {string} value - Date header as written
+ * @returns {Date|null} Date, or null when it can't be read
+ */
+function parseForwardedDate_(value) {
+  // A date without a time would read as midnight; keep it as written
+  if (!/\d:\d\d/.test(value)) return null;
+  const date = new Date(value.replace(/\s+at\s+/i, ' ').replace(/\s+/g, ' '));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats the heading of a forwarded card, e.g.
+ * "Forwarded from Vendor · Dec 19, 2025 · Outage".
+ *
+ * @private
+ * @param {Object} forward - Entry of a model message's forwarded list
+ * @returns {string} Heading
+ */
+function formatForwardedHeading_(forward) {
+  return [`Forwarded from ${forward.sender.display}`, forward.dateLabel, forward.subject]
+    .filter((part) => part)
+    .join(' · ');
+}
@@ -0,0 +1,764 @@
+/**
+ * HTML body cleaning for Clean Forward.
+ *
+ * An alternative to the getPlainBody() pipeline that keeps formatting
+ * (bold, lists, tables, links). msg.getBody() is parsed into a small node
+ * tree, quoted-history and signature containers that mail clients mark up
+ * explicitly are removed, any remaining reply header is cut at the line
+ * level, and the result is re-serialized through a tag/attribute allowlist.
+ *
+ * Apps Script has no DOM, so the parser here is deliberately forgiving:
+ * unknown or unbalanced markup is tolerated rather than rejected. Callers
+ * fall back to the plain-text path whenever cleanHtmlBody_ returns null.
+ */
+
+/**
+ * Elements that never have children or a closing tag.
+ *
+ * @constant
+ * @type {Object.<string, boolean>}
+ */
+const HTML_VOID_TAGS_ = {
+  area: true, base: true, br: true, col: true, embed: true, hr: true, img: true,
+  input: true, link: true, meta: true, param: true, source: true, track: true, wbr: true
+};
+
+/**
+ * Elements whose content is raw text and dropped entirely.
+ *
+ * @constant
+ * @type {Object.<string, boolean>}
+ */
+const HTML_RAW_TEXT_TAGS_ = {
+  script: true, style: true, title: true, textarea: true, xmp: true
+};
+
+/**
+ * Block-level elements: they start a new line and implicitly close an open <p>.
+ *
+ * @constant
+ * @type {Object.<string, boolean>}
+ */
+const HTML_BLOCK_TAGS_ = {
+  address: true, article: true, aside: true, blockquote: true, center: true, dd: true, div: true,
+  dl: true, dt: true, fieldset: true, figure: true, footer: true, form: true, h1: true, h2: true,
+  h3: true, h4: true, h5: true, h6: true, header: true, hr: true, li: true, main: true, nav: true,
+  ol: true, p: true, pre: true, section: true, table: true, tbody: true, td: true, tfoot: true,
+  th: true, thead: true, tr: true, ul: true
+};
+
+/**
+ * Elements kept in the cleaned output, with the attributes each may keep.
+ * Anything else is unwrapped (children kept) unless listed in HTML_DROP_TAGS_.
+ *
+ * @constant
+ * @type {Object.<string, string[]>}
+ */
+const HTML_ALLOWED_TAGS_ = {
+  a: ['href'],
+  b: [], strong: [], i: [], em: [], u: [], s: [], strike: [], sub: [], sup: [], small: [],
+  br: [], hr: [],
+  p: ['style'], div: ['style'], span: ['style'],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ['start'], li: [],
+  blockquote: ['style'], pre: [], code: [],
+  table: ['style', 'border', 'cellpadding', 'cellspacing'], thead: [], tbody: [], tfoot: [],
+  tr: [], td: ['style', 'colspan', 'rowspan', 'align', 'valign'], th: ['style', 'colspan', 'rowspan', 'align', 'valign'],
+  img: ['src', 'alt', 'width', 'height']
+};
+
+/**
+ * Elements dropped together with everything inside them.
+ *
+ * @constant
+ * @type {Object.<string, boolean>}
+ */
+const HTML_DROP_TAGS_ = {
+  head: true, meta: true, link: true, base: true, iframe: true, frame: true, frameset: true,
+  object: true, embed: true, applet: true, form: true, input: true, button: true, select: true,
+  option: true, svg: true, math: true, template: true, noscript: true, 'o:p': true
+};
+
+/**
+ * CSS properties allowed in kept style attributes. Layout properties are
+ * left out on purpose so a message can't break the timeline card.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const HTML_ALLOWED_CSS_ = [
+  'color', 'background-color', 'font-weight', 'font-style', 'text-decoration', 'text-align',
+  'border', 'border-collapse', 'padding', 'vertical-align'
+];
+
+/**
+ * Containers that hold quoted history or a signature, by client.
+ * Matching elements are removed together with their content.
+ *
+ * @constant
+ * @type {Object.<string, function(Object): boolean>}
+ */
+const HTML_QUOTE_CONTAINERS_ = {
+  // Gmail: <div class="gmail_quote"> (newer: gmail_quote_container), older gmail_extra wrapper
+  gmailQuote: (el) => hasHtmlClass_(el, 'gmail_quote') || hasHtmlClass_(el, 'gmail_quote_container') ||
+    hasHtmlClass_(el, 'gmail_extra'),
+  // Apple Mail / iOS Mail: <blockquote type="cite">
+  citeBlockquote: (el) => el.tag === 'blockquote' && (el.attrs.type || '').toLowerCase() === 'cite',
+  // Thunderbird: <div class="moz-cite-prefix">On ... wrote:</div> before the cite blockquote
+  mozCitePrefix: (el) => hasHtmlClass_(el, 'moz-cite-prefix') || hasHtmlClass_(el, 'moz-forward-container'),
+  // Yahoo Mail
+  yahooQuoted: (el) => hasHtmlClass_(el, 'yahoo_quoted'),
+  // Signatures: Gmail, Thunderbird, Outlook (desktop and mobile)
+  signature: (el) => hasHtmlClass_(el, 'gmail_signature') || hasHtmlClass_(el, 'gmail_signature_prefix') ||
+    el.attrs['data-smartmail'] === 'gmail_signature' ||
+    hasHtmlClass_(el, 'moz-signature') || /^(signature|ms-outlook-mobile-signature)$/i.test(el.attrs.id || '')
+};
+
+/**
+ * Markers after which everything is quoted history. Outlook doesn't wrap
+ * the quote in a container; it inserts a header div and leaves the old
+ * message as following siblings, so the marker and everything after it
+ * (in document order) are removed.
+ *
+ * @constant
+ * @type {Object.<string, function(Object): boolean>}
+ */
+const HTML_QUOTE_BOUNDARIES_ = {
+  // Outlook web / mobile: <div id="divRplyFwdMsg">
+  outlookReplyHeader: (el) => /^divRplyFwdMsg$/i.test(el.attrs.id || ''),
+  // Outlook: <div id="appendonsend"></div> right before the quoted part
+  outlookAppendOnSend: (el) => /^appendonsend$/i.test(el.attrs.id || ''),
+  // Outlook desktop: header block wrapped in a div with a thin top border
+  outlookDesktopHeader: (el) => el.tag === 'div' &&
+    /border-top:\s*solid\s+#(e1e1e1|b5c4df)/i.test(el.attrs.style || '')
+};
+
+/**
+ * Cleans an HTML message body and returns sanitized HTML for the timeline.
+ *
+ * Returns null (so the caller uses the plain-text pipeline instead) when
+ * the body is empty, can't be parsed, or has no content left after
+ * cleaning.
+ *
+ * @private
+ * @param {string} html - Raw HTML from GmailMessage.getBody()
+ * @param {Object} [options] - Cleaning options
+ * @param {string[]} [options.locales] - Active locale codes for reply-header detection
+ * @param {function(string, string): ?string} [options.resolveImage] - Maps a cid: image
+ *     (content id, alt text) to its draft URL, or null to drop it
+ * @param {boolean} [options.stripDisclaimers] - Cut at legal disclaimers (default true)
+ * @param {string} [options.emoji] - "strip" (default) or "keep", see cleanUnicodeArtifacts_
+ * @param {string[]} [options.signature] - The sender's learned signature lines
+ *     (see learnSignatures_), cut from the end of the message
+ * @param {Object[]} [options.redactionRules] - Rules from getRedactionRules_, applied
+ *     to text nodes and link targets
+ * @param {Object[]} [options.redactions] - Running [{label, count}] totals of the
+ *     placeholders inserted in the text, updated in place
+ * @param {Object[]} [options.removed] - Filled with the removed spans, like
+ *     analyzeQuotedText_'s: {rule, line, text, confidence}, line counted in
+ *     the body's visual lines (see analyzeHtmlBody_)
+ * @returns {string|null} Sanitized HTML, or null to fall back to plain text
+ */
+function cleanHtmlBody_(html, options) {
+  if (!html || !html.trim()) return null;
+  const opts = options || {};
+
+  try {
+    const root = parseHtml_(html);
+
+    // Reports removed lines when asked to, numbered by the first line's
+    // place among the body's lines before cleaning
+    const original = opts.removed ? collectHtmlLines_(root).map((l) => l.text) : null;
+    const report = (rule, lines) => {
+      if (!original || !lines.length) return;
+      const line = original.indexOf(lines[0].text);
+      opts.removed.push(createRemovedSpan_(rule, line + 1, lines.map((l) => l.text)));
+    };
+
+    let boundary = null;
+    removeHtmlQuoteContainers_(root, original && ((rule, node) => {
+      if (node) report(rule, collectHtmlLines_({ children: [node] }));
+      else boundary = { rule: rule, lines: collectHtmlLines_(root) };
+    }));
+    if (boundary) report(boundary.rule, boundary.lines.slice(collectHtmlLines_(root).length));
+
+    // Reply headers that aren't marked up (e.g. plain "On ... wrote:" lines)
+    const lines = collectHtmlLines_(root);
+    const locale = getLocalePatterns_(lines.map((l) => l.text).join('\n'), opts.locales || DEFAULT_SETTINGS_.locales);
+    const quote = findHtmlQuoteLine_(lines, locale);
+    const quoteLine = quote ? quote.index : -1;
+    if (quote && lines[quoteLine].start) {
+      report(quote.rule, lines.slice(quoteLine));
+      truncateHtmlAt_(lines[quoteLine].start);
+    }
+
+    // Legal footers before the quoted history
+    if (opts.stripDisclaimers !== false) {
+      const disclaimerLine = findHtmlDisclaimerLine_(quoteLine === -1 ? lines : lines.slice(0, quoteLine));
+      if (disclaimerLine !== -1 && lines[disclaimerLine].start) {
+        report('disclaimer', lines.slice(disclaimerLine, quoteLine === -1 ? lines.length : quoteLine));
+        truncateHtmlAt_(lines[disclaimerLine].start);
+      }
+    }
+
+    // The sender's signature, now at the end of what is left
+    if (opts.signature) {
+      const remaining = collectHtmlLines_(root);
+      const signatureLine = findSignatureStart_(remaining.map((l) => l.text), opts.signature);
+      if (signatureLine !== -1 && remaining[signatureLine].start) {
+        report('signature', remaining.slice(signatureLine));
+        truncateHtmlAt_(remaining[signatureLine].start);
+      }
+    }
+
+    const sanitized = sanitizeHtmlNode_(root, opts.resolveImage, opts.emoji);
+    if (opts.redactionRules && opts.redactionRules.length) {
+      redactHtmlNode_(sanitized, opts.redactionRules, opts.redactions);
+    }
+    trimTrailingHtml_(sanitized);
+
+    if (!hasHtmlContent_(sanitized)) return null;
+    return serializeHtml_(sanitized).trim();
+  } catch (err) {
+    console.warn('HTML cleaning failed, falling back to plain text:', err);
+    return null;
+  }
+}
+
+/**
+ * Cleans an HTML body like cleanHtmlBody_ and reports what was removed,
+ * in the shape of analyzeQuotedText_'s report, so the cleaning audit
+ * describes the HTML the draft will use.
+ *
+ * @private
+ * @param {string} html - Raw HTML from GmailMessage.getBody()
+ * @param {Object} [options] - Cleaning options, see cleanHtmlBody_
+ * @returns {Object|null} {text, html, rule, line, confidence, removed}: text is the
+ *     cleaned HTML's text, rule and line are those of the first span (null and 0
+ *     when nothing was removed); null when cleanHtmlBody_ falls back to plain text
+ */
+function analyzeHtmlBody_(html, options) {
+  const removed = [];
+  const cleaned = cleanHtmlBody_(html, Object.assign({}, options, { removed: removed }));
+  if (cleaned === null) return null;
+
+  removed.sort((a, b) => a.line - b.line);
+  return {
+    text: getHtmlText_(cleaned),
+    html: cleaned,
+    rule: removed.length ? removed[0].rule : null,
+    line: removed.length ? removed[0].line : 0,
+    confidence: removed.reduce((lowest, span) => Math.min(lowest, span.confidence), 1),
+    removed: removed
+  };
+}
+
+/**
+ * Parses HTML into a tree of {type, tag, attrs, children, parent} elements
+ * and {type: 'text', text, parent} nodes under a '#root' element.
+ *
+ * Tolerant of real-world email markup: unmatched closing tags are ignored,
+ * unclosed elements are closed at the end, and <p>, <li>, <td>/<th> and
+ * <tr> are closed implicitly the way browsers do.
+ *
+ * @private
+ * @param {string} html - HTML source
+ * @returns {Object} Root element
+ */
+function parseHtml_(html) {
+  const root = { type: 'element', tag: '#root', attrs: {}, children: [], parent: null };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][\w:-]*)[^>]*>|<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+  const maxDepth = 400;
+
+  const top = () => stack[stack.length - 1];
+  const appendText = (text) => {
+    if (!text) return;
+    top().children.push({ type: 'text', text: decodeHtmlEntities_(text), parent: top() });
+  };
+  const closeUntil = (tag) => {
+    for (let d = stack.length - 1; d > 0; d--) {
+      if (stack[d].tag === tag) {
+        stack.length = d;
+        return;
+      }
+    }
+  };
+
+  let lastIndex = 0;
+  let match;
+  while ((match = tokenPattern.exec(html)) !== null) {
+    appendText(html.substring(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    const closeTag = match[1] && match[1].toLowerCase();
+    const openTag = match[2] && match[2].toLowerCase();
+
+    if (closeTag) {
+      closeUntil(closeTag);
+      continue;
+    }
+    if (!openTag) continue; // comment, doctype, processing instruction
+
+    // Implicitly close elements the way browsers do
+    const current = top().tag;
+    if (current === 'p' && HTML_BLOCK_TAGS_[openTag]) stack.pop();
+    if ((openTag === 'li' && top().tag === 'li') ||
+        ((openTag === 'td' || openTag === 'th') && (top().tag === 'td' || top().tag === 'th')) ||
+        (openTag === 'tr' && top().tag === 'tr')) {
+      stack.pop();
+    }
+
+    const element = {
+      type: 'element',
+      tag: openTag,
+      attrs: parseHtmlAttributes_(match[3] || ''),
+      children: [],
+      parent: top()
+    };
+    top().children.push(element);
+
+    if (HTML_RAW_TEXT_TAGS_[openTag]) {
+      // Skip raw text content; it is dropped by the sanitizer anyway
+      const end = html.toLowerCase().indexOf(`</${openTag}`, lastIndex);
+      const close = end === -1 ? -1 : html.indexOf('>', end);
+      lastIndex = close === -1 ? html.length : close + 1;
+      tokenPattern.lastIndex = lastIndex;
+      continue;
+    }
+
+    if (!HTML_VOID_TAGS_[openTag] && !match[4]) {
+      stack.push(element);
+      if (stack.length > maxDepth) {
+        throw new Error(`HTML nesting deeper than ${maxDepth} levels`);
+      }
+    }
+  }
+  appendText(html.substring(lastIndex));
+
+  return root;
+}
+
+/**
+ * Parses an attribute string into a lowercase-keyed object.
+ *
+ * @private
+ * @param {string} source - Attribute portion of a start tag
+ * @returns {Object.<string, string>} Attributes
+ */
+function parseHtmlAttributes_(source) {
+  const attrs = {};
+  const attrPattern = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+  while ((match = attrPattern.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : (match[4] || '');
+    attrs[match[1].toLowerCase()] = decodeHtmlEntities_(value);
+  }
+  return attrs;
+}
+
+/**
+ * Decodes named and numeric HTML entities commonly found in email.
+ * Unknown named entities are left as-is.
+ *
+ * @private
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeHtmlEntities_(text) {
+  if (!text || text.indexOf('&') === -1) return text;
+
+  const named = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    ndash: '–', mdash: '—', hellip: '…', bull: '•',
+    copy: '©', reg: '®', trade: '™', euro: '€'
+  };
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const code = body[1] === 'x' || body[1] === 'X'
+        ? parseInt(body.substring(2), 16)
+        : parseInt(body.substring(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+    }
+    const decoded = named[body.toLowerCase()];
+    return decoded !== undefined ? decoded : entity;
+  });
+}
+
+/**
+ * Checks whether an element has the given class.
+ *
+ * @private
+ * @param {Object} el - Parsed element
+ * @param {string} className - Class to look for
+ * @returns {boolean} True if the class is present
+ */
+function hasHtmlClass_(el, className) {
+  const classes = (el.attrs && el.attrs['class']) || '';
+  return (' ' + classes.toLowerCase().replace(/\s+/g, ' ') + ' ').indexOf(' ' + className.toLowerCase() + ' ') !== -1;
+}
+
+/**
+ * Removes quote/signature containers and everything after quote boundaries.
+ *
+ * @private
+ * @param {Object} root - Parsed root element (mutated)
+ * @param {function(string, ?Object)} [onRemove] - Called with the rule (key of
+ *     CLEANING_RULES_) and the container before it is removed, or with null
+ *     for a boundary, before it and everything after it are removed
+ */
+function removeHtmlQuoteContainers_(root, onRemove) {
+  const walk = (el) => {
+    for (let i = 0; i < el.children.length; i++) {
+      const child = el.children[i];
+      if (child.type !== 'element') continue;
+
+      if (Object.keys(HTML_QUOTE_BOUNDARIES_).some((name) => HTML_QUOTE_BOUNDARIES_[name](child))) {
+        if (onRemove) onRemove('htmlQuote', null);
+        truncateHtmlAt_(child);
+        return true;
+      }
+      const container = Object.keys(HTML_QUOTE_CONTAINERS_).find((name) => HTML_QUOTE_CONTAINERS_[name](child));
+      if (container) {
+        if (onRemove) onRemove(container === 'signature' ? 'htmlSignature' : 'htmlQuote', child);
+        el.children.splice(i, 1);
+        i--;
+        continue;
+      }
+      if (walk(child)) return true;
+    }
+    return false;
+  };
+  walk(root);
+}
+
+/**
+ * Removes a node and everything after it in document order.
+ *
+ * @private
+ * @param {Object} node - Node to cut at
+ */
+function truncateHtmlAt_(node) {
+  let current = node;
+  while (current.parent) {
+    const siblings = current.parent.children;
+    const index = siblings.indexOf(current);
+    if (index !== -1) {
+      siblings.splice(current === node ? index : index + 1);
+    }
+    current = current.parent;
+  }
+}
+
+/**
+ * Flattens a parsed tree into visual lines, split at <br> and block
+ * boundaries. Each line remembers the outermost node it starts with, so
+ * the tree can be cut at that line.
+ *
+ * @private
+ * @param {Object} root - Parsed root element
+ * @returns {Object[]} Lines: {text: string, start: Object}
+ */
+function collectHtmlLines_(root) {
+  const lines = [];
+  let text = '';
+  let start = null;
+  let pendingBlock = null;
+
+  const flush = () => {
+    const trimmed = text.replace(/\s+/g, ' ').trim();
+    if (trimmed) lines.push({ text: trimmed, start });
+    text = '';
+    start = null;
+  };
+
+  const walk = (node) => {
+    if (node.type === 'text') {
+      if (!start) start = pendingBlock || node;
+      pendingBlock = null;
+      text += node.text;
+      return;
+    }
+    if (node.tag === 'br') {
+      flush();
+      return;
+    }
+
+    const isBlock = HTML_BLOCK_TAGS_[node.tag];
+    if (isBlock) {
+      flush();
+      if (!pendingBlock) pendingBlock = node;
+    }
+    node.children.forEach(walk);
+    if (isBlock) {
+      flush();
+      if (pendingBlock === node) pendingBlock = null;
+    }
+  };
+
+  root.children.forEach(walk);
+  flush();
+  return lines;
+}
+
+/**
+ * Returns the visible text of an HTML fragment, one line per visual line
+ * (see collectHtmlLines_).
+ *
+ * @private
+ * @param {string} html - HTML, e.g. a cleaned body from cleanHtmlBody_
+ * @returns {string} Plain text
+ */
+function getHtmlText_(html) {
+  return collectHtmlLines_(parseHtml_(html)).map((line) => line.text).join('\n');
+}
+
+/**
+ * Finds the first line that starts quoted history. Uses the strong
+ * signals from stripQuotedText_ (reply headers, forward markers, Outlook
+ * header blocks) plus the detected locale's patterns.
+ *
+ * @private
+ * @param {Object[]} lines - Lines from collectHtmlLines_
+ * @param {Object|null} locale - Entry from LOCALE_PATTERNS_, or null for English only
+ * @returns {Object|null} {index, rule}: the first quoted line and the key of
+ *     CLEANING_RULES_ that found it, or null
+ */
+function findHtmlQuoteLine_(lines, locale) {
+  const texts = lines.map((l) => l.text);
+
+  for (let i = 0; i < texts.length; i++) {
+    const trimmed = texts[i];
+    const lower = trimmed.toLowerCase();
+    const found = (rule) => ({ index: i, rule: rule });
+
+    if (REGEX_PATTERNS_.gmailForward.test(trimmed) || REGEX_PATTERNS_.iosForward.test(trimmed)) {
+      return found('forward');
+    }
+    if (REGEX_PATTERNS_.originalMessage.test(trimmed)) return found('originalMessage');
+    if (REGEX_PATTERNS_.outlookSeparator.test(trimmed)) return found('outlookSeparator');
+
+    // Same guard as stripQuotedText_: without quoted text after it, the
+    // "wrote:" line may be the sender's own text
+    if (REGEX_PATTERNS_.wroteAlone.test(lower) && trimmed.length < 100) {
+      const next = texts.slice(i + 1).find((t) => t) || '';
+      const quoteFollows = next.startsWith('>') || REGEX_PATTERNS_.fromHeader.test(next.toLowerCase());
+      return found(quoteFollows ? 'wrote' : 'wroteUnquoted');
+    }
+    if (REGEX_PATTERNS_.emailLine.test(trimmed)) return found('senderLine');
+
+    if (REGEX_PATTERNS_.replyHeaderDate.test(lower) || REGEX_PATTERNS_.replyHeaderAlt.test(lower)) {
+      const window = texts.slice(i, i + 3).join(' ').toLowerCase();
+      if (window.indexOf('wrote:') !== -1) return found('replyHeader');
+    }
+
+    // Outlook header block rendered as HTML: "From: ..." then "Sent:"/"Date:" within two lines
+    if (REGEX_PATTERNS_.fromHeader.test(trimmed) || REGEX_PATTERNS_.fromWithoutAt.test(trimmed)) {
+      const ahead = texts.slice(i + 1, i + 3);
+      if (ahead.some((t) => REGEX_PATTERNS_.sentHeader.test(t) || REGEX_PATTERNS_.dateHeader.test(t))) {
+        return found('headerBlock');
+      }
+    }
+
+    if (locale && isLocalizedQuoteStart_(texts, i, locale)) return found('localized');
+  }
+
+  return null;
+}
+
+/**
+ * Finds a legal disclaimer or confidentiality notice that follows the
+ * message. Like stripQuotedText_, it only counts after some real content,
+ * so a message that is nothing but a notice is kept.
+ *
+ * @private
+ * @param {Object[]} lines - Lines from collectHtmlLines_
+ * @returns {number} Index of the disclaimer line, or -1
+ */
+function findHtmlDisclaimerLine_(lines) {
+  let contentLines = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (contentLines >= 2 && REGEX_PATTERNS_.disclaimer.test(lines[i].text.toLowerCase())) return i;
+    if (lines[i].text) contentLines++;
+  }
+
+  return -1;
+}
+
+/**
+ * Returns a sanitized copy of a parsed element: disallowed tags are
+ * unwrapped or dropped, attributes filtered, URLs and styles checked,
+ * and text run through cleanUnicodeArtifacts_. cid: images are kept only
+ * if resolveImage maps them to a draft inline image.
+ *
+ * @private
+ * @param {Object} el - Parsed element
+ * @param {function(string, string): ?string} [resolveImage] - Inline image resolver
+ * @param {string} [emoji] - Emoji handling for cleanUnicodeArtifacts_
+ * @returns {Object} Sanitized element (without parent links)
+ */
+function sanitizeHtmlNode_(el, resolveImage, emoji) {
+  const out = { type: 'element', tag: el.tag, attrs: {}, children: [] };
+
+  const allowed = HTML_ALLOWED_TAGS_[el.tag];
+  if (allowed) {
+    for (const name of allowed) {
+      const value = el.attrs[name];
+      if (value === undefined) continue;
+
+      if (name === 'href') {
+        if (/^(https?:|mailto:)/i.test(value.trim())) out.attrs.href = value.trim();
+      } else if (name === 'src') {
+        if (/^(https|cid):/i.test(value.trim())) out.attrs.src = value.trim();
+      } else if (name === 'style') {
+        const style = filterHtmlStyle_(value);
+        if (style) out.attrs.style = style;
+      } else if (/^[\w%.-]*$/.test(value)) {
+        out.attrs[name] = value;
+      }
+    }
+    if (el.tag === 'a') {
+      out.attrs.style = 'color:#2563eb;text-decoration:underline;';
+    }
+    if (el.tag === 'img') {
+      out.attrs.style = 'max-width:100%;height:auto;';
+    }
+  }
+
+  const appendChildren = (source, target) => {
+    for (let child of source.children) {
+      if (child.type === 'text') {
+        const text = cleanUnicodeArtifacts_(child.text, { emoji: emoji });
+        if (text) target.children.push({ type: 'text', text });
+        continue;
+      }
+      if (HTML_DROP_TAGS_[child.tag] || HTML_RAW_TEXT_TAGS_[child.tag] || child.tag.indexOf(':') !== -1) continue;
+      if (child.tag === 'img') {
+        const src = (child.attrs.src || '').trim();
+        if (/^cid:/i.test(src)) {
+          // Pasted image: point it at the draft's copy, or drop it if already shown
+          const resolved = resolveImage ? resolveImage(src.substring(4), child.attrs.alt || '') : null;
+          if (!resolved) continue;
+          child = Object.assign({}, child, { attrs: Object.assign({}, child.attrs, { src: resolved }) });
+        } else if (!/^https:/i.test(src)) {
+          // Images without an allowed source would render as broken boxes
+          continue;
+        }
+      }
+
+      if (HTML_ALLOWED_TAGS_[child.tag]) {
+        target.children.push(sanitizeHtmlNode_(child, resolveImage, emoji));
+      } else {
+        // Unknown wrapper (font, center, section...): keep its content
+        appendChildren(child, target);
+      }
+    }
+  };
+  appendChildren(el, out);
+
+  return out;
+}
+
+/**
+ * Keeps only allowlisted CSS declarations from a style attribute.
+ *
+ * @private
+ * @param {string} style - Raw style attribute
+ * @returns {string} Filtered declarations, or empty string
+ */
+function filterHtmlStyle_(style) {
+  return style.split(';')
+    .map((decl) => decl.split(':'))
+    .filter((parts) => parts.length === 2)
+    .map((parts) => [parts[0].trim().toLowerCase(), parts[1].trim()])
+    .filter(([prop, value]) => HTML_ALLOWED_CSS_.indexOf(prop) !== -1 && value && !/url\(|expression|[<>]/i.test(value))
+    .map(([prop, value]) => `${prop}:${value}`)
+    .join(';');
+}
+
+/**
+ * Redacts the text of a sanitized tree. A link whose target would be
+ * redacted loses its href, so the address can't be read from the link;
+ * only the text's placeholders are counted, since the href isn't shown.
+ * Text split across elements (a number half in bold) isn't matched.
+ *
+ * @private
+ * @param {Object} el - Sanitized element (mutated)
+ * @param {Object[]} rules - Rules from getRedactionRules_
+ * @param {Object[]} [counts] - Running [{label, count}] totals, updated in place
+ */
+function redactHtmlNode_(el, rules, counts) {
+  if (el.attrs.href) {
+    const target = el.attrs.href.replace(/^mailto:/i, '');
+    if (redactText_(target, rules) !== target) delete el.attrs.href;
+  }
+  for (const child of el.children) {
+    if (child.type === 'text') child.text = redactText_(child.text, rules, counts);
+    else redactHtmlNode_(child, rules, counts);
+  }
+}
+
+/**
+ * Removes trailing whitespace, <br>, <hr>, empty elements and dangling
+ * "--" signature separators left behind after the quote was cut off.
+ *
+ * @private
+ * @param {Object} el - Sanitized element (mutated)
+ */
+function trimTrailingHtml_(el) {
+  while (el.children.length) {
+    const last = el.children[el.children.length - 1];
+    if (last.type === 'text') {
+      const trimmed = last.text.trim();
+      if (trimmed && !REGEX_PATTERNS_.sigSeparator.test(trimmed)) return;
+      el.children.pop();
+      continue;
+    }
+    if (last.tag === 'br' || last.tag === 'hr') {
+      el.children.pop();
+      continue;
+    }
+    if (last.tag === 'img') return;
+
+    trimTrailingHtml_(last);
+    if (last.children.length) return;
+    el.children.pop();
+  }
+}
+
+/**
+ * Checks whether a sanitized tree has any visible text or images.
+ *
+ * @private
+ * @param {Object} node - Sanitized node
+ * @returns {boolean} True if something would render
+ */
+function hasHtmlContent_(node) {
+  if (node.type === 'text') return node.text.trim() !== '';
+  if (node.tag === 'img') return true;
+  return node.children.some(hasHtmlContent_);
+}
+
+/**
+ * Serializes a sanitized tree back to an HTML string.
+ *
+ * @private
+ * @param {Object} node - Sanitized node
+ * @returns {string} HTML
+ */
+function serializeHtml_(node) {
+  if (node.type === 'text') return sanitizeHtml_(node.text);
+
+  const inner = node.children.map(serializeHtml_).join('');
+  if (node.tag === '#root') return inner;
+
+  const attrs = Object.keys(node.attrs)
+    .map((name) => ` ${name}="${sanitizeHtml_(node.attrs[name])}"`)
+    .join('');
+
+  if (HTML_VOID_TAGS_[node.tag]) return `<${node.tag}${attrs}>`;
+  return `<${node.tag}${attrs}>${inner}</${node.tag}>`;
+}
@@ -0,0 +1,607 @@
+/**
+ * HTML renderer: the email layout of a thread model.
+ *
+ * Everything here is presentation only; the content comes from
+ * buildThreadModel_ (src/ThreadModel.js) and every color and size from
+ * the theme (src/Themes.js). Styles are inline so the layout survives
+ * email clients that strip <style> blocks.
+ */
+
+/**
+ * Renders a thread model as the HTML used for drafts, inserted threads and
+ * PDF exports.
+ *
+ * @private
+ * @param {Object} model - Thread model from buildThreadModel_
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.theme] - Key of THEMES_ (default: "default")
+ * @param {Object} [options.branding] - Branding from getBranding_
+ * @returns {string} HTML document body
+ */
+function renderThreadHtml_(model, options) {
+  const opts = options || {};
+  const theme = getTheme_(opts.theme, opts.branding);
+
+  return theme.layout === 'table'
+    ? renderTableHtml_(model, theme)
+    : renderTimelineHtml_(model, theme);
+}
+
+/**
+ * Renders the timeline layout: cards beside a rail of dots, the latest
+ * message highlighted. Uses flexbox and absolute positioning.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML
+ */
+function renderTimelineHtml_(model, theme) {
+  const htmlParts = [];
+
+  // Build the HTML header with modern styling
+  htmlParts.push(`
+    <div style="
+      font-family:${theme.fontFamily};
+      background:${theme.background};
+      padding:${theme.pagePadding};
+      margin:0;
+      line-height:1.5;
+    ">
+      <div style="max-width:760px;margin:0 auto;">
+        ${buildLogoHtml_(theme)}
+        ${buildIntroHtml_(model.intro, theme)}
+        <div style="
+          background:${theme.surface};
+          border-radius:${theme.radius + 2}px;
+          padding:20px 24px;
+          margin-bottom:${theme.gap + 4}px;
+          box-shadow:${theme.shadow};
+          border:1px solid ${theme.border};
+        ">
+          ${buildSummaryHtml_(model, theme)}
+        </div>
+  `);
+
+  // Process each message
+  model.messages.forEach((message, i) => {
+    const isLatest = message.isLatest;
+    const dotColor = isLatest ? theme.accent : theme.faint;
+
+    // Build the timeline card for this message
+    htmlParts.push(`
+      <div style="
+        display:flex;
+        align-items:flex-start;
+        margin-bottom:${theme.gap}px;
+      ">
+        <!-- Timeline column with dot and connecting line -->
+        <div style="
+          width:32px;
+          display:flex;
+          justify-content:center;
+          flex-shrink:0;
+        ">
+          <div style="
+            position:relative;
+            width:4px;
+            background:${theme.rail};
+            border-radius:999px;
+            min-height:32px;
+          ">
+            ${i === 0 ? '' : `
+              <div style="
+                position:absolute;
+                top:-${theme.gap}px;
+                left:50%;
+                transform:translateX(-50%);
+                width:2px;
+                height:${theme.gap}px;
+                background:${theme.rail};
+              "></div>
+            `}
+            <div style="
+              position:absolute;
+              top:16px;
+              left:50%;
+              transform:translate(-50%,-50%);
+              width:12px;
+              height:12px;
+              border-radius:999px;
+              background:${dotColor};
+              box-shadow:0 0 0 3px ${theme.background};
+              border:2px solid ${theme.surface};
+            "></div>
+          </div>
+        </div>
+
+        <!-- Message card -->
+        <div style="flex:1;margin-left:12px;">
+          <div style="
+            background:${theme.surface};
+            border-radius:${theme.radius}px;
+            padding:${theme.cardPadding};
+            box-shadow:${theme.shadow};
+            border:1px solid ${isLatest ? theme.accentSoft : theme.border};
+            ${isLatest ? `background:linear-gradient(135deg, ${theme.surface} 0%, ${theme.latestBackground} 100%);` : ''}
+          ">
+            <div style="
+              display:flex;
+              justify-content:space-between;
+              align-items:flex-start;
+              margin-bottom:8px;
+            ">
+              <div style="flex:1;min-width:0;">
+                <div style="
+                  font-size:${theme.fontSize}px;
+                  font-weight:600;
+                  color:${theme.heading};
+                ">${sanitizeHtml_(message.sender.display)}</div>
+              </div>
+              <div style="
+                font-size:11px;
+                color:${theme.faint};
+                white-space:nowrap;
+                margin-left:12px;
+                flex-shrink:0;
+              ">${sanitizeHtml_(message.dateLabel)}</div>
+            </div>
+            ${buildSourceThreadHtml_(message, theme)}
+            ${buildRecipientChangesHtml_(message, theme)}
+            ${buildMessageBodyHtml_(message, theme)}
+            ${buildForwardedHtml_(message, theme)}
+            ${buildAttachmentsHtml_(model, message, theme)}
+          </div>
+        </div>
+      </div>
+    `);
+  });
+
+  htmlParts.push(buildFooterHtml_(theme));
+  htmlParts.push('</div></div>'); // close containers
+
+  return htmlParts.join('');
+}
+
+/**
+ * Renders the "Outlook safe" layout: nested tables with bgcolor
+ * attributes and no flexbox or positioning, which Outlook desktop's Word
+ * engine ignores. The latest message gets an accent-colored left border
+ * instead of a timeline dot.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML
+ */
+function renderTableHtml_(model, theme) {
+  const spacer = `<tr><td height="${theme.gap}" style="font-size:0;line-height:0;">&nbsp;</td></tr>`;
+  const rows = [];
+
+  if (theme.logoUrl) {
+    rows.push(`<tr><td>${buildLogoHtml_(theme)}</td></tr>`);
+  }
+  if (model.intro) {
+    rows.push(`<tr><td>${buildIntroHtml_(model.intro, theme)}</td></tr>`);
+  }
+
+  rows.push(`
+    <tr>
+      <td bgcolor="${theme.surface}" style="
+        background:${theme.surface};
+        padding:16px 20px;
+        border:1px solid ${theme.border};
+      ">${buildSummaryHtml_(model, theme)}</td>
+    </tr>
+  `, spacer);
+
+  for (const message of model.messages) {
+    rows.push(`
+      <tr>
+        <td bgcolor="${message.isLatest ? theme.latestBackground : theme.surface}" style="
+          background:${message.isLatest ? theme.latestBackground : theme.surface};
+          padding:${theme.cardPadding};
+          border:1px solid ${message.isLatest ? theme.accentSoft : theme.border};
+          border-left:4px solid ${message.isLatest ? theme.accent : theme.rail};
+        ">
+          <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+            <tr>
+              <td style="
+                font-family:${theme.fontFamily};
+                font-size:${theme.fontSize}px;
+                font-weight:bold;
+                color:${theme.heading};
+                padding-bottom:8px;
+              ">${sanitizeHtml_(message.sender.display)}</td>
+              <td align="right" valign="top" style="
+                font-family:${theme.fontFamily};
+                font-size:11px;
+                color:${theme.faint};
+                white-space:nowrap;
+                padding-left:12px;
+              ">${sanitizeHtml_(message.dateLabel)}</td>
+            </tr>
+          </table>
+          ${buildSourceThreadHtml_(message, theme)}
+          ${buildRecipientChangesHtml_(message, theme)}
+          ${buildMessageBodyHtml_(message, theme)}
+          ${buildForwardedHtml_(message, theme)}
+          ${buildAttachmentsHtml_(model, message, theme)}
+        </td>
+      </tr>
+    `, spacer);
+  }
+
+  if (theme.footer) {
+    rows.push(`<tr><td>${buildFooterHtml_(theme)}</td></tr>`);
+  }
+
+  return `
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0"
+      bgcolor="${theme.background}" style="background:${theme.background};">
+      <tr>
+        <td align="center" style="padding:${theme.pagePadding};font-family:${theme.fontFamily};">
+          <table role="presentation" width="640" cellpadding="0" cellspacing="0" border="0"
+            style="width:100%;max-width:640px;text-align:left;">
+            ${rows.join('')}
+          </table>
+        </td>
+      </tr>
+    </table>
+  `;
+}
+
+/**
+ * Builds the summary header content: title, subtitle, participants,
+ * merged threads and the thread's files.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML
+ */
+function buildSummaryHtml_(model, theme) {
+  return `
+    <h2 style="
+      margin:0 0 4px 0;
+      font-family:${theme.fontFamily};
+      font-size:${theme.headingSize}px;
+      font-weight:600;
+      color:${theme.heading};
+      letter-spacing:-0.01em;
+    ">Conversation Summary</h2>
+    <p style="
+      margin:0;
+      font-size:${theme.fontSize}px;
+      color:${theme.muted};
+      line-height:1.4;
+    ">Chronological view of this email thread (${model.order === 'newest' ? 'newest to oldest' : 'oldest to newest'}).
+      Times are in ${sanitizeHtml_(model.timeZone)}.</p>
+    ${buildParticipantSummaryHtml_(model, theme)}
+    ${buildMergedThreadsHtml_(model, theme)}
+    ${buildFileSummaryHtml_(model.files, theme)}
+  `;
+}
+
+/**
+ * Builds a message's body, or a placeholder when nothing new was written.
+ * Inline replies are shown as question/answer pairs.
+ *
+ * @private
+ * @param {Object} message - Message from model.messages
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML
+ */
+function buildMessageBodyHtml_(message, theme) {
+  let bodyHtml = message.inlineReplies ? buildInlineRepliesHtml_(message.inlineReplies, theme) : message.html;
+
+  // Handle empty messages gracefully
+  if (!bodyHtml) {
+    const placeholder = message.attachments.length > 0
+      ? '(no new text; see attachments)'
+      : '(forwarded without adding new content)';
+    bodyHtml = `<span style="color:${theme.faint};font-style:italic;">${placeholder}</span>`;
+  }
+
+  return `<div style="
+      font-family:${theme.fontFamily};
+      font-size:${theme.fontSize}px;
+      color:${theme.text};
+      line-height:1.6;
+      white-space:${message.isHtml || message.inlineReplies ? 'normal' : 'pre-wrap'};
+      word-wrap:break-word;
+      overflow-wrap:break-word;
+    ">${bodyHtml}</div>`;
+}
+
+/**
+ * Builds a nested card for each piece of forwarded content that isn't
+ * already in the thread. Tables keep the card boxed in Outlook too.
+ *
+ * @private
+ * @param {Object} message - Message from model.messages
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string when nothing new was forwarded
+ */
+function buildForwardedHtml_(message, theme) {
+  return message.forwarded.map((forward) => `
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:10px 0 0 0;">
+      <tr>
+        <td bgcolor="${theme.background}" style="
+          background:${theme.background};
+          border:1px solid ${theme.rail};
+          padding:10px 12px;
+          font-family:${theme.fontFamily};
+        ">
+          <div style="font-size:11px;font-weight:600;color:${theme.muted};margin:0 0 6px 0;">
+            ${sanitizeHtml_(formatForwardedHeading_(forward))}
+          </div>
+          <div style="
+            font-size:${theme.fontSize}px;
+            color:${theme.text};
+            line-height:1.6;
+            white-space:pre-wrap;
+            word-wrap:break-word;
+          ">${forward.html}</div>
+        </td>
+      </tr>
+    </table>`).join('');
+}
+
+/**
+ * Builds inline replies: each quoted excerpt in a muted block with a rule
+ * on its left, then the answer.
+ *
+ * @private
+ * @param {Object[]} pairs - Message inlineReplies: {quote, reply}
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML
+ */
+function buildInlineRepliesHtml_(pairs, theme) {
+  return pairs.map((pair) => {
+    const quote = pair.quote
+      ? `<div style="
+          margin:0 0 4px 0;
+          padding:2px 0 2px 10px;
+          border-left:3px solid ${theme.rail};
+          color:${theme.muted};
+          font-size:13px;
+        ">${sanitizeHtml_(pair.quote)}</div>`
+      : '';
+    return `${quote}<div style="margin:0 0 12px 0;white-space:pre-wrap;">${textToHtml_(pair.reply)}</div>`;
+  }).join('');
+}
+
+/**
+ * Builds the marker of the thread a message came from, when several
+ * threads were merged.
+ *
+ * @private
+ * @param {Object} message - Message from model.messages
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string for a single thread
+ */
+function buildSourceThreadHtml_(message, theme) {
+  if (!message.source) return '';
+
+  return `<div style="
+      margin:0 0 6px 0;
+      font-family:${theme.fontFamily};
+      font-size:11px;
+      font-weight:600;
+      color:${theme.accent};
+    ">${sanitizeHtml_(formatSourceThread_(message.source))}</div>`;
+}
+
+/**
+ * Builds the note of who was added to or removed from a message's
+ * recipients.
+ *
+ * @private
+ * @param {Object} message - Message from model.messages
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string when nothing changed
+ */
+function buildRecipientChangesHtml_(message, theme) {
+  if (!message.recipientChanges) return '';
+
+  return `<div style="
+      margin:0 0 8px 0;
+      font-family:${theme.fontFamily};
+      font-size:12px;
+      color:${theme.muted};
+    ">${sanitizeHtml_(formatRecipientChanges_(message.recipientChanges))}</div>`;
+}
+
+/**
+ * Builds the branding logo shown above the summary.
+ *
+ * @private
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string when there is no logo
+ */
+function buildLogoHtml_(theme) {
+  if (!theme.logoUrl) return '';
+
+  return `<div style="margin:0 0 16px 0;">
+      <img src="${sanitizeHtml_(theme.logoUrl)}" alt="" height="32" style="height:32px;width:auto;border:0;display:block;">
+    </div>`;
+}
+
+/**
+ * Builds the branding footer shown after the last message.
+ *
+ * @private
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string when there is no footer
+ */
+function buildFooterHtml_(theme) {
+  if (!theme.footer) return '';
+
+  return `<div style="
+      margin:${theme.gap}px 0 0 0;
+      padding-top:12px;
+      border-top:1px solid ${theme.rail};
+      font-family:${theme.fontFamily};
+      font-size:11px;
+      color:${theme.muted};
+      line-height:1.5;
+    ">${textToHtml_(theme.footer)}</div>`;
+}
+
+/**
+ * Builds the participant roster for the summary header: a count line,
+ * then one line per domain listing its people and what they did, then
+ * the signatures stripped from their messages when they are shown here.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string for single-person threads
+ */
+function buildParticipantSummaryHtml_(model, theme) {
+  if (model.participants.length <= 1) return '';
+
+  const groups = groupParticipantsByDomain_(model).map((group) => {
+    const people = group.people
+      .map((person) => `${sanitizeHtml_(person.display)} (${sanitizeHtml_(formatParticipantActivity_(person))})`)
+      .join(', ');
+    return `<p style="margin:2px 0 0 0;font-size:12px;color:${theme.muted};">
+           <strong style="color:${group.internal ? theme.text : theme.accent};">${sanitizeHtml_(group.domain)}</strong>
+           ${group.internal ? 'internal' : 'external'}: ${people}
+         </p>`;
+  });
+  const signatures = model.participants
+    .filter((person) => person.signature)
+    .map((person) => `<p style="margin:2px 0 0 0;font-size:11px;color:${theme.muted};">
+           ${sanitizeHtml_(formatParticipantSignature_(person))}
+         </p>`);
+
+  return `<p style="margin:4px 0 0 0;font-size:12px;color:${theme.muted};">
+         Participants: ${sanitizeHtml_(formatRosterSummary_(model.participants))}
+       </p>
+       ${groups.join('')}${signatures.join('')}`;
+}
+
+/**
+ * Builds the list of merged threads for the summary header, each linked
+ * to the thread in Gmail.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML, or empty string for a single thread
+ */
+function buildMergedThreadsHtml_(model, theme) {
+  if (model.threads.length === 0) return '';
+
+  const items = model.threads.map((source) => `<p style="margin:2px 0 0 0;font-size:12px;color:${theme.muted};">
+           <a href="${sanitizeHtml_(source.url)}" style="color:${theme.accent};">${sanitizeHtml_(formatSourceThread_(source))}</a>
+         </p>`);
+
+  return `<p style="margin:4px 0 0 0;font-size:12px;color:${theme.muted};">
+         Merged from ${model.threads.length} threads:
+       </p>
+       ${items.join('')}`;
+}
+
+/**
+ * Builds the attachment card for a message.
+ *
+ * Lists each attachment as new, or as the same file an earlier message
+ * already sent (even if it was renamed), with an "Open in Drive" link for
+ * files that were linked instead of attached.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {Object} message - Message from model.messages
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML string for the attachment card, or empty string if no attachments
+ */
+function buildAttachmentsHtml_(model, message, theme) {
+  if (message.attachments.length === 0) return '';
+
+  const items = [];
+  for (const att of message.attachments) {
+    const first = findModelFile_(model, att.key);
+    let provenanceHtml;
+
+    if (att.isNew) {
+      provenanceHtml = `<span style="color:${theme.newLabel};font-size:11px;font-weight:600;"> new</span>`;
+    } else {
+      const sameName = first.name === att.name;
+      provenanceHtml = `
+        <span style="color:${theme.muted};font-size:11px;font-style:italic;">
+          - same ${sameName ? 'as the file' : `file as ${sanitizeHtml_(first.name)}`}
+          sent by ${sanitizeHtml_(first.from)} on ${sanitizeHtml_(first.dateLabel)}
+        </span>`;
+    }
+
+    items.push(`
+      <li style="margin:4px 0;line-height:1.4;">
+        <span style="font-weight:500;">${sanitizeHtml_(att.name)}</span>
+        <span style="color:${theme.muted};font-size:11px;"> (${formatFileSize_(att.size)})</span>
+        ${provenanceHtml}
+        ${first.url ? buildDriveLinkHtml_(first.url) : ''}
+      </li>
+    `);
+  }
+
+  return `
+    <div style="
+      margin-top:12px;
+      padding:10px 12px;
+      border-radius:${Math.max(theme.radius - 2, 0)}px;
+      border:1px solid ${theme.accentSoft};
+      background:${theme.fileBackground};
+    ">
+      <div style="margin-bottom:6px;">
+        <span style="
+          font-size:12px;
+          font-weight:700;
+          color:${theme.fileHeading};
+          margin-right:6px;
+        ">[ATTACHMENTS]</span>
+        <span style="
+          font-size:11px;
+          font-weight:500;
+          color:${theme.muted};
+        ">(${items.length} ${items.length === 1 ? 'file' : 'files'})</span>
+      </div>
+      <ul style="
+        margin:0 0 0 20px;
+        padding:0;
+        font-size:13px;
+        color:${theme.heading};
+        list-style:disc;
+      ">${items.join('')}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Builds the "Files" list for the summary header: every distinct file in
+ * the thread, in the order it was first shared, with who shared it.
+ *
+ * @private
+ * @param {Object[]} files - Model files
+ * @param {Object} theme - Theme from getTheme_
+ * @returns {string} HTML for the file list, or empty string if there are no files
+ */
+function buildFileSummaryHtml_(files, theme) {
+  if (files.length === 0) return '';
+
+  const items = files.map((file) => `
+    <li style="margin:2px 0;">
+      <span style="font-weight:500;color:${theme.text};">${sanitizeHtml_(file.name)}</span>
+      (${formatFileSize_(file.size)}) - first shared by ${sanitizeHtml_(file.from)},
+      ${sanitizeHtml_(file.dateLabel)}
+      ${file.url ? buildDriveLinkHtml_(file.url) : ''}
+    </li>
+  `);
+
+  return `<p style="margin:8px 0 2px 0;font-size:12px;color:${theme.muted};">
+      Files (${files.length}):
+    </p>
+    <ul style="margin:0 0 0 18px;padding:0;font-size:12px;color:${theme.muted};">${items.join('')}</ul>`;
+}
@@ -0,0 +1,151 @@
+/**
+ * Inline and bottom-posted replies.
+ *
+ * stripQuotedText_ is built for top-posted replies: it cuts at the first
+ * reply header and skips every ">" line. When someone answers between the
+ * quoted lines instead ("> Can we ship Friday?" / "Yes, if QA signs off"),
+ * that loses the question each answer responds to. findInlineReplies_
+ * recognizes those replies and returns them as question/answer pairs -
+ * a short excerpt of the quoted text followed by the answer - which the
+ * thread model and renderers show in place of the plain cleaned text.
+ */
+
+/**
+ * Longest quoted excerpt kept before an answer; longer quotes keep their
+ * end, which is usually the question being answered.
+ *
+ * @constant
+ * @type {number}
+ */
+const INLINE_QUOTE_EXCERPT_LENGTH_ = 120;
+
+/**
+ * Splits an inline or bottom-posted reply into question/answer pairs.
+ *
+ * A reply counts as inline when its first quoted (">") block follows a
+ * reply header ("On ... wrote:", or a localized one) and the sender wrote
+ * something after a quoted line. Quoted lines are gathered into the
+ * excerpt for the answer that follows them; nested quotes, quoted reply
+ * headers and quoted text nobody answered are dropped. Text before the
+ * header is kept as a first pair without a quote. The answers end at a
+ * forward marker, signature separator or the sender's learned signature.
+ *
+ * @private
+ * @param {string} plainBody - Raw plain text body from Gmail message
+ * @param {Object} [options] - Cleaning options, see stripQuotedText_
+ * @returns {Object[]|null} Pairs in order: {quote, reply}, quote '' for text before
+ *     the quoted message; null when the reply isn't inline (top-posted replies
+ *     are left to stripQuotedText_)
+ */
+function findInlineReplies_(plainBody, options) {
+  if (!plainBody) return null;
+
+  const opts = options || {};
+  const locale = getLocalePatterns_(plainBody, opts.locales || DEFAULT_SETTINGS_.locales);
+  let text = cleanUnicodeArtifacts_(plainBody, { emoji: opts.emoji });
+  text = cleanPlainTextArtifacts_(text);
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+
+  const isQuoted = (line) => /^\s*>/.test(line);
+  const first = lines.findIndex(isQuoted);
+  if (first === -1) return null;
+
+  // The quoted message must be introduced by a reply header, which the
+  // top-posted pipeline cuts from the text before it
+  const before = lines.slice(0, first);
+  const kept = stripQuotedLines_(before.join('\n'), opts).lines;
+  const countContent = (list) => list.filter((line) => line.trim()).length;
+  if (countContent(kept) === countContent(before)) return null;
+
+  const pairs = [];
+  const intro = collapseSoftLineBreaks_(kept.join('\n')).trim();
+  if (intro) pairs.push({ quote: '', reply: intro });
+
+  let quote = [];
+  let reply = [];
+  const flush = () => {
+    const answer = collapseSoftLineBreaks_(reply.join('\n')).trim();
+    if (answer) pairs.push({ quote: formatQuoteExcerpt_(quote), reply: answer });
+    quote = [];
+    reply = [];
+  };
+
+  for (let i = first; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (isQuoted(line)) {
+      if (reply.some((l) => l.trim())) flush();
+      const inner = line.replace(/^\s*>\s?/, '');
+      if (!isQuoted(inner) && !isReplyHeaderLine_(inner, locale)) quote.push(inner);
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (REGEX_PATTERNS_.gmailForward.test(trimmed) ||
+        REGEX_PATTERNS_.iosForward.test(trimmed) ||
+        REGEX_PATTERNS_.originalMessage.test(trimmed) ||
+        REGEX_PATTERNS_.outlookSeparator.test(trimmed) ||
+        REGEX_PATTERNS_.sigSeparator.test(trimmed) ||
+        REGEX_PATTERNS_.mobileSig.test(trimmed) ||
+        (locale && (locale.forwardMarker.test(trimmed) || locale.mobileSig.test(trimmed)))) {
+      break;
+    }
+    // A header before deeper quoted history is not part of an answer
+    if (isReplyHeaderLine_(line, locale)) continue;
+
+    reply.push(line);
+  }
+
+  const signatureStart = findSignatureStart_(reply, opts.signature);
+  if (signatureStart !== -1) reply = reply.slice(0, signatureStart);
+  flush();
+
+  return pairs.some((pair) => pair.quote) ? pairs : null;
+}
+
+/**
+ * Tells whether a line is a reply header ("On ... wrote:",
+ * "Jordan <j@x.org> wrote:" or the locale's equivalent).
+ *
+ * @private
+ * @param {string} line - Line of text
+ * @param {Object|null} locale - Entry from LOCALE_PATTERNS_, or null for English only
+ * @returns {boolean} True for a reply header
+ */
+function isReplyHeaderLine_(line, locale) {
+  const trimmed = line.trim();
+  return (REGEX_PATTERNS_.wroteAlone.test(trimmed) && trimmed.length < 100) ||
+    REGEX_PATTERNS_.emailLine.test(trimmed) ||
+    !!(locale && locale.replyVerb.test(trimmed));
+}
+
+/**
+ * Joins quoted lines into a one-line excerpt of at most
+ * INLINE_QUOTE_EXCERPT_LENGTH_ characters, keeping the end.
+ *
+ * @private
+ * @param {string[]} lines - Quoted lines without their ">" marker
+ * @returns {string} Excerpt, or empty string when there is no quoted text
+ */
+function formatQuoteExcerpt_(lines) {
+  const text = lines.join(' ').replace(/\s+/g, ' ').trim();
+  if (text.length <= INLINE_QUOTE_EXCERPT_LENGTH_) return text;
+
+  const tail = text.slice(text.length - INLINE_QUOTE_EXCERPT_LENGTH_ + 1);
+  const wordStart = tail.indexOf(' ');
+  return `…${wordStart !== -1 && wordStart < 20 ? tail.slice(wordStart + 1) : tail}`;
+}
+
+/**
+ * Formats question/answer pairs as plain text: each quote as a "> " line
+ * above its answer, pairs separated by a blank line.
+ *
+ * @private
+ * @param {Object[]} pairs - Pairs from findInlineReplies_
+ * @returns {string} Plain text
+ */
+function formatInlineReplies_(pairs) {
+  return pairs
+    .map((pair) => (pair.quote ? `> ${pair.quote}\n${pair.reply}` : pair.reply))
+    .join('\n\n');
+}
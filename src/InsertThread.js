@@ -0,0 +1,138 @@
+/**
+ * Compose trigger: insert a cleaned thread into the draft being written.
+ *
+ * While composing, the user searches for a thread and picks it; the same
+ * timeline HTML that a clean forward draft gets is inserted at the cursor
+ * with an UpdateDraftActionResponse. Attachments and inline images can't
+ * be added to an open draft this way, so they're listed but not copied.
+ */
+
+/**
+ * Search shown when the picker first opens.
+ *
+ * @constant
+ * @type {string}
+ */
+const DEFAULT_THREAD_QUERY_ = 'in:inbox';
+
+/**
+ * Most threads listed in the picker.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_THREAD_RESULTS_ = 10;
+
+/**
+ * Compose trigger entry point. Shows the thread picker with recent inbox
+ * threads.
+ *
+ * @param {Object} e - The compose event object (for the user's time zone)
+ * @returns {Card[]} The thread picker card
+ */
+function buildInsertThreadCard(e) {
+  return [buildThreadPickerCard_(DEFAULT_THREAD_QUERY_, getSettings_(e))];
+}
+
+/**
+ * Action handler for the picker's "Search" button.
+ *
+ * @param {Object} e - Event object with the "threadQuery" form input
+ * @returns {ActionResponse} Response that updates the picker with the results
+ */
+function searchThreadsForInsert(e) {
+  const query = (getFormValues_(e, 'threadQuery')[0] || '').trim() || DEFAULT_THREAD_QUERY_;
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(buildThreadPickerCard_(query, getSettings_(e)))
+    )
+    .build();
+}
+
+/**
+ * Action handler for picking a thread. Inserts its clean timeline at the
+ * cursor of the open draft.
+ *
+ * @param {Object} e - Event object; parameters.threadId is the picked thread
+ * @returns {UpdateDraftActionResponse|ActionResponse} Draft update, or a
+ *     notification when the thread can't be read
+ */
+function insertCleanThread(e) {
+  const thread = GmailApp.getThreadById(e.commonEventObject.parameters.threadId);
+  const rendered = thread ? renderCleanThread_(thread, { includeFiles: false, settings: getSettings_(e) }) : null;
+
+  if (!rendered) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText('That thread is empty or no longer available.')
+      )
+      .build();
+  }
+
+  return CardService.newUpdateDraftActionResponseBuilder()
+    .setUpdateDraftBodyAction(
+      CardService.newUpdateDraftBodyAction()
+        .addUpdateContent(rendered.html, CardService.ContentType.MUTABLE_HTML)
+        .setUpdateType(CardService.UpdateDraftBodyType.IN_PLACE_INSERT)
+    )
+    .build();
+}
+
+/**
+ * Builds the thread picker: a search box and one clickable row per
+ * matching thread.
+ *
+ * @private
+ * @param {string} query - Gmail search query
+ * @param {Object} settings - User settings (for date labels)
+ * @returns {Card} Picker card
+ */
+function buildThreadPickerCard_(query, settings) {
+  const threads = GmailApp.search(query, 0, MAX_THREAD_RESULTS_);
+
+  const resultsSection = CardService.newCardSection()
+    .setHeader(threads.length ? 'Pick a thread to insert' : 'No threads match');
+
+  for (const thread of threads) {
+    const count = thread.getMessageCount();
+    resultsSection.addWidget(
+      CardService.newDecoratedText()
+        .setTopLabel(formatDate_(thread.getLastMessageDate(), settings))
+        .setText(sanitizeHtml_(thread.getFirstMessageSubject()) || '(no subject)')
+        .setBottomLabel(`${count} ${count === 1 ? 'message' : 'messages'}`)
+        .setWrapText(true)
+        .setOnClickAction(
+          CardService.newAction()
+            .setFunctionName('insertCleanThread')
+            .setParameters({ threadId: thread.getId() })
+        )
+    );
+  }
+
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Insert clean thread')
+        .setSubtitle('Attachments are listed but not copied')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('threadQuery')
+            .setTitle('Search mail')
+            .setValue(query)
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Search')
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('searchThreadsForInsert')
+            )
+        )
+    )
+    .addSection(resultsSection)
+    .build();
+}
@@ -0,0 +1,208 @@
+/**
+ * Localized quote detection for Clean Forward.
+ *
+ * REGEX_PATTERNS_ in Code.js covers English clients. This file adds the
+ * reply headers, forward markers, header-block labels and mobile
+ * signatures that Gmail, Outlook and Apple Mail emit in other languages,
+ * plus a lightweight per-message language detector so only the patterns
+ * for the message's language are applied.
+ */
+
+/**
+ * Per-language quote detection patterns.
+ *
+ * Each entry has:
+ * - name: Display name for the settings card
+ * - hints: Common words (and client boilerplate) used for language detection
+ * - replyLead / replyVerb: Reply header "Am ... schrieb ...:" is a line matching
+ *   replyLead whose text (possibly wrapped over the next two lines) ends in replyVerb
+ * - forwardMarker: Forwarded / original message separators and intros
+ * - headers: Labels of an Outlook-style header block (from, sent/date, to, subject)
+ * - mobileSig: "Sent from my iPhone" equivalents
+ *
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+const LOCALE_PATTERNS_ = {
+  de: {
+    name: 'Deutsch',
+    hints: ['und', 'der', 'die', 'das', 'nicht', 'ich', 'mit', 'für', 'ist', 'bitte', 'danke',
+      'grüße', 'gruß', 'schrieb', 'betreff', 'gesendet'],
+    // "Am Mo., 15. Dez. 2025 um 14:09 Uhr schrieb Jordan Lee <jordan@example.org>:"
+    replyLead: /^am\s/i,
+    replyVerb: /schrieb(\s.*)?:\s*$/i,
+    forwardMarker: /^(-{3,}\s*(weitergeleitete nachricht|ursprüngliche nachricht)\s*-{3,}|anfang der weitergeleiteten (nachricht|e-mail)\s*:)$/i,
+    headers: {
+      from: /^von\s*:/i,
+      sent: /^(gesendet|datum)\s*:/i,
+      to: /^an\s*:/i,
+      subject: /^betreff\s*:/i
+    },
+    mobileSig: /^(von meinem \S+ gesendet|gesendet von meinem )/i
+  },
+  es: {
+    name: 'Español',
+    hints: ['el', 'los', 'las', 'que', 'por', 'para', 'con', 'una', 'gracias', 'saludos', 'hola',
+      'escribió', 'asunto', 'enviado', 'usted'],
+    // "El lun, 15 dic 2025 a las 14:09, Jordan Lee (<jordan@example.org>) escribió:"
+    replyLead: /^el\s/i,
+    replyVerb: /escribió\s*:\s*$/i,
+    forwardMarker: /^(-{3,}\s*(mensaje reenviado|mensaje original)\s*-{3,}|inicio del mensaje reenviado\s*:)$/i,
+    headers: {
+      from: /^de\s*:/i,
+      sent: /^(enviado|fecha)\s*:/i,
+      to: /^para\s*:/i,
+      subject: /^asunto\s*:/i
+    },
+    mobileSig: /^(enviado desde mi |obtener outlook para )/i
+  },
+  fr: {
+    name: 'Français',
+    hints: ['le', 'les', 'des', 'est', 'pour', 'avec', 'nous', 'vous', 'une', 'merci', 'bonjour',
+      'cordialement', 'écrit', 'objet', 'envoyé'],
+    // "Le lun. 15 déc. 2025 à 14:09, Jordan Lee <jordan@example.org> a écrit :"
+    replyLead: /^le\s/i,
+    replyVerb: /a écrit\s*:\s*$/i,
+    forwardMarker: /^(-{3,}\s*(message transféré|message d'origine|mail original|mail transféré)\s*-{3,}|début du message (réexpédié|transféré)\s*:)$/i,
+    headers: {
+      from: /^de\s*:/i,
+      sent: /^(envoyé|date)\s*:/i,
+      to: /^(à|a|pour)\s*:/i,
+      subject: /^objet\s*:/i
+    },
+    mobileSig: /^(envoyé de mon |obtenir outlook pour )/i
+  },
+  ja: {
+    name: '日本語',
+    hints: [],
+    // Gmail: "2025年12月15日(月) 14:09 Jordan Lee <jordan@example.org>:"
+    // Apple Mail: "2025/12/15 14:09、Jordan Lee <jordan@example.org>のメール:"
+    replyLead: /^\d{4}(年\d{1,2}月\d{1,2}日|\/\d{1,2}\/\d{1,2})/,
+    replyVerb: /(>|のメール|のメッセージ|wrote)\s*[:：]\s*$/i,
+    forwardMarker: /^(-{3,}\s*(転送メッセージ|元のメッセージ|forwarded message|original message)\s*-{3,}|転送されたメッセージ\s*[:：]?)$/i,
+    headers: {
+      from: /^差出人\s*[:：]/,
+      sent: /^(送信日時|日付)\s*[:：]/,
+      to: /^宛先\s*[:：]/,
+      subject: /^件名\s*[:：]/
+    },
+    mobileSig: /^(iPhoneから送信|iPadから送信|Android端末から送信)/i
+  }
+};
+
+/**
+ * Words that mark a message as English. English is the baseline language
+ * (REGEX_PATTERNS_ always applies), so these only compete with the
+ * localized hint lists during detection.
+ *
+ * @constant
+ * @type {string[]}
+ */
+const ENGLISH_HINTS_ = ['the', 'and', 'you', 'to', 'of', 'is', 'for', 'with', 'please', 'thanks',
+  'regards', 'wrote', 'sent', 'subject'];
+
+/**
+ * Counts how many times any of the given words appears in the text.
+ * Word boundaries are Unicode-aware so accented words ("écrit") count.
+ *
+ * @private
+ * @param {string} text - Text to scan
+ * @param {string[]} words - Lowercase words to count
+ * @returns {number} Number of matches
+ */
+function countHintWords_(text, words) {
+  if (!text || !words || words.length === 0) return 0;
+  const pattern = new RegExp(`(?:^|[^\\p{L}])(?:${words.join('|')})(?=[^\\p{L}]|$)`, 'giu');
+  const matches = text.match(pattern);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Guesses which language a message is written in.
+ *
+ * The whole raw body is scored, quoted history included, because the
+ * reply header we need to find is written in the language of the
+ * replier's mail client. Japanese is scored by kana count; the other
+ * languages by common-word hits. Ties go to English.
+ *
+ * @private
+ * @param {string} text - Raw message body
+ * @param {string[]} [activeLocales] - Locale codes to consider (defaults to all)
+ * @returns {string} Locale code, or 'en' when no active locale beats English
+ */
+function detectLanguage_(text, activeLocales) {
+  if (!text) return 'en';
+  const locales = activeLocales || Object.keys(LOCALE_PATTERNS_);
+
+  let best = 'en';
+  let bestScore = countHintWords_(text, ENGLISH_HINTS_);
+
+  for (const code of locales) {
+    const locale = LOCALE_PATTERNS_[code];
+    if (!locale) continue;
+
+    const score = code === 'ja'
+      ? (text.match(/[\u3040-\u30ff]/g) || []).length
+      : countHintWords_(text, locale.hints);
+
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Returns the localized patterns to apply to a message, or null when the
+ * message is English (or no locales are active).
+ *
+ * @private
+ * @param {string} text - Raw message body
+ * @param {string[]} [activeLocales] - Locale codes enabled in settings
+ * @returns {Object|null} Entry from LOCALE_PATTERNS_ or null
+ */
+function getLocalePatterns_(text, activeLocales) {
+  const code = detectLanguage_(text, activeLocales);
+  return code === 'en' ? null : LOCALE_PATTERNS_[code];
+}
+
+/**
+ * Checks whether line i starts quoted history in the given locale:
+ * a forward marker, a reply header (which may wrap over two more lines),
+ * or an Outlook-style header block ("Von:" followed by "Gesendet:", "An:"
+ * or "Betreff:").
+ *
+ * @private
+ * @param {string[]} lines - All lines of the message
+ * @param {number} i - Index of the line to check
+ * @param {Object} locale - Entry from LOCALE_PATTERNS_
+ * @returns {boolean} True if quoted content starts at this line
+ */
+function isLocalizedQuoteStart_(lines, i, locale) {
+  const trimmed = lines[i].trim();
+
+  if (locale.forwardMarker.test(trimmed)) return true;
+
+  if (locale.replyLead.test(trimmed)) {
+    let joined = trimmed;
+    for (let k = 0; k < 3 && i + k < lines.length; k++) {
+      if (k > 0) joined += ' ' + lines[i + k].trim();
+      if (locale.replyVerb.test(joined)) return true;
+    }
+  }
+
+  if (locale.headers.from.test(trimmed)) {
+    for (let k = 1; k <= 3 && i + k < lines.length; k++) {
+      const ahead = lines[i + k].trim();
+      if (locale.headers.sent.test(ahead) ||
+          locale.headers.to.test(ahead) ||
+          locale.headers.subject.test(ahead)) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
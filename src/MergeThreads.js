@@ -0,0 +1,286 @@
+/**
+ * Merging related threads into one clean forward.
+ *
+ * Discussions often fork into threads with slightly different subjects.
+ * The merge card searches for other threads (by Gmail query or label) to
+ * add to the current one; createMergedThread_ then stands in for a
+ * GmailThread, so the selection card, the thread model, file collection
+ * and every output format work on the merged messages unchanged.
+ * Messages that are in more than one of the threads are kept once, by
+ * their Message-ID header.
+ */
+
+/**
+ * Most threads listed on the merge card.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_MERGE_THREADS_ = 10;
+
+/**
+ * Action handler for the main card's "Merge related threads" button.
+ * Pushes the merge card, searching for threads with the current subject,
+ * and carries the main card's compose options along.
+ *
+ * @param {Object} e - The event object from Gmail containing threadId and the compose inputs
+ * @returns {ActionResponse} Response that pushes the merge card
+ */
+function showMergeThreads(e) {
+  const thread = getCurrentThreadFromEvent_(e);
+  if (!thread) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText('No thread found. Open an email and try again.')
+      )
+      .build();
+  }
+
+  const subject = stripSubjectPrefixes_(thread.getFirstMessageSubject());
+  const query = subject ? `subject:(${subject.replace(/[()"]/g, ' ').replace(/\s+/g, ' ').trim()})` : '';
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(
+        buildMergeThreadsCard_(thread, query, '', readComposeForm_(e), getSettings_(e))
+      )
+    )
+    .build();
+}
+
+/**
+ * Action handler for the merge card's "Search" button.
+ *
+ * @param {Object} e - Event object with the "mergeQuery" and "mergeLabel" form inputs
+ * @returns {ActionResponse} Response that updates the merge card with the results
+ */
+function searchMergeThreads(e) {
+  const thread = getCurrentThreadFromEvent_(e);
+  const query = (getFormValues_(e, 'mergeQuery')[0] || '').trim();
+  const label = getFormValues_(e, 'mergeLabel')[0] || '';
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(
+        buildMergeThreadsCard_(thread, query, label, getComposeOptions_(e), getSettings_(e))
+      )
+    )
+    .build();
+}
+
+/**
+ * Builds the merge card: a query and label search, and a checkbox per
+ * matching thread other than the current one.
+ *
+ * @private
+ * @param {GmailThread|null} thread - Current thread (left out of the results)
+ * @param {string} query - Gmail search query
+ * @param {string} label - Name of a user label to search within, or empty for any
+ * @param {Object} compose - Compose options from the main card (see readComposeForm_)
+ * @param {Object} settings - User settings (for date labels)
+ * @returns {Card} Merge card
+ */
+function buildMergeThreadsCard_(thread, query, label, compose, settings) {
+  const composeParameter = JSON.stringify(compose);
+  const search = [query, label ? `label:${label.replace(/[\s/]+/g, '-')}` : ''].filter((part) => part).join(' ');
+  const threads = (search ? GmailApp.search(search, 0, MAX_MERGE_THREADS_ + 1) : [])
+    .filter((other) => !thread || other.getId() !== thread.getId())
+    .slice(0, MAX_MERGE_THREADS_);
+
+  const labelInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Label')
+    .setFieldName('mergeLabel')
+    .addItem('Any label', '', !label);
+  for (const userLabel of GmailApp.getUserLabels()) {
+    labelInput.addItem(userLabel.getName(), userLabel.getName(), userLabel.getName() === label);
+  }
+
+  const resultsSection = CardService.newCardSection()
+    .setHeader(threads.length ? 'Threads to merge' : 'No other threads match');
+
+  if (threads.length) {
+    const threadInput = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.CHECK_BOX)
+      .setFieldName('mergeThreadIds');
+    for (const other of threads) {
+      const count = other.getMessageCount();
+      threadInput.addItem(
+        `${other.getFirstMessageSubject() || '(no subject)'} · ${count} ${count === 1 ? 'message' : 'messages'} · ` +
+        formatDate_(other.getLastMessageDate(), settings),
+        other.getId(),
+        false
+      );
+    }
+    resultsSection.addWidget(threadInput);
+  }
+
+  resultsSection.addWidget(
+    CardService.newTextButton()
+      .setText('Continue')
+      .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+      .setOnClickAction(
+        CardService.newAction()
+          .setFunctionName('showMessageSelection')
+          .setParameters({ compose: composeParameter })
+      )
+  );
+
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Merge related threads')
+        .setSubtitle('Their messages are merged with this thread by date')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('mergeQuery')
+            .setTitle('Search mail')
+            .setHint('e.g. subject:(Q1 launch) or from:alex@example.com')
+            .setValue(query)
+        )
+        .addWidget(labelInput)
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Search')
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('searchMergeThreads')
+                .setParameters({ compose: composeParameter })
+            )
+        )
+    )
+    .addSection(resultsSection)
+    .build();
+}
+
+/**
+ * Returns the thread an action works on: the current thread, merged with
+ * the threads picked on the merge card when there are any.
+ *
+ * @private
+ * @param {Object} e - Event object with gmail.threadId, and the "mergeThreadIds"
+ *     form input or parameter
+ * @returns {GmailThread|Object|null} The thread, a merged thread from
+ *     createMergedThread_, or null when there is no current thread
+ */
+function getSelectedThread_(e) {
+  const thread = getCurrentThreadFromEvent_(e);
+  if (!thread) return null;
+
+  const others = getMergeThreadIds_(e)
+    .filter((id) => id !== thread.getId())
+    .map((id) => GmailApp.getThreadById(id))
+    .filter((other) => other);
+  return others.length ? createMergedThread_([thread].concat(others)) : thread;
+}
+
+/**
+ * Reads the ids of the threads to merge: ticked on the merge card, or
+ * carried in the "mergeThreadIds" parameter by later cards.
+ *
+ * @private
+ * @param {Object} e - Event object
+ * @returns {string[]} Thread ids, possibly empty
+ */
+function getMergeThreadIds_(e) {
+  const parameters = e && e.commonEventObject && e.commonEventObject.parameters;
+  if (parameters && parameters.mergeThreadIds) {
+    return parameters.mergeThreadIds.split(',').filter((id) => id);
+  }
+  return getFormValues_(e, 'mergeThreadIds');
+}
+
+/**
+ * Merges threads into an object that can be used in place of a
+ * GmailThread. Its messages are every thread's messages, with a message
+ * found in more than one thread (same Message-ID header) kept once, from
+ * the first thread that has it. getThreads() lists the source threads.
+ *
+ * @private
+ * @param {GmailThread[]} threads - Threads to merge; the first is the current one
+ * @returns {Object} Merged thread: getId, getFirstMessageSubject, getMessages,
+ *     getMessageCount, getPermalink and getThreads
+ */
+function createMergedThread_(threads) {
+  const seen = {};
+  const messages = [];
+
+  for (const thread of threads) {
+    for (const msg of thread.getMessages()) {
+      const key = getRfcMessageId_(msg) || `gmail:${msg.getId()}`;
+      if (seen[key]) continue;
+      seen[key] = true;
+      messages.push(msg);
+    }
+  }
+
+  return {
+    getId: () => threads[0].getId(),
+    getFirstMessageSubject: () => threads[0].getFirstMessageSubject(),
+    getMessages: () => messages.slice(),
+    getMessageCount: () => messages.length,
+    getPermalink: () => threads[0].getPermalink(),
+    getThreads: () => threads.slice()
+  };
+}
+
+/**
+ * Returns a message's normalized Message-ID header.
+ *
+ * @private
+ * @param {GmailMessage} msg - Gmail message
+ * @returns {string} Lower-cased id without angle brackets, or empty string if missing
+ */
+function getRfcMessageId_(msg) {
+  return String(msg.getHeader('Message-ID') || '').trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+/**
+ * Returns the threads a thread (or merged thread) is made of.
+ *
+ * @private
+ * @param {GmailThread|Object} thread - Thread or merged thread
+ * @returns {GmailThread[]} Source threads; just the thread itself when it isn't merged
+ */
+function getSourceThreads_(thread) {
+  return thread.getThreads ? thread.getThreads() : [thread];
+}
+
+/**
+ * Returns the position of a message's thread among the source threads.
+ *
+ * @private
+ * @param {GmailThread[]} threads - Source threads from getSourceThreads_
+ * @param {GmailMessage} msg - Message
+ * @returns {number} 0-based index, or 0 when the thread isn't among them
+ */
+function getSourceThreadIndex_(threads, msg) {
+  const source = msg.getThread();
+  const index = source ? threads.findIndex((thread) => thread.getId() === source.getId()) : -1;
+  return Math.max(index, 0);
+}
+
+/**
+ * Strips reply and forward prefixes ("Re:", "Fwd:", "AW:") from a subject.
+ *
+ * @private
+ * @param {string} subject - Subject line
+ * @returns {string} Subject without the prefixes
+ */
+function stripSubjectPrefixes_(subject) {
+  return String(subject || '').replace(/^(?:\s*(?:re|fwd?|aw|wg|tr|rv)\s*:\s*)+/i, '').trim();
+}
+
+/**
+ * Formats a message's source thread marker, e.g. "Thread 2: Re: Budget".
+ *
+ * @private
+ * @param {Object} source - Entry of model.threads: {number, subject}
+ * @returns {string} Marker text
+ */
+function formatSourceThread_(source) {
+  return `Thread ${source.number}: ${source.subject || '(no subject)'}`;
+}
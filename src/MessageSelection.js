@@ -0,0 +1,259 @@
+/**
+ * Message selection card shown before the draft is built.
+ *
+ * Lists every message in the thread with a checkbox so the user can
+ * leave out messages (side conversations, "thanks!" replies), with
+ * presets for the common cases. Messages whose cleaning is uncertain are
+ * flagged, and the audit card (src/CleaningAudit.js) shows what was removed.
+ */
+
+/**
+ * Default N for the "Last N" preset.
+ *
+ * @constant
+ * @type {number}
+ */
+const DEFAULT_PRESET_COUNT_ = 3;
+
+/**
+ * Longest message preview shown next to a checkbox.
+ *
+ * @constant
+ * @type {number}
+ */
+const MESSAGE_PREVIEW_LENGTH_ = 80;
+
+/**
+ * Action handler for the "Create clean forward draft" button.
+ * Also the merge card's "Continue" button.
+ * Pushes the message selection card with every message selected, carrying
+ * the main card's compose options (and the threads to merge) along.
+ *
+ * @param {Object} e - The event object from Gmail containing threadId and the compose
+ *     inputs, or the "compose" parameter and "mergeThreadIds" input from the merge card
+ * @returns {ActionResponse} Response that pushes the selection card
+ */
+function showMessageSelection(e) {
+  const thread = getSelectedThread_(e);
+  if (!thread) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText('No thread found. Open an email and try again.')
+      )
+      .build();
+  }
+
+  const messageIds = thread.getMessages().map((msg) => msg.getId());
+  const parameters = e.commonEventObject && e.commonEventObject.parameters;
+  const compose = parameters && parameters.compose ? getComposeOptions_(e) : readComposeForm_(e);
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(
+        buildMessageSelectionCard_(thread, messageIds, DEFAULT_PRESET_COUNT_, compose, getSettings_(e))
+      )
+    )
+    .build();
+}
+
+/**
+ * Action handler for the preset buttons on the selection card.
+ * Re-renders the card with the preset's messages selected.
+ *
+ * @param {Object} e - Event object; parameters.preset is "last", "external", "joined" or "all"
+ * @returns {ActionResponse} Response that updates the selection card
+ */
+function applyMessagePreset(e) {
+  const thread = getSelectedThread_(e);
+  if (!thread) {
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification().setText('No thread found. Open an email and try again.')
+      )
+      .build();
+  }
+
+  const preset = e.commonEventObject.parameters.preset;
+  const entered = parseInt(getFormValues_(e, 'presetCount')[0], 10);
+  const count = isNaN(entered) ? DEFAULT_PRESET_COUNT_ : Math.max(1, entered);
+  const settings = getSettings_(e);
+  const messageIds = selectMessagesByPreset_(sortMessagesByDate_(thread.getMessages()), preset, count, settings);
+
+  const response = CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(
+        buildMessageSelectionCard_(thread, messageIds, count, getComposeOptions_(e), settings)
+      )
+    );
+
+  if (messageIds.length === 0) {
+    response.setNotification(
+      CardService.newNotification().setText('No messages match that preset.')
+    );
+  }
+
+  return response.build();
+}
+
+/**
+ * Returns the ids of the messages a preset selects.
+ *
+ * @private
+ * @param {GmailMessage[]} messages - Messages sorted oldest to newest
+ * @param {string} preset - "last", "external", "joined" or "all"
+ * @param {number} count - N for the "last" preset (at least 1)
+ * @param {Object} settings - User settings (internal domains for "external")
+ * @returns {string[]} Selected message ids
+ */
+function selectMessagesByPreset_(messages, preset, count, settings) {
+  let selected = messages;
+
+  if (preset === 'last') {
+    selected = messages.slice(-Math.max(1, count));
+  } else if (preset === 'external') {
+    const internalDomains = getInternalDomains_(settings);
+    selected = messages.filter((msg) =>
+      internalDomains.indexOf(getEmailDomain_(parseEmailFrom_(msg.getFrom()).email)) === -1
+    );
+  } else if (preset === 'joined') {
+    // The first message that was from or addressed to the user; if they
+    // never appear (e.g. they were Bcc'd), they've seen the whole thread
+    const userEmail = normalizeEmail_(getUserEmail_());
+    const joinedAt = messages.findIndex((msg) =>
+      [msg.getFrom(), msg.getTo(), msg.getCc(), msg.getBcc()].some((header) =>
+        parseAddressList_(header).some((address) => normalizeEmail_(address.email) === userEmail))
+    );
+    selected = userEmail && joinedAt !== -1 ? messages.slice(joinedAt) : messages;
+  }
+
+  return selected.map((msg) => msg.getId());
+}
+
+/**
+ * Builds the selection card: presets, one checkbox per message (oldest
+ * first), and the button that creates the draft from the ticked messages.
+ *
+ * @private
+ * @param {GmailThread|Object} thread - Current thread, or a merged thread from createMergedThread_
+ * @param {string[]} selectedIds - Ids of the messages to tick
+ * @param {number} presetCount - Current N for the "Last N" preset
+ * @param {Object} compose - Compose options from the main card (see readComposeForm_)
+ * @param {Object} settings - User settings (for previews and date labels)
+ * @returns {Card} Selection card
+ */
+function buildMessageSelectionCard_(thread, selectedIds, presetCount, compose, settings) {
+  const composeParameter = JSON.stringify(compose);
+  const messages = sortMessagesByDate_(thread.getMessages());
+  const sourceThreads = getSourceThreads_(thread);
+  const mergeThreadIds = sourceThreads.slice(1).map((source) => source.getId()).join(',');
+
+  const messageInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setTitle('Include')
+    .setFieldName('messageIds');
+
+  const signatures = settings.stripSignatures ? learnSignatures_(messages, getCleaningOptions_(settings)) : {};
+  for (const msg of messages) {
+    const fromParsed = parseEmailFrom_(msg.getFrom());
+    const report = analyzeMessageCleaning_(msg, settings, signatures);
+    const preview = getMessagePreview_(report.text);
+    const marker = sourceThreads.length > 1 ? `[${getSourceThreadIndex_(sourceThreads, msg) + 1}] ` : '';
+    const badge = report.confidence < LOW_CLEANING_CONFIDENCE_ ? LOW_CONFIDENCE_BADGE_ : '';
+    messageInput.addItem(
+      `${badge}${marker}${fromParsed.name || fromParsed.email} · ${formatDate_(msg.getDate(), settings)}${preview ? ` — ${preview}` : ''}`,
+      msg.getId(),
+      selectedIds.indexOf(msg.getId()) !== -1
+    );
+  }
+
+  const presetButton = (text, preset) => CardService.newTextButton()
+    .setText(text)
+    .setOnClickAction(
+      CardService.newAction()
+        .setFunctionName('applyMessagePreset')
+        .setParameters({ preset: preset, compose: composeParameter, mergeThreadIds: mergeThreadIds })
+    );
+
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Choose messages')
+        .setSubtitle(`${messages.length} ${messages.length === 1 ? 'message' : 'messages'} in ` +
+          (sourceThreads.length > 1 ? `${sourceThreads.length} threads` : 'this thread'))
+    )
+    .addSection(
+      CardService.newCardSection()
+        .setHeader('Quick select')
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('presetCount')
+            .setTitle('N (for "Last N")')
+            .setValue(String(presetCount))
+        )
+        .addWidget(
+          CardService.newButtonSet()
+            .addButton(presetButton('Last N', 'last'))
+            .addButton(presetButton('External senders', 'external'))
+            .addButton(presetButton('Since I joined', 'joined'))
+            .addButton(presetButton('All', 'all'))
+        )
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(messageInput)
+        .addWidget(
+          CardService.newTextButton()
+            .setText(compose.format !== 'email' ? 'Export' : compose.sendNow ? 'Send' : 'Create draft')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('createCleanForwardFromContext')
+                .setParameters({ fromSelection: 'true', compose: composeParameter, mergeThreadIds: mergeThreadIds })
+            )
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Review cleaning')
+            .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('showCleaningAudit')
+                .setParameters({ fromSelection: 'true', compose: composeParameter, mergeThreadIds: mergeThreadIds })
+            )
+        )
+    )
+    .build();
+}
+
+/**
+ * Returns the first line of a message's cleaned text, shortened for the
+ * selection card.
+ *
+ * @private
+ * @param {string} cleaned - The message's cleaned text
+ * @returns {string} Preview text, or empty string if nothing is left
+ */
+function getMessagePreview_(cleaned) {
+  const firstLine = cleaned.split('\n').map((line) => line.trim()).find((line) => line) || '';
+  return firstLine.length > MESSAGE_PREVIEW_LENGTH_
+    ? `${firstLine.slice(0, MESSAGE_PREVIEW_LENGTH_ - 1).trim()}…`
+    : firstLine;
+}
+
+/**
+ * Reads the message ids ticked on the selection card, or carried in the
+ * "messageIds" parameter by the audit and preview cards.
+ *
+ * @private
+ * @param {Object} e - Event object
+ * @returns {string[]|null} Selected ids, or null when the action didn't come
+ *     from the selection card (build from every message)
+ */
+function getSelectedMessageIds_(e) {
+  const parameters = e && e.commonEventObject && e.commonEventObject.parameters;
+  if (!parameters || parameters.fromSelection !== 'true') return null;
+  if (parameters.messageIds) {
+    return parameters.messageIds.split(',').filter((id) => id);
+  }
+  return getFormValues_(e, 'messageIds');
+}
@@ -0,0 +1,364 @@
+/**
+ * Email addresses and the participant roster.
+ *
+ * parseAddressList_ reads From/To/Cc/Bcc headers the way RFC 5322 writes
+ * them (quoted names with commas, comments, groups) and formatAddress_
+ * writes them back, and buildParticipantRoster_ turns a thread's headers into one entry per
+ * person, keyed by normalized email, with their domain, whether it is
+ * internal, how many messages they sent and when they first appeared.
+ * buildRecipientChanges_ compares each message's audience with the
+ * previous one's, to show who was added or dropped along the way.
+ */
+
+/**
+ * Parses an RFC 5322 address list into addresses.
+ *
+ * Handles display names (quoted or not, with escaped characters), angle
+ * addresses, bare addresses, comments (an old-style "addr (Name)" comment
+ * becomes the name) and groups ("Team: a@x.com, b@x.com;"), whose names
+ * are dropped. Entries without an "@" are skipped.
+ *
+ * @private
+ * @param {string} header - Header value, e.g. '"Chen, Morgan" <morgan@x.com>, ops@x.com'
+ * @returns {Object[]} Addresses in order: {name, email}; name is '' when there is none
+ */
+function parseAddressList_(header) {
+  const text = String(header || '');
+  const addresses = [];
+  let phrase = '';
+  let comment = '';
+  let angle = null;
+
+  const flush = () => {
+    const email = (angle !== null ? angle : phrase).trim();
+    const name = angle !== null ? phrase.replace(/\s+/g, ' ').trim() : '';
+    if (email.indexOf('@') !== -1) {
+      addresses.push({ name: name || comment.replace(/\s+/g, ' ').trim(), email: email });
+    }
+    phrase = '';
+    comment = '';
+    angle = null;
+  };
+
+  // Reads a delimited run starting after `open`, honoring backslash escapes
+  // and, for comments, nesting
+  const readUntil = (start, open, close) => {
+    let depth = 1;
+    let value = '';
+    let i = start;
+    for (; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\\' && i + 1 < text.length) {
+        value += text[++i];
+      } else if (ch === close && --depth === 0) {
+        break;
+      } else {
+        if (open && ch === open) depth++;
+        value += ch;
+      }
+    }
+    return { value: value, end: i };
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === '"') {
+      const quoted = readUntil(i + 1, null, '"');
+      phrase += quoted.value;
+      i = quoted.end;
+    } else if (ch === '(') {
+      const nested = readUntil(i + 1, '(', ')');
+      comment += nested.value;
+      i = nested.end;
+    } else if (ch === '<') {
+      const addr = readUntil(i + 1, null, '>');
+      angle = addr.value;
+      i = addr.end;
+    } else if (ch === ',' || ch === ';') {
+      flush();
+    } else if (ch === ':' && angle === null) {
+      // Group name ("Team:"); its members follow
+      phrase = '';
+      comment = '';
+    } else {
+      phrase += ch;
+    }
+  }
+  flush();
+
+  return addresses;
+}
+
+/**
+ * Formats an address for a To field, quoting the display name when it
+ * has characters parseAddressList_ would otherwise split or read as
+ * syntax, e.g. '"Chen, Morgan" <morgan@x.com>'.
+ *
+ * @private
+ * @param {string} name - Display name; may be empty
+ * @param {string} email - Email address
+ * @returns {string} "Name <email>", or the bare email when there is no other name
+ */
+function formatAddress_(name, email) {
+  if (!name || name === email) return email;
+  const display = /[()<>[\]:;@\\,."]/.test(name)
+    ? `"${name.replace(/(["\\])/g, '\\$1')}"`
+    : name;
+  return `${display} <${email}>`;
+}
+
+/**
+ * Parses an email "From" field into name and email components.
+ * Handles formats like "John Doe <john@example.com>", quoted names with
+ * commas, and plain emails.
+ *
+ * @private
+ * @param {string} fromString - The raw "From" field from a Gmail message
+ * @returns {Object} Object with {name: string, email: string}; a bare address is also the name
+ */
+function parseEmailFrom_(fromString) {
+  const address = parseAddressList_(fromString)[0];
+  if (!address) {
+    const raw = String(fromString || '').trim();
+    return { name: raw, email: raw };
+  }
+  return { name: address.name || address.email, email: address.email };
+}
+
+/**
+ * Normalizes an email address for comparison.
+ *
+ * @private
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower-cased address
+ */
+function normalizeEmail_(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Returns the domains that count as internal: the user's own plus the
+ * internalDomains setting.
+ *
+ * @private
+ * @param {Object} settings - User settings
+ * @returns {string[]} Lower-cased domains
+ */
+function getInternalDomains_(settings) {
+  const domains = (settings.internalDomains || []).map((domain) => String(domain).toLowerCase());
+  const userDomain = getEmailDomain_(getUserEmail_());
+  if (userDomain && domains.indexOf(userDomain) === -1) {
+    domains.unshift(userDomain);
+  }
+  return domains;
+}
+
+/**
+ * Builds the participant roster of a set of messages: everyone in
+ * From, To and Cc, once per email. Bcc is left out: Gmail only shows it on
+ * messages the user sent, and the roster goes to the forward's recipients.
+ *
+ * A person's name comes from a From header when they sent a message,
+ * otherwise from the first header that named them. When two people
+ * share a name, their display includes the address. firstSeen is the
+ * date of the first of these messages that has them on it.
+ *
+ * @private
+ * @param {GmailMessage[]} messages - Messages, oldest first
+ * @param {Object} settings - User settings (internalDomains, and the date settings for firstSeenLabel)
+ * @returns {Object} {people: [{email, name, display, domain, internal, messageCount, roles,
+ *     firstMessageId, firstSeen, firstSeenLabel}], domains: [{domain, internal, emails}]},
+ *     both in order of first appearance
+ */
+function buildParticipantRoster_(messages, settings) {
+  const internalDomains = getInternalDomains_(settings);
+  const byEmail = {};
+  const people = [];
+
+  const visit = (msg, header, role) => {
+    for (const address of parseAddressList_(header)) {
+      const email = normalizeEmail_(address.email);
+      let person = byEmail[email];
+      if (!person) {
+        const domain = getEmailDomain_(email);
+        person = byEmail[email] = {
+          email: email,
+          name: '',
+          domain: domain,
+          internal: internalDomains.indexOf(domain) !== -1,
+          messageCount: 0,
+          roles: [],
+          firstMessageId: msg.getId(),
+          firstSeen: msg.getDate(),
+          firstSeenLabel: formatDate_(msg.getDate(), settings)
+        };
+        people.push(person);
+      }
+
+      if (address.name && (!person.name || (role === 'from' && person.roles.indexOf('from') === -1))) {
+        person.name = address.name;
+      }
+      if (person.roles.indexOf(role) === -1) person.roles.push(role);
+      if (role === 'from') person.messageCount++;
+    }
+  };
+
+  for (const msg of messages) {
+    visit(msg, msg.getFrom(), 'from');
+    visit(msg, msg.getTo(), 'to');
+    visit(msg, msg.getCc(), 'cc');
+  }
+
+  const nameCounts = {};
+  people.forEach((person) => {
+    const key = person.name.toLowerCase();
+    nameCounts[key] = (nameCounts[key] || 0) + 1;
+  });
+  people.forEach((person) => {
+    person.display = !person.name
+      ? person.email
+      : nameCounts[person.name.toLowerCase()] > 1 ? `${person.name} (${person.email})` : person.name;
+  });
+
+  const domains = [];
+  const domainsByName = {};
+  for (const person of people) {
+    if (!domainsByName[person.domain]) {
+      domainsByName[person.domain] = { domain: person.domain, internal: person.internal, emails: [] };
+      domains.push(domainsByName[person.domain]);
+    }
+    domainsByName[person.domain].emails.push(person.email);
+  }
+
+  return { people: people, domains: domains };
+}
+
+/**
+ * Returns the normalized emails a message was between: its sender, To
+ * and Cc. Bcc is left out because Gmail only shows it on messages the
+ * user sent, which would read as people joining and leaving.
+ *
+ * @private
+ * @param {GmailMessage} msg - Gmail message
+ * @returns {string[]} Emails, without duplicates
+ */
+function getMessageAudience_(msg) {
+  const emails = [];
+  for (const header of [msg.getFrom(), msg.getTo(), msg.getCc()]) {
+    for (const address of parseAddressList_(header)) {
+      const email = normalizeEmail_(address.email);
+      if (emails.indexOf(email) === -1) emails.push(email);
+    }
+  }
+  return emails;
+}
+
+/**
+ * Compares each message's audience (see getMessageAudience_) with the
+ * previous message's.
+ *
+ * @private
+ * @param {GmailMessage[]} messages - Messages, oldest first
+ * @param {Object[]} people - Roster people, for display names
+ * @returns {Object.<string, Object>} By message id: {added: string[], removed: string[]} of
+ *     display names, for messages after the first whose audience changed
+ */
+function buildRecipientChanges_(messages, people) {
+  const displays = {};
+  people.forEach((person) => { displays[person.email] = person.display; });
+  const changes = {};
+
+  let previous = null;
+  for (const msg of messages) {
+    const audience = getMessageAudience_(msg);
+    if (previous) {
+      const added = audience.filter((email) => previous.indexOf(email) === -1);
+      const removed = previous.filter((email) => audience.indexOf(email) === -1);
+      if (added.length || removed.length) {
+        changes[msg.getId()] = {
+          added: added.map((email) => displays[email] || email),
+          removed: removed.map((email) => displays[email] || email)
+        };
+      }
+    }
+    previous = audience;
+  }
+
+  return changes;
+}
+
+/**
+ * Formats a message's recipient changes, e.g.
+ * "Added: Sam Patel · Removed: Jordan Lee".
+ *
+ * @private
+ * @param {Object} changes - {added: string[], removed: string[]}
+ * @returns {string} Line of text
+ */
+function formatRecipientChanges_(changes) {
+  const parts = [];
+  if (changes.added.length) parts.push(`Added: ${changes.added.join(', ')}`);
+  if (changes.removed.length) parts.push(`Removed: ${changes.removed.join(', ')}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Summarizes a roster for a header line, e.g.
+ * "5 people · 2 internal, 3 external".
+ *
+ * @private
+ * @param {Object[]} people - Roster people
+ * @returns {string} Summary
+ */
+function formatRosterSummary_(people) {
+  const internal = people.filter((person) => person.internal).length;
+  const count = `${people.length} ${people.length === 1 ? 'person' : 'people'}`;
+  return `${count} · ${internal} internal, ${people.length - internal} external`;
+}
+
+/**
+ * Describes what a person did in the thread and when they first
+ * appeared: "2 messages, first seen Dec 18, 2025 9:00 AM", or the
+ * headers they only appeared in ("Cc, first seen ...").
+ *
+ * @private
+ * @param {Object} person - Roster person
+ * @returns {string} Activity label
+ */
+function formatParticipantActivity_(person) {
+  const activity = person.messageCount > 0
+    ? `${person.messageCount} ${person.messageCount === 1 ? 'message' : 'messages'}`
+    : person.roles.map((role) => role.charAt(0).toUpperCase() + role.slice(1)).join(', ');
+  return `${activity}, first seen ${person.firstSeenLabel}`;
+}
+
+/**
+ * Returns the roster grouped by domain, ready to list: one entry per
+ * domain with its people, internal domains first.
+ *
+ * @private
+ * @param {Object} model - Thread model (participants and domains)
+ * @returns {Object[]} [{domain, internal, people: Object[]}]
+ */
+function groupParticipantsByDomain_(model) {
+  const groups = model.domains.map((group) => ({
+    domain: group.domain,
+    internal: group.internal,
+    people: model.participants.filter((person) => person.domain === group.domain)
+  }));
+  return groups.filter((group) => group.internal).concat(groups.filter((group) => !group.internal));
+}
+
+/**
+ * Formats a domain group as one line, e.g.
+ * "vendor.example (external): Morgan Chen (2 messages, first seen Dec 1, 2025 9:00 AM)".
+ *
+ * @private
+ * @param {Object} group - Group from groupParticipantsByDomain_
+ * @returns {string} Line of text
+ */
+function formatDomainGroup_(group) {
+  const people = group.people.map((person) => `${person.display} (${formatParticipantActivity_(person)})`);
+  return `${group.domain} (${group.internal ? 'internal' : 'external'}): ${people.join(', ')}`;
+}
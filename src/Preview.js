@@ -0,0 +1,457 @@
+/**
+ * Preview card shown before the draft is built.
+ *
+ * createCleanForwardFromContext pushes this card first: each message of
+ * the thread model as it will be sent (sender, date, cleaned text or the
+ * cleaned HTML's text, forwarded content and attachments), with buttons
+ * to leave a message out or edit its text. Card actions don't keep state,
+ * so what the user changed (excluded ids, edited text) is kept in the
+ * user cache under a preview id, which is all the buttons carry besides
+ * message and thread ids. The confirm button hands the id back to
+ * createCleanForwardFromContext, which builds the draft from the same
+ * model with the same changes.
+ */
+
+/**
+ * Longest message text shown on the preview card; the draft always gets
+ * the whole text.
+ *
+ * @constant
+ * @type {number}
+ */
+const PREVIEW_TEXT_LENGTH_ = 2000;
+
+/**
+ * How long a preview's state is kept in the user cache, in seconds (the
+ * cache's maximum, 6 hours).
+ *
+ * @constant
+ * @type {number}
+ */
+const PREVIEW_CACHE_SECONDS_ = 21600;
+
+/**
+ * User cache key prefix for preview states; the preview id follows.
+ *
+ * @constant
+ * @type {string}
+ */
+const PREVIEW_CACHE_KEY_PREFIX_ = 'cleanForward.preview.';
+
+/**
+ * Builds the preview card, saving the state its buttons refer to.
+ *
+ * @private
+ * @param {GmailThread|Object} thread - Current thread, or a merged thread from createMergedThread_
+ * @param {Object} state - Preview state (see getPreviewState_)
+ * @param {Object} settings - User settings
+ * @returns {Card|null} Preview card, or null when the state is too large
+ *     to save (see buildPreviewTooLargeResponse_)
+ */
+function buildPreviewCard_(thread, state, settings) {
+  const included = state.messageIds.filter((id) => state.excludedIds.indexOf(id) === -1);
+  const model = included.length
+    ? buildThreadModel_(thread, {
+      messageIds: included,
+      restoreIds: state.restoreIds,
+      edits: state.edits,
+      subject: state.compose.subject,
+      intro: state.compose.intro,
+      includeImages: false,
+      settings: settings
+    })
+    : null;
+  const messages = model ? model.messages : [];
+  const previewId = savePreviewState_(state);
+  if (!previewId) return null;
+  const parameters = {
+    previewId: previewId,
+    mergeThreadIds: state.mergeThreadIds
+  };
+
+  const card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Preview')
+        .setSubtitle(model
+          ? `${model.subject} · ${messages.length} of ${state.messageIds.length} ` +
+            `${state.messageIds.length === 1 ? 'message' : 'messages'}`
+          : 'Every message is left out')
+    );
+
+  const previewButton = (text, functionName, messageId) => CardService.newTextButton()
+    .setText(text)
+    .setOnClickAction(
+      CardService.newAction()
+        .setFunctionName(functionName)
+        .setParameters(Object.assign({ messageId: messageId }, parameters))
+    );
+
+  for (const message of messages) {
+    const section = CardService.newCardSection()
+      .setHeader(sanitizeHtml_(`${message.sender.display} · ${message.dateLabel}${message.edited ? ' (edited)' : ''}`))
+      .addWidget(CardService.newTextParagraph().setText(formatPreviewText_(getPreviewText_(message)) || '<i>Nothing left after cleaning.</i>'));
+
+    message.forwarded.forEach((forward) => {
+      section.addWidget(
+        CardService.newTextParagraph()
+          .setText(`<b>${sanitizeHtml_(formatForwardedHeading_(forward))}</b><br>${formatPreviewText_(forward.text)}`)
+      );
+    });
+    if (message.attachments.length > 0) {
+      section.addWidget(
+        CardService.newTextParagraph()
+          .setText(message.attachments
+            .map((att) => `📎 ${sanitizeHtml_(att.name)} (${formatFileSize_(att.size)})`)
+            .join('<br>'))
+      );
+    }
+
+    card.addSection(
+      section.addWidget(
+        CardService.newButtonSet()
+          .addButton(previewButton('Leave out', 'togglePreviewMessage', message.id))
+          .addButton(previewButton('Edit', 'editPreviewMessage', message.id))
+      )
+    );
+  }
+
+  const excluded = sortMessagesByDate_(thread.getMessages())
+    .filter((msg) => state.excludedIds.indexOf(msg.getId()) !== -1);
+  if (excluded.length > 0) {
+    const section = CardService.newCardSection().setHeader('Left out');
+    for (const msg of excluded) {
+      const fromParsed = parseEmailFrom_(msg.getFrom());
+      section.addWidget(
+        CardService.newDecoratedText()
+          .setText(sanitizeHtml_(fromParsed.name || fromParsed.email))
+          .setBottomLabel(formatDate_(msg.getDate(), settings))
+          .setButton(previewButton('Include', 'togglePreviewMessage', msg.getId()))
+      );
+    }
+    card.addSection(section);
+  }
+
+  return card
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newTextButton()
+            .setText(state.compose.format !== 'email' ? 'Export' : state.compose.sendNow ? 'Send' : 'Create draft')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('createCleanForwardFromContext')
+                .setParameters(Object.assign({ confirmed: 'true' }, parameters))
+            )
+        )
+    )
+    .build();
+}
+
+/**
+ * Action handler for a preview message's "Leave out" and "Include"
+ * buttons. Re-renders the preview with the message toggled.
+ *
+ * @param {Object} e - Event object; parameters.messageId is the message to toggle
+ * @returns {ActionResponse} Response that updates the preview card
+ */
+function togglePreviewMessage(e) {
+  try {
+    const thread = getSelectedThread_(e);
+    if (!thread) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('No thread found. Open an email and try again.')
+        )
+        .build();
+    }
+
+    const state = getPreviewState_(e, thread);
+    if (!state) return buildPreviewExpiredResponse_();
+    const messageId = e.commonEventObject.parameters.messageId;
+    state.excludedIds = state.excludedIds.indexOf(messageId) === -1
+      ? state.excludedIds.concat([messageId])
+      : state.excludedIds.filter((id) => id !== messageId);
+    const card = buildPreviewCard_(thread, state, getSettings_(e));
+    if (!card) return buildPreviewTooLargeResponse_();
+
+    return CardService.newActionResponseBuilder()
+      .setNavigation(
+        CardService.newNavigation().updateCard(card)
+      )
+      .build();
+  } catch (err) {
+    console.error(err);
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification()
+          .setText('Error updating the preview. Check Logs.')
+          .setType(CardService.NotificationType.ERROR)
+      )
+      .build();
+  }
+}
+
+/**
+ * Action handler for a preview message's "Edit" button. Pushes a card
+ * with the message's text in a text box.
+ *
+ * @param {Object} e - Event object; parameters.messageId is the message to edit
+ * @returns {ActionResponse} Response that pushes the edit card
+ */
+function editPreviewMessage(e) {
+  try {
+    const thread = getSelectedThread_(e);
+    if (!thread) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('No thread found. Open an email and try again.')
+        )
+        .build();
+    }
+
+    const state = getPreviewState_(e, thread);
+    if (!state) return buildPreviewExpiredResponse_();
+    const messageId = e.commonEventObject.parameters.messageId;
+    const model = buildThreadModel_(thread, {
+      messageIds: state.messageIds.filter((id) => state.excludedIds.indexOf(id) === -1),
+      restoreIds: state.restoreIds,
+      edits: state.edits,
+      includeImages: false,
+      settings: getSettings_(e)
+    });
+    const message = model && model.messages.find((msg) => msg.id === messageId);
+    if (!message) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('That message is no longer in the preview.')
+        )
+        .build();
+    }
+
+    const parameters = {
+      previewId: state.id,
+      mergeThreadIds: state.mergeThreadIds,
+      messageId: messageId
+    };
+    const section = CardService.newCardSection()
+      .addWidget(
+        CardService.newTextInput()
+          .setFieldName('previewText')
+          .setTitle('Text')
+          .setMultiline(true)
+          .setValue(getPreviewText_(message))
+      )
+      .addWidget(
+        CardService.newTextButton()
+          .setText('Save')
+          .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName('savePreviewEdit')
+              .setParameters(parameters)
+          )
+      );
+    if (message.edited) {
+      section.addWidget(
+        CardService.newTextButton()
+          .setText('Revert to cleaned text')
+          .setTextButtonStyle(CardService.TextButtonStyle.TEXT)
+          .setOnClickAction(
+            CardService.newAction()
+              .setFunctionName('savePreviewEdit')
+              .setParameters(Object.assign({ revert: 'true' }, parameters))
+          )
+      );
+    }
+
+    return CardService.newActionResponseBuilder()
+      .setNavigation(
+        CardService.newNavigation().pushCard(
+          CardService.newCardBuilder()
+            .setHeader(
+              CardService.newCardHeader()
+                .setTitle('Edit message')
+                .setSubtitle(`${message.sender.display} · ${message.dateLabel}`)
+            )
+            .addSection(section)
+            .build()
+        )
+      )
+      .build();
+  } catch (err) {
+    console.error(err);
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification()
+          .setText('Error updating the preview. Check Logs.')
+          .setType(CardService.NotificationType.ERROR)
+      )
+      .build();
+  }
+}
+
+/**
+ * Action handler for the edit card's buttons. Saves the edited text (or
+ * drops the edit, for "Revert to cleaned text" or an empty text box) and
+ * returns to the updated preview.
+ *
+ * @param {Object} e - Event object with the "previewText" form input; parameters.messageId
+ *     is the edited message, parameters.revert is "true" to drop the edit
+ * @returns {ActionResponse} Response that pops the edit card and updates the preview
+ */
+function savePreviewEdit(e) {
+  try {
+    const thread = getSelectedThread_(e);
+    if (!thread) {
+      return CardService.newActionResponseBuilder()
+        .setNotification(
+          CardService.newNotification().setText('No thread found. Open an email and try again.')
+        )
+        .build();
+    }
+
+    const state = getPreviewState_(e, thread);
+    if (!state) return buildPreviewExpiredResponse_();
+    const parameters = e.commonEventObject.parameters;
+    const text = (getFormValues_(e, 'previewText')[0] || '').trim();
+    if (parameters.revert === 'true' || !text) {
+      delete state.edits[parameters.messageId];
+    } else {
+      state.edits[parameters.messageId] = text;
+    }
+    const card = buildPreviewCard_(thread, state, getSettings_(e));
+    if (!card) return buildPreviewTooLargeResponse_();
+
+    return CardService.newActionResponseBuilder()
+      .setNavigation(
+        CardService.newNavigation()
+          .popCard()
+          .updateCard(card)
+      )
+      .build();
+  } catch (err) {
+    console.error(err);
+    return CardService.newActionResponseBuilder()
+      .setNotification(
+        CardService.newNotification()
+          .setText('Error updating the preview. Check Logs.')
+          .setType(CardService.NotificationType.ERROR)
+      )
+      .build();
+  }
+}
+
+/**
+ * Reads the preview state for an action: from the user cache when the
+ * action comes from a preview or edit card (parameters.previewId), else
+ * from the selection or audit card's inputs: the messages being
+ * previewed, the ones restored to full text and the compose options,
+ * with nothing left out or edited yet.
+ *
+ * @private
+ * @param {Object} e - Event object from the selection, audit, preview or edit card
+ * @param {GmailThread|Object} thread - The thread being previewed
+ * @returns {Object|null} {id: string|null, messageIds: string[], excludedIds: string[],
+ *     restoreIds: string[], edits: Object (message id -> text), compose: Object,
+ *     mergeThreadIds: string}, or null when the cached state has expired
+ */
+function getPreviewState_(e, thread) {
+  const parameters = (e && e.commonEventObject && e.commonEventObject.parameters) || {};
+  if (parameters.previewId) {
+    const json = CacheService.getUserCache().get(`${PREVIEW_CACHE_KEY_PREFIX_}${parameters.previewId}`);
+    return json ? JSON.parse(json) : null;
+  }
+
+  return {
+    id: null,
+    messageIds: getSelectedMessageIds_(e) ||
+      sortMessagesByDate_(thread.getMessages()).map((msg) => msg.getId()),
+    excludedIds: [],
+    restoreIds: getRestoredMessageIds_(e),
+    edits: {},
+    compose: getComposeOptions_(e),
+    mergeThreadIds: getSourceThreads_(thread).slice(1).map((source) => source.getId()).join(',')
+  };
+}
+
+/**
+ * Saves the preview state to the user cache, so the next action (toggle,
+ * edit, confirm) reads it back by id. A state keeps its id, so every card
+ * of one preview refers to its latest state.
+ *
+ * The cache refuses values over 100 KB, which a few edits to long
+ * messages can reach; the previously saved state is then left as it was.
+ *
+ * @private
+ * @param {Object} state - Preview state (see getPreviewState_); its id is set if missing
+ * @returns {string|null} Preview id, or null when the state could not be saved
+ */
+function savePreviewState_(state) {
+  state.id = state.id || Utilities.getUuid();
+  try {
+    CacheService.getUserCache()
+      .put(`${PREVIEW_CACHE_KEY_PREFIX_}${state.id}`, JSON.stringify(state), PREVIEW_CACHE_SECONDS_);
+  } catch (err) {
+    console.warn('Could not save the preview state:', err);
+    return null;
+  }
+  return state.id;
+}
+
+/**
+ * Builds the response for a preview action whose state has left the cache.
+ *
+ * @private
+ * @returns {ActionResponse} Response with a notification
+ */
+function buildPreviewExpiredResponse_() {
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification().setText('This preview has expired. Create the forward again.')
+    )
+    .build();
+}
+
+/**
+ * Builds the response for a preview action whose state is too large to
+ * save, which only edits can make it.
+ *
+ * @private
+ * @returns {ActionResponse} Response with a notification
+ */
+function buildPreviewTooLargeResponse_() {
+  return CardService.newActionResponseBuilder()
+    .setNotification(
+      CardService.newNotification().setText('Your edits are too large to keep. Shorten the edited text and try again.')
+    )
+    .build();
+}
+
+/**
+ * Returns the text a preview shows for a message: the text of its cleaned
+ * HTML when the draft will use the HTML, else its cleaned text.
+ *
+ * @private
+ * @param {Object} message - Message from the thread model
+ * @returns {string} Plain text
+ */
+function getPreviewText_(message) {
+  return message.isHtml ? getHtmlText_(message.html) : message.text;
+}
+
+/**
+ * Formats a message's text for a card paragraph: escaped, line breaks
+ * kept and shortened to PREVIEW_TEXT_LENGTH_.
+ *
+ * @private
+ * @param {string} text - Plain text
+ * @returns {string} Card text (basic HTML)
+ */
+function formatPreviewText_(text) {
+  const shown = text.length > PREVIEW_TEXT_LENGTH_
+    ? `${text.slice(0, PREVIEW_TEXT_LENGTH_ - 1).trim()}…`
+    : text;
+  return sanitizeHtml_(shown).replace(/\n/g, '<br>');
+}
@@ -0,0 +1,304 @@
+/**
+ * Redaction of sensitive data before forwarding.
+ *
+ * Clean forwards often go outside the organization, and threads carry
+ * phone numbers, account and card numbers and links to internal systems.
+ * When the redact setting is on, the thread model runs each message's
+ * cleaned text and HTML, the subjects, names and addresses in headers,
+ * the roster and forwarded blocks through the built-in detectors the
+ * user picked and their own regex rules, replacing every match with a
+ * labeled placeholder such as "[PHONE]". The model counts the
+ * replacements per label in what is rendered, for the success card.
+ */
+
+/**
+ * Built-in detectors, in the order they run: numbers that pass a checksum
+ * first (IBANs before cards, whose digits can pass the Luhn check), so a
+ * card number isn't half-matched as a phone, and phones last.
+ * `validate` (optional) confirms a match; rejected matches are left alone.
+ *
+ * @constant
+ * @type {Object.<string, {name: string, label: string, pattern: RegExp, validate: function(string): boolean}>}
+ */
+const REDACTION_DETECTORS_ = {
+  iban: {
+    name: 'IBANs',
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+    validate: (match) => isIbanValid_(match)
+  },
+  card: {
+    name: 'Card numbers (Luhn-checked)',
+    label: 'CARD NUMBER',
+    pattern: /(?<![\w-])\d(?:[ -]?\d){12,18}(?![\w-])/g,
+    validate: (match) => isLuhnValid_(match.replace(/\D/g, ''))
+  },
+  ssn: {
+    name: 'US Social Security numbers',
+    label: 'SSN',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g
+  },
+  email: {
+    name: 'Email addresses',
+    label: 'EMAIL',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  // Replaced with a pattern for the user's internal domains (see getRedactionRules_)
+  internal: {
+    name: 'Links to internal domains',
+    label: 'INTERNAL URL',
+    pattern: null
+  },
+  phone: {
+    name: 'Phone numbers',
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?![\w-])/g,
+    // Needs a country code, area code or separator, and phone-like length;
+    // dates (15.12.2025) and IP addresses look alike and are left alone
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 7 && digits <= 15 && /[+(]|\d[\s.-]\d{3}/.test(match) &&
+        !/^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(match) &&
+        !/^\d{1,3}(\.\d{1,3}){3}$/.test(match);
+    }
+  }
+};
+
+/**
+ * Compiles the redaction rules for the user's settings: the enabled
+ * built-in detectors, then the user's own rules. User rules that aren't
+ * valid regular expressions are skipped.
+ *
+ * @private
+ * @param {Object} settings - User settings (redactDetectors, redactionRules, internalDomains)
+ * @returns {Object[]} Rules in order: {label, pattern: RegExp (global), validate}
+ */
+function getRedactionRules_(settings) {
+  const rules = [];
+  for (const key of Object.keys(REDACTION_DETECTORS_)) {
+    if ((settings.redactDetectors || []).indexOf(key) === -1) continue;
+    const detector = REDACTION_DETECTORS_[key];
+    let pattern = detector.pattern;
+
+    if (key === 'internal') {
+      const domains = getInternalDomains_(settings).map((domain) => domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      if (domains.length === 0) continue;
+      pattern = new RegExp(
+        `(?<![\\w.@-])(?:https?:\\/\\/)?(?:[a-z0-9-]+\\.)*(?:${domains.join('|')})(?::\\d+)?(?:\\/(?:[^\\s<>"')\\]]*[^\\s<>"')\\].,;:!?])?)?(?![\\w-])`,
+        'gi'
+      );
+    }
+    rules.push({ label: detector.label, pattern: pattern, validate: detector.validate || null });
+  }
+
+  for (const rule of settings.redactionRules || []) {
+    try {
+      rules.push({ label: rule.label || 'REDACTED', pattern: new RegExp(rule.pattern, 'gi'), validate: null });
+    } catch (err) {
+      console.warn(`Skipping redaction rule "${rule.label}": ${err.message}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Replaces every match of the rules with its "[LABEL]" placeholder.
+ *
+ * @private
+ * @param {string} text - Cleaned text
+ * @param {Object[]} rules - Rules from getRedactionRules_
+ * @param {Object[]} [counts] - Running [{label, count}] totals, updated in place
+ * @returns {string} Redacted text
+ */
+function redactText_(text, rules, counts) {
+  if (!text) return text;
+
+  return rules.reduce((result, rule) => result.replace(rule.pattern, (match) => {
+    // Empty matches (a rule like "x*") would insert placeholders everywhere
+    if (!match || (rule.validate && !rule.validate(match))) return match;
+    if (counts) {
+      const entry = counts.find((item) => item.label === rule.label);
+      if (entry) entry.count++;
+      else counts.push({ label: rule.label, count: 1 });
+    }
+    return `[${rule.label}]`;
+  }), text);
+}
+
+/**
+ * Adds redaction counts to running totals.
+ *
+ * @private
+ * @param {Object[]} counts - Running [{label, count}] totals, updated in place
+ * @param {Object[]} more - [{label, count}] to add
+ */
+function addRedactionCounts_(counts, more) {
+  more.forEach((item) => {
+    const entry = counts.find((existing) => existing.label === item.label);
+    if (entry) entry.count += item.count;
+    else counts.push({ label: item.label, count: item.count });
+  });
+}
+
+/**
+ * Tells whether a digit string passes the Luhn check used by card numbers.
+ *
+ * @private
+ * @param {string} digits - Digits only
+ * @returns {boolean} True for a valid checksum
+ */
+function isLuhnValid_(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+/**
+ * Tells whether a string is an IBAN with a valid ISO 13616 check (mod 97).
+ *
+ * @private
+ * @param {string} value - Candidate, spaces allowed
+ * @returns {boolean} True for a valid IBAN
+ */
+function isIbanValid_(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  // Move the country code and check digits to the end, letters become 10-35
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Builds the success-card paragraph listing what was redacted.
+ *
+ * @private
+ * @param {Object[]} redactions - [{label, count}] from the thread model
+ * @returns {TextParagraph} Card widget
+ */
+function buildRedactionsParagraph_(redactions) {
+  const total = redactions.reduce((sum, item) => sum + item.count, 0);
+  const lines = redactions.map((item) => `• ${sanitizeHtml_(item.label)}: ${item.count}`);
+
+  return CardService.newTextParagraph()
+    .setText(`${total === 1 ? '1 item was' : `${total} items were`} redacted:<br>${lines.join('<br>')}`);
+}
+
+/**
+ * Action handler for the settings card's "Redaction" button.
+ * Shows the redaction switch, a checkbox per detector and the user's rules.
+ *
+ * @param {Object} e - The event object (not used)
+ * @returns {ActionResponse} Response that pushes the redaction card
+ */
+function showRedactionSettings(e) {
+  const settings = getSettings_();
+
+  const detectorInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setTitle('Detect')
+    .setFieldName('redactDetectors');
+  for (const key of Object.keys(REDACTION_DETECTORS_)) {
+    detectorInput.addItem(REDACTION_DETECTORS_[key].name, key, settings.redactDetectors.indexOf(key) !== -1);
+  }
+
+  const card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Redaction')
+        .setSubtitle('Matches become placeholders like [PHONE]')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newSelectionInput()
+            .setType(CardService.SelectionInputType.CHECK_BOX)
+            .setFieldName('redact')
+            .addItem('Redact sensitive data before forwarding', 'true', settings.redact)
+        )
+        .addWidget(detectorInput)
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('redactionRules')
+            .setTitle('Your rules')
+            .setHint('One per line: LABEL = regular expression (e.g. TICKET = INC\\d{6})')
+            .setMultiline(true)
+            .setValue(settings.redactionRules.map((rule) => `${rule.label} = ${rule.pattern}`).join('\n'))
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Save')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('saveRedactionSettings')
+            )
+        )
+    )
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(card)
+    )
+    .build();
+}
+
+/**
+ * Action handler for the redaction card's "Save" button. Rules that aren't
+ * valid regular expressions are not saved, and the notification says so.
+ *
+ * @param {Object} e - The event object with the redaction form inputs
+ * @returns {ActionResponse} Response that returns to the settings card
+ */
+function saveRedactionSettings(e) {
+  const rules = [];
+  let invalid = 0;
+  (getFormValues_(e, 'redactionRules')[0] || '').split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const split = trimmed.indexOf(' = ');
+    const rule = split === -1
+      ? { label: 'REDACTED', pattern: trimmed }
+      : { label: trimmed.slice(0, split).trim() || 'REDACTED', pattern: trimmed.slice(split + 3).trim() };
+    try {
+      new RegExp(rule.pattern, 'gi');
+      rules.push(rule);
+    } catch (err) {
+      invalid++;
+    }
+  });
+
+  saveSettings_({
+    redact: getFormValues_(e, 'redact').indexOf('true') !== -1,
+    redactDetectors: getFormValues_(e, 'redactDetectors').filter((key) => REDACTION_DETECTORS_[key]),
+    redactionRules: rules
+  });
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().popCard()
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText(invalid
+          ? `Redaction settings saved. Skipped ${invalid} ${invalid === 1 ? 'rule that isn\'t' : 'rules that aren\'t'} a valid regular expression.`
+          : 'Redaction settings saved.')
+    )
+    .build();
+}
@@ -0,0 +1,192 @@
+/**
+ * Pluggable thread renderers.
+ *
+ * A renderer is a function that takes the thread model from
+ * buildThreadModel_ (and optional renderer-specific options) and returns a
+ * string. THREAD_RENDERERS_ maps each
+ * format name to its renderer, so adding a format means writing one
+ * function and registering it here; nothing upstream of the model changes.
+ */
+
+/**
+ * Renderers by format name. Wrapped in arrow functions so the entries
+ * resolve when called, whatever order the script files load in.
+ *
+ * @constant
+ * @type {Object.<string, function(Object): string>}
+ */
+const THREAD_RENDERERS_ = {
+  html: (model, options) => renderThreadHtml_(model, options),
+  markdown: (model) => renderMarkdown_(model),
+  text: (model) => renderPlainText_(model)
+};
+
+/**
+ * Renders a thread model in the given format.
+ *
+ * @private
+ * @param {Object} model - Thread model from buildThreadModel_
+ * @param {string} format - Key of THREAD_RENDERERS_
+ * @param {Object} [options] - Renderer-specific options (e.g. the HTML theme)
+ * @returns {string} Rendered document
+ */
+function renderThreadModel_(model, format, options) {
+  const renderer = THREAD_RENDERERS_[format];
+  if (!renderer) {
+    throw new Error(`Unknown renderer: ${format}`);
+  }
+  return renderer(model, options);
+}
+
+/**
+ * Renders a thread as Markdown.
+ *
+ * @private
+ * @param {Object} model - Thread model from buildThreadModel_
+ * @returns {string} Markdown document
+ */
+function renderMarkdown_(model) {
+  const lines = [`# ${escapeMarkdown_(model.subject)}`, ''];
+
+  if (model.intro) {
+    lines.push(escapeMarkdownText_(model.intro), '');
+  }
+  lines.push(`_Times are in ${escapeMarkdown_(model.timeZone)}._`, '');
+  if (model.participants.length > 1) {
+    lines.push(`**Participants:** ${escapeMarkdown_(formatRosterSummary_(model.participants))}`, '');
+    groupParticipantsByDomain_(model).forEach((group) => lines.push(`- ${escapeMarkdown_(formatDomainGroup_(group))}`));
+    model.participants.filter((person) => person.signature)
+      .forEach((person) => lines.push(`- ${escapeMarkdown_(formatParticipantSignature_(person))}`));
+    lines.push('');
+  }
+  if (model.threads.length > 0) {
+    lines.push(`**Merged from ${model.threads.length} threads:**`, '');
+    model.threads.forEach((source) => lines.push(`- [${escapeMarkdown_(formatSourceThread_(source))}](${source.url})`));
+    lines.push('');
+  }
+  if (model.files.length > 0) {
+    lines.push(`**Files (${model.files.length}):**`, '');
+    for (const file of model.files) {
+      lines.push(`- ${escapeMarkdown_(file.name)} (${formatFileSize_(file.size)}) - first shared by ` +
+        `${escapeMarkdown_(file.from)}, ${file.dateLabel}`);
+    }
+    lines.push('');
+  }
+
+  for (const message of model.messages) {
+    lines.push('---', '', `### ${escapeMarkdown_(message.sender.display)} - ${message.dateLabel}`, '');
+    if (message.source) {
+      lines.push(`_${escapeMarkdown_(formatSourceThread_(message.source))}_`, '');
+    }
+    if (message.recipientChanges) {
+      lines.push(`_${escapeMarkdown_(formatRecipientChanges_(message.recipientChanges))}_`, '');
+    }
+    // Two trailing spaces keep single line breaks in Markdown
+    const keepBreaks = (text) => escapeMarkdownText_(text).replace(/([^\n])\n(?!\n)/g, '$1  \n');
+    if (message.inlineReplies) {
+      message.inlineReplies.forEach((pair) => {
+        if (pair.quote) lines.push(`> ${escapeMarkdown_(pair.quote)}`, '');
+        lines.push(keepBreaks(pair.reply), '');
+      });
+    } else {
+      lines.push(message.text ? keepBreaks(message.text) : '_(no new text)_', '');
+    }
+    message.forwarded.forEach((forward) => {
+      lines.push(`> **${escapeMarkdown_(formatForwardedHeading_(forward))}**`, '>');
+      escapeMarkdownText_(forward.text).split('\n').forEach((line) => lines.push(line ? `> ${line}  ` : '>'));
+      lines.push('');
+    });
+    if (message.attachments.length > 0) {
+      lines.push('Attachments:');
+      message.attachments.forEach((att) => lines.push(`- ${escapeMarkdown_(att.name)} (${formatFileSize_(att.size)})`));
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Renders a thread as plain text. Also used as the plain-text body of
+ * email drafts, for clients that don't display HTML.
+ *
+ * @private
+ * @param {Object} model - Thread model from buildThreadModel_
+ * @returns {string} Plain-text document
+ */
+function renderPlainText_(model) {
+  const lines = [model.subject, '='.repeat(Math.min(model.subject.length, 72)), ''];
+
+  if (model.intro) {
+    lines.push(model.intro, '');
+  }
+  lines.push(`Times are in ${model.timeZone}.`, '');
+  if (model.participants.length > 1) {
+    lines.push(`Participants: ${formatRosterSummary_(model.participants)}`);
+    groupParticipantsByDomain_(model).forEach((group) => lines.push(`  * ${formatDomainGroup_(group)}`));
+    model.participants.filter((person) => person.signature)
+      .forEach((person) => lines.push(`  * ${formatParticipantSignature_(person)}`));
+    lines.push('');
+  }
+  if (model.threads.length > 0) {
+    lines.push(`Merged from ${model.threads.length} threads:`);
+    model.threads.forEach((source) => lines.push(`  * ${formatSourceThread_(source)} <${source.url}>`));
+    lines.push('');
+  }
+  if (model.files.length > 0) {
+    lines.push(`Files (${model.files.length}):`);
+    for (const file of model.files) {
+      lines.push(`  * ${file.name} (${formatFileSize_(file.size)}) - first shared by ${file.from}, ${file.dateLabel}`);
+    }
+    lines.push('');
+  }
+
+  for (const message of model.messages) {
+    const heading = `${message.sender.display} - ${message.dateLabel}`;
+    lines.push('-'.repeat(Math.min(heading.length, 72)), heading, '');
+    if (message.source) {
+      lines.push(`(${formatSourceThread_(message.source)})`, '');
+    }
+    if (message.recipientChanges) {
+      lines.push(`[${formatRecipientChanges_(message.recipientChanges)}]`, '');
+    }
+    lines.push(message.text || '(no new text)', '');
+    message.forwarded.forEach((forward) => {
+      lines.push(`  [${formatForwardedHeading_(forward)}]`);
+      forward.text.split('\n').forEach((line) => lines.push(line ? `  | ${line}` : '  |'));
+      lines.push('');
+    });
+    if (message.attachments.length > 0) {
+      lines.push('Attachments:');
+      message.attachments.forEach((att) => lines.push(`  * ${att.name} (${formatFileSize_(att.size)})`));
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Escapes characters that Markdown would treat as formatting.
+ *
+ * @private
+ * @param {string} text - Plain text
+ * @returns {string} Text safe to use inline in Markdown
+ */
+function escapeMarkdown_(text) {
+  return String(text || '').replace(/([\\`*_[\]#<>|])/g, '\\$1');
+}
+
+/**
+ * Escapes message text for a Markdown body: inline formatting, headings
+ * and HTML as escapeMarkdown_ does, plus lines of dashes or equals signs
+ * that would turn the line above into a heading or a rule. List items are
+ * left alone; they read the same as lists.
+ *
+ * @private
+ * @param {string} text - Plain text, possibly several lines
+ * @returns {string} Text safe to use as Markdown paragraphs
+ */
+function escapeMarkdownText_(text) {
+  return escapeMarkdown_(text).replace(/^([ \t]*)([-=])(?=[ \t=-]*$)/gm, '$1\\$2');
+}
@@ -0,0 +1,464 @@
+/**
+ * User settings for Clean Forward.
+ *
+ * Settings are stored per user as a single JSON blob in user properties
+ * and merged over DEFAULT_SETTINGS_, so new settings get sensible values
+ * without a migration. An organization can set its own defaults with the
+ * same JSON in script properties; user values still take precedence.
+ */
+
+/**
+ * Default values for every user setting.
+ *
+ * @constant
+ * @type {Object}
+ */
+const DEFAULT_SETTINGS_ = {
+  // Non-English locales whose reply headers and forward markers are detected
+  locales: ['de', 'es', 'fr', 'ja'],
+  // Clean getBody() HTML (keeps formatting) before falling back to getPlainBody()
+  htmlBodies: true,
+  // Attachments that would take the draft's files (inline images count
+  // first) past this total (MB) are linked from Drive; Gmail's hard limit
+  // is 25 MB, the rest is headroom for the body. 0 attaches everything.
+  attachmentBudgetMb: 20,
+  // Drive folder created for attachments that didn't fit in the draft and
+  // for exported files (Markdown, text, PDF, Google Docs)
+  driveFolderName: 'Clean Forward',
+  // Who can open a linked attachment, a key of DRIVE_SHARING_MODES_
+  // (src/DriveLinks.js); by default the forward's recipients, once it's sent
+  driveSharing: 'recipients',
+  // HTML output theme, a key of THEMES_ (src/Themes.js)
+  theme: 'default',
+  // Prepended to the thread subject for new drafts
+  subjectPrefix: 'FWD: ',
+  // Message order in the output: 'oldest' or 'newest' first
+  sortOrder: 'oldest',
+  // Date labels, a key of DATE_FORMATS_
+  dateFormat: 'absolute',
+  // IANA time zone and BCP 47 locale for dates; empty uses the user's
+  // Gmail time zone and language (see getSettings_)
+  timeZone: '',
+  dateLocale: '',
+  // Show who took part in the summary header
+  participantSummary: true,
+  // Note who was added to or dropped from each message, vs. the previous one
+  recipientChanges: true,
+  // Domains marked internal in the participant roster, besides the user's own
+  internalDomains: [],
+  // Cut legal disclaimers and confidentiality notices after the message
+  stripDisclaimers: true,
+  // Cut each sender's repeated signature block (see learnSignatures_)
+  stripSignatures: true,
+  // Show each stripped signature once in the participant roster
+  signatureInRoster: false,
+  // 'strip' removes emoji (they turn into mojibake in some clients) or 'keep'
+  emoji: 'strip',
+  // Replace sensitive data with placeholders (see src/Redaction.js): the
+  // built-in detectors to run, keys of REDACTION_DETECTORS_, and the user's
+  // own rules as [{label, pattern}] with pattern a regular expression source
+  redact: false,
+  redactDetectors: ['iban', 'card', 'ssn', 'email', 'internal', 'phone'],
+  redactionRules: []
+};
+
+/**
+ * Message order options for the settings card.
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const SORT_ORDERS_ = {
+  oldest: 'Oldest first',
+  newest: 'Newest first'
+};
+
+/**
+ * Date label options for the settings card (see formatDate_).
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const DATE_FORMATS_ = {
+  absolute: 'Date and time (Dec 1, 2025 3:05 PM)',
+  relative: 'Relative (Today 3:05 PM)',
+  iso: 'ISO (2025-12-01 15:05)'
+};
+
+/**
+ * Emoji handling options for the settings card.
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const EMOJI_MODES_ = {
+  strip: 'Remove emoji',
+  keep: 'Keep emoji'
+};
+
+/**
+ * User property key holding the settings JSON.
+ *
+ * @constant
+ * @type {string}
+ */
+const SETTINGS_PROPERTY_KEY_ = 'cleanForward.settings';
+
+/**
+ * Reads the current user's settings: DEFAULT_SETTINGS_, then the
+ * organization's defaults from script properties, then the user's own.
+ *
+ * An empty timeZone or dateLocale is filled in from the add-on event
+ * (the user's Gmail time zone and language) when there is one, otherwise
+ * from the script's time zone and the user's account locale.
+ *
+ * @private
+ * @param {Object} [e] - Add-on event object
+ * @returns {Object} Settings object (see DEFAULT_SETTINGS_)
+ */
+function getSettings_(e) {
+  const settings = Object.assign(
+    JSON.parse(JSON.stringify(DEFAULT_SETTINGS_)),
+    readSettingsProperty_(PropertiesService.getScriptProperties()),
+    readSettingsProperty_(PropertiesService.getUserProperties())
+  );
+  // An organization may write the domains as one string in script properties
+  settings.internalDomains = parseDomainList_(settings.internalDomains);
+
+  const common = (e && e.commonEventObject) || {};
+  if (!settings.timeZone) {
+    settings.timeZone = (common.timeZone && common.timeZone.id) || Session.getScriptTimeZone();
+  }
+  if (!settings.dateLocale) {
+    // Apps Script reports locales as "en" or "en_GB"; Intl wants "en-GB"
+    settings.dateLocale = (common.userLocale || Session.getActiveUserLocale() || 'en-US').replace(/_/g, '-');
+  }
+
+  return settings;
+}
+
+/**
+ * Reads the settings JSON from a property store.
+ *
+ * @private
+ * @param {Properties} properties - Script or user properties
+ * @returns {Object} Stored settings, or an empty object
+ */
+function readSettingsProperty_(properties) {
+  try {
+    const stored = properties.getProperty(SETTINGS_PROPERTY_KEY_);
+    return stored ? JSON.parse(stored) : {};
+  } catch (err) {
+    // Unreadable settings shouldn't block drafting; fall back to defaults
+    console.warn('Could not read settings, using defaults:', err);
+    return {};
+  }
+}
+
+/**
+ * Parses a list of domains, given as an array or as one string separated
+ * by commas, semicolons or spaces. A leading "@" is dropped and anything
+ * that isn't a domain is skipped.
+ *
+ * @private
+ * @param {string|string[]} value - Domains, e.g. "@Partner.example, sub.example.co.uk"
+ * @returns {string[]} Lower-cased domains
+ */
+function parseDomainList_(value) {
+  return [].concat(value || []).join(',')
+    .split(/[\s,;]+/)
+    .map((domain) => domain.replace(/^@/, '').toLowerCase())
+    .filter((domain) => /^[a-z0-9.-]+\.[a-z]{2,}$/.test(domain));
+}
+
+/**
+ * Saves changes to the current user's settings.
+ * Only the given keys are stored for the user; everything else keeps
+ * following the organization's defaults.
+ *
+ * @private
+ * @param {Object} changes - Settings to update
+ * @returns {Object} The full settings after saving
+ */
+function saveSettings_(changes) {
+  const userProperties = PropertiesService.getUserProperties();
+  const stored = Object.assign(readSettingsProperty_(userProperties), changes);
+  userProperties.setProperty(SETTINGS_PROPERTY_KEY_, JSON.stringify(stored));
+  return getSettings_();
+}
+
+/**
+ * Returns the cleaning options for stripQuotedText_ and cleanHtmlBody_
+ * from the user's settings.
+ *
+ * @private
+ * @param {Object} settings - Settings from getSettings_
+ * @returns {Object} {locales, stripDisclaimers, emoji}
+ */
+function getCleaningOptions_(settings) {
+  return {
+    locales: settings.locales,
+    stripDisclaimers: settings.stripDisclaimers,
+    emoji: settings.emoji
+  };
+}
+
+/**
+ * Universal action ("Settings" in the add-on menu). Shows the settings card.
+ *
+ * @param {Object} e - The event object (not used)
+ * @returns {UniversalActionResponse} Response that displays the settings card
+ */
+function showSettings(e) {
+  return CardService.newUniversalActionResponseBuilder()
+    .displayAddOnCards([buildSettingsCard_(getSettings_())])
+    .build();
+}
+
+/**
+ * Action handler for the main card's "Settings" button.
+ *
+ * @param {Object} e - The event object (not used)
+ * @returns {ActionResponse} Response that pushes the settings card
+ */
+function openSettings(e) {
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(buildSettingsCard_(getSettings_()))
+    )
+    .build();
+}
+
+/**
+ * Builds the settings card.
+ *
+ * @private
+ * @param {Object} settings - Current settings
+ * @returns {Card} Settings card
+ */
+function buildSettingsCard_(settings) {
+  const dropdown = (fieldName, title, options, selected) => {
+    const input = CardService.newSelectionInput()
+      .setType(CardService.SelectionInputType.DROPDOWN)
+      .setFieldName(fieldName)
+      .setTitle(title);
+    for (const key of Object.keys(options)) {
+      input.addItem(options[key], key, key === selected);
+    }
+    return input;
+  };
+
+  const flags = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setFieldName('flags')
+    .setTitle('Cleanup')
+    .addItem('Show participant summary', 'participantSummary', settings.participantSummary)
+    .addItem('Show recipient changes', 'recipientChanges', settings.recipientChanges)
+    .addItem('Remove legal disclaimers', 'stripDisclaimers', settings.stripDisclaimers)
+    .addItem('Remove repeated signatures', 'stripSignatures', settings.stripSignatures)
+    .addItem('Show signatures in the participant summary', 'signatureInRoster', settings.signatureInRoster)
+    .addItem('Keep formatting (HTML bodies)', 'htmlBodies', settings.htmlBodies);
+
+  return CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Settings')
+        .setSubtitle('Saved for your account')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('subjectPrefix')
+            .setTitle('Subject prefix')
+            .setHint('Leave empty for no prefix')
+            .setValue(settings.subjectPrefix)
+        )
+        .addWidget(dropdown('sortOrder', 'Message order', SORT_ORDERS_, settings.sortOrder))
+        .addWidget(dropdown('dateFormat', 'Dates', DATE_FORMATS_, settings.dateFormat))
+        .addWidget(dropdown('emoji', 'Emoji', EMOJI_MODES_, settings.emoji))
+        .addWidget(dropdown('driveSharing', 'Large attachments linked from Drive', DRIVE_SHARING_MODES_, settings.driveSharing))
+        .addWidget(flags)
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('internalDomains')
+            .setTitle('Internal domains')
+            .setHint('Comma-separated, besides your own (e.g. example.co.uk)')
+            .setValue(settings.internalDomains.join(', '))
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Save')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('saveUserSettings')
+            )
+        )
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(
+          CardService.newButtonSet()
+            .addButton(
+              CardService.newTextButton()
+                .setText('Languages')
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName('showLanguageSettings')
+                )
+            )
+            .addButton(
+              CardService.newTextButton()
+                .setText('Theme & branding')
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName('showThemeSettings')
+                )
+            )
+            .addButton(
+              CardService.newTextButton()
+                .setText('Redaction')
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName('showRedactionSettings')
+                )
+            )
+            .addButton(
+              CardService.newTextButton()
+                .setText('Digest')
+                .setOnClickAction(
+                  CardService.newAction()
+                    .setFunctionName('showDigestSettings')
+                )
+            )
+        )
+    )
+    .build();
+}
+
+/**
+ * Action handler for the settings card's "Save" button.
+ * Unknown option values are ignored rather than saved.
+ *
+ * @param {Object} e - The event object with the settings form inputs
+ * @returns {ActionResponse} Response that refreshes the settings card
+ */
+function saveUserSettings(e) {
+  const changes = {};
+  const choose = (name, options) => {
+    const value = getFormValues_(e, name)[0];
+    if (options[value]) changes[name] = value;
+  };
+  choose('sortOrder', SORT_ORDERS_);
+  choose('dateFormat', DATE_FORMATS_);
+  choose('emoji', EMOJI_MODES_);
+  choose('driveSharing', DRIVE_SHARING_MODES_);
+
+  // Keep a space between the prefix and the subject ("FWD:" -> "FWD: ")
+  const prefix = getFormValues_(e, 'subjectPrefix')[0] || '';
+  changes.subjectPrefix = prefix && !/\s$/.test(prefix) ? `${prefix} ` : prefix;
+
+  changes.internalDomains = parseDomainList_(getFormValues_(e, 'internalDomains')[0]);
+
+  const flags = getFormValues_(e, 'flags');
+  ['participantSummary', 'recipientChanges', 'stripDisclaimers', 'stripSignatures', 'signatureInRoster', 'htmlBodies'].forEach((flag) => {
+    changes[flag] = flags.indexOf(flag) !== -1;
+  });
+
+  const settings = saveSettings_(changes);
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().updateCard(buildSettingsCard_(settings))
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText('Settings saved.')
+    )
+    .build();
+}
+
+/**
+ * Action handler for the "Languages" button.
+ * Shows a card with a checkbox per supported language.
+ *
+ * @param {Object} e - The event object (not used)
+ * @returns {ActionResponse} Response that pushes the language card
+ */
+function showLanguageSettings(e) {
+  const settings = getSettings_();
+
+  const localeInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.CHECK_BOX)
+    .setTitle('Detect quoted replies in')
+    .setFieldName('locales');
+
+  for (const code of Object.keys(LOCALE_PATTERNS_)) {
+    localeInput.addItem(LOCALE_PATTERNS_[code].name, code, settings.locales.indexOf(code) !== -1);
+  }
+
+  const card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Languages')
+        .setSubtitle('English is always detected')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(localeInput)
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Save')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('saveLanguageSettings')
+            )
+        )
+    )
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(card)
+    )
+    .build();
+}
+
+/**
+ * Action handler for the language card's "Save" button.
+ *
+ * @param {Object} e - The event object with the "locales" form input
+ * @returns {ActionResponse} Response that returns to the main card
+ */
+function saveLanguageSettings(e) {
+  const selected = getFormValues_(e, 'locales')
+    .filter((code) => LOCALE_PATTERNS_[code]);
+  saveSettings_({ locales: selected });
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().popCard()
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText('Language settings saved.')
+    )
+    .build();
+}
+
+/**
+ * Reads all values of a form input from an add-on event object.
+ * Returns an empty array when the input is missing (e.g. no checkbox ticked).
+ *
+ * @private
+ * @param {Object} e - Event object
+ * @param {string} name - Field name of the input
+ * @returns {string[]} Submitted values
+ */
+function getFormValues_(e, name) {
+  const inputs = e && e.commonEventObject && e.commonEventObject.formInputs;
+  if (!inputs || !inputs[name] || !inputs[name].stringInputs) return [];
+  return inputs[name].stringInputs.value || [];
+}
@@ -0,0 +1,223 @@
+/**
+ * Per-sender signature learning.
+ *
+ * stripQuotedText_ only knows the generic signature markers ("--", "Sent
+ * from my iPhone"), so corporate signatures with a title, phone numbers
+ * and an address stay in every message. learnSignatures_ finds the
+ * trailing block a sender repeats across their messages in the thread and
+ * remembers it in user properties, so it is also recognized in threads
+ * where the sender wrote only once. stripQuotedText_ and cleanHtmlBody_
+ * then cut the block (options.signature), and the roster can show it once.
+ * Learning only reads the cache; renderCleanThread_ saves what was used
+ * (saveCachedSignatures_), so previews don't write properties.
+ */
+
+/**
+ * User property holding learned signatures: {email: string[]} (lines),
+ * least recently used first.
+ *
+ * @constant
+ * @type {string}
+ */
+const SIGNATURE_CACHE_PROPERTY_KEY_ = 'cleanForward.signatures';
+
+/**
+ * Most signatures kept in the cache.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_CACHED_SIGNATURES_ = 20;
+
+/**
+ * Largest serialized cache, in bytes; property values are limited to
+ * 9 KB, so the least recently used signatures are dropped to fit.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_SIGNATURE_CACHE_BYTES_ = 8000;
+
+/**
+ * Fewest lines a repeated trailing block needs to count as a signature;
+ * a lone "Thanks," is left alone.
+ *
+ * @constant
+ * @type {number}
+ */
+const MIN_SIGNATURE_LINES_ = 2;
+
+/**
+ * Most lines of a signature; longer repeated blocks keep only their end.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_SIGNATURE_LINES_ = 12;
+
+/**
+ * Learns each sender's signature: the longest trailing block (of at least
+ * MIN_SIGNATURE_LINES_ lines) that two of their cleaned messages share,
+ * with content before it in both. Senders with no repeated block use
+ * their cached signature when one of their messages ends with it. The
+ * cache is only read here.
+ *
+ * @private
+ * @param {GmailMessage[]} messages - Thread messages
+ * @param {Object} cleaningOptions - Options for stripQuotedLines_ (see getCleaningOptions_)
+ * @returns {Object.<string, string[]>} Normalized sender email -> signature lines
+ */
+function learnSignatures_(messages, cleaningOptions) {
+  const linesBySender = {};
+  messages.forEach((msg) => {
+    const email = normalizeEmail_(parseEmailFrom_(msg.getFrom()).email);
+    (linesBySender[email] = linesBySender[email] || [])
+      .push(getSignatureLines_(stripQuotedLines_(msg.getPlainBody(), cleaningOptions).lines));
+  });
+
+  const cache = getCachedSignatures_();
+  const signatures = {};
+
+  Object.keys(linesBySender).forEach((email) => {
+    const bodies = linesBySender[email];
+    let best = [];
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const shared = getSharedTrailingLines_(bodies[i], bodies[j]);
+        if (shared.length > best.length) best = shared;
+      }
+    }
+
+    if (best.length >= MIN_SIGNATURE_LINES_) {
+      signatures[email] = best;
+    } else if (cache[email] && bodies.some((lines) => findSignatureStart_(lines, cache[email]) !== -1)) {
+      signatures[email] = cache[email];
+    }
+  });
+  return signatures;
+}
+
+/**
+ * Returns the lines signatures are compared on: non-empty, trimmed, with
+ * runs of whitespace collapsed.
+ *
+ * @private
+ * @param {string[]} lines - Lines from stripQuotedLines_ (its lines)
+ * @returns {string[]} Lines
+ */
+function getSignatureLines_(lines) {
+  return lines
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter((line) => line);
+}
+
+/**
+ * Returns the trailing lines two messages share (ignoring case), leaving
+ * at least one line of content before them in each.
+ *
+ * @private
+ * @param {string[]} a - Lines from getSignatureLines_
+ * @param {string[]} b - Lines from getSignatureLines_
+ * @returns {string[]} Shared lines, as written in a; empty if none
+ */
+function getSharedTrailingLines_(a, b) {
+  const max = Math.min(a.length - 1, b.length - 1, MAX_SIGNATURE_LINES_);
+  let count = 0;
+  while (count < max &&
+      a[a.length - 1 - count].toLowerCase() === b[b.length - 1 - count].toLowerCase()) {
+    count++;
+  }
+  return a.slice(a.length - count);
+}
+
+/**
+ * Finds where a signature starts at the end of a message.
+ *
+ * @private
+ * @param {string[]} lines - Message lines; blank lines are skipped
+ * @param {string[]} signature - Signature lines
+ * @returns {number} Index in lines of the signature's first line, or -1 when the
+ *     message doesn't end with it or has nothing before it
+ */
+function findSignatureStart_(lines, signature) {
+  if (!signature || !signature.length) return -1;
+
+  const normalize = (line) => String(line).replace(/\s+/g, ' ').trim().toLowerCase();
+  let s = signature.length - 1;
+  let i = lines.length - 1;
+  for (; i >= 0 && s >= 0; i--) {
+    const line = normalize(lines[i]);
+    if (!line) continue;
+    if (line !== normalize(signature[s])) return -1;
+    s--;
+  }
+  if (s >= 0) return -1;
+
+  const start = i + 1;
+  return lines.slice(0, start).some((line) => normalize(line)) ? start : -1;
+}
+
+/**
+ * Formats a person's signature for the participant roster, e.g.
+ * "Signature of Jane Doe: Jane Doe · VP Sales · +1 555 0100".
+ *
+ * @private
+ * @param {Object} person - Roster person with a signature
+ * @returns {string} One line
+ */
+function formatParticipantSignature_(person) {
+  return `Signature of ${person.display}: ${person.signature.join(' · ')}`;
+}
+
+/**
+ * Reads the signature cache.
+ *
+ * @private
+ * @returns {Object.<string, string[]>} Email -> signature lines; empty if unset or unreadable
+ */
+function getCachedSignatures_() {
+  const json = PropertiesService.getUserProperties().getProperty(SIGNATURE_CACHE_PROPERTY_KEY_);
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    console.warn('Ignoring unreadable signature cache:', err);
+    return {};
+  }
+}
+
+/**
+ * Saves signatures to the cache, most recent last, dropping the least
+ * recently used beyond MAX_CACHED_SIGNATURES_ or MAX_SIGNATURE_CACHE_BYTES_.
+ * A failed write is logged; the signatures are still used for this thread.
+ *
+ * @private
+ * @param {Object.<string, string[]>} signatures - Email -> signature lines to save
+ */
+function saveCachedSignatures_(signatures) {
+  if (!Object.keys(signatures).length) return;
+
+  const cache = getCachedSignatures_();
+  const entries = Object.keys(cache)
+    .filter((email) => !signatures[email])
+    .map((email) => [email, cache[email]])
+    .concat(Object.keys(signatures).map((email) => [email, signatures[email]]))
+    .slice(-MAX_CACHED_SIGNATURES_);
+
+  const serialize = () => {
+    const updated = {};
+    entries.forEach((entry) => { updated[entry[0]] = entry[1]; });
+    return JSON.stringify(updated);
+  };
+  let json = serialize();
+  while (entries.length && Utilities.newBlob(json).getBytes().length > MAX_SIGNATURE_CACHE_BYTES_) {
+    entries.shift();
+    json = serialize();
+  }
+
+  try {
+    PropertiesService.getUserProperties().setProperty(SIGNATURE_CACHE_PROPERTY_KEY_, json);
+  } catch (err) {
+    console.warn('Could not save the signature cache:', err);
+  }
+}
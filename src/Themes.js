@@ -0,0 +1,309 @@
+/**
+ * Themes and organization branding for the HTML output.
+ *
+ * A theme is a set of colors, sizes and a layout that renderThreadHtml_
+ * reads instead of hard-coded values. The "timeline" layout uses flexbox
+ * and absolutely positioned dots; the "table" layout uses nested tables
+ * and bgcolor attributes only, for Outlook desktop, which ignores both.
+ *
+ * Branding (logo, accent color, footer) is stored as JSON: an organization
+ * default in script properties, which each user can override in user
+ * properties.
+ */
+
+/**
+ * Theme values. Every theme is applied over "default", so a theme only
+ * lists what it changes.
+ *
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+const THEMES_ = {
+  default: {
+    label: 'Default',
+    layout: 'timeline',
+    fontFamily: "-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif",
+    fontSize: 14,
+    headingSize: 22,
+    pagePadding: '24px 16px',
+    cardPadding: '14px 16px',
+    gap: 16,
+    radius: 10,
+    shadow: '0 1px 3px rgba(0,0,0,0.08)',
+    background: '#f8fafc',
+    surface: '#ffffff',
+    border: '#f3f4f6',
+    heading: '#111827',
+    text: '#374151',
+    muted: '#6b7280',
+    faint: '#9ca3af',
+    rail: '#e5e7eb',
+    accent: '#2563eb',
+    accentSoft: '#dbeafe',
+    latestBackground: '#f0f9ff',
+    fileBackground: '#eff6ff',
+    fileHeading: '#1e40af',
+    newLabel: '#047857'
+  },
+  compact: {
+    label: 'Compact',
+    fontSize: 13,
+    headingSize: 18,
+    pagePadding: '12px 8px',
+    cardPadding: '8px 10px',
+    gap: 8,
+    radius: 6,
+    shadow: 'none'
+  },
+  dark: {
+    label: 'Dark',
+    background: '#111827',
+    surface: '#1f2937',
+    border: '#374151',
+    heading: '#f9fafb',
+    text: '#e5e7eb',
+    muted: '#9ca3af',
+    faint: '#9ca3af',
+    rail: '#4b5563',
+    accent: '#60a5fa',
+    accentSoft: '#1e3a8a',
+    latestBackground: '#1e293b',
+    fileBackground: '#172554',
+    fileHeading: '#bfdbfe',
+    newLabel: '#34d399',
+    shadow: 'none'
+  },
+  highContrast: {
+    label: 'High contrast',
+    fontSize: 16,
+    headingSize: 24,
+    shadow: 'none',
+    background: '#ffffff',
+    surface: '#ffffff',
+    border: '#000000',
+    heading: '#000000',
+    text: '#000000',
+    muted: '#000000',
+    faint: '#000000',
+    rail: '#000000',
+    accent: '#0000cc',
+    accentSoft: '#000000',
+    latestBackground: '#ffffff',
+    fileBackground: '#ffffff',
+    fileHeading: '#000000',
+    newLabel: '#006400'
+  },
+  outlook: {
+    label: 'Outlook safe (tables)',
+    layout: 'table',
+    fontFamily: 'Arial,Helvetica,sans-serif',
+    radius: 0,
+    shadow: 'none'
+  }
+};
+
+/**
+ * Property key holding the branding JSON, in script properties
+ * (organization default) and user properties (personal override).
+ *
+ * @constant
+ * @type {string}
+ */
+const BRANDING_PROPERTY_KEY_ = 'cleanForward.branding';
+
+/**
+ * Returns a theme with branding applied.
+ *
+ * @private
+ * @param {string} [name] - Key of THEMES_; unknown names use "default"
+ * @param {Object} [branding] - Branding from getBranding_
+ * @returns {Object} Theme values (see THEMES_.default) plus branding
+ */
+function getTheme_(name, branding) {
+  const brand = branding || {};
+  const theme = Object.assign({}, THEMES_.default, THEMES_[name] || {});
+
+  if (brand.accentColor) {
+    theme.accent = brand.accentColor;
+  }
+  theme.logoUrl = brand.logoUrl || '';
+  theme.footer = brand.footer || '';
+  return theme;
+}
+
+/**
+ * Reads the branding: the organization's from script properties, with
+ * the user's own values taking precedence.
+ *
+ * @private
+ * @returns {Object} {logoUrl, accentColor, footer}, each possibly empty
+ */
+function getBranding_() {
+  const organization = readBrandingProperty_(PropertiesService.getScriptProperties());
+  const user = readBrandingProperty_(PropertiesService.getUserProperties());
+  const branding = {};
+
+  Object.keys(organization).forEach((key) => {
+    branding[key] = user[key] || organization[key];
+  });
+  return branding;
+}
+
+/**
+ * Reads branding JSON from a property store. Invalid values are dropped so
+ * a typo can't break the draft's markup.
+ *
+ * @private
+ * @param {Properties} properties - Script or user properties
+ * @returns {Object} {logoUrl, accentColor, footer}, each possibly empty
+ */
+function readBrandingProperty_(properties) {
+  try {
+    const stored = properties.getProperty(BRANDING_PROPERTY_KEY_);
+    return normalizeBranding_(stored ? JSON.parse(stored) : {});
+  } catch (err) {
+    console.warn('Could not read branding, ignoring it:', err);
+    return normalizeBranding_({});
+  }
+}
+
+/**
+ * Saves the user's branding override.
+ *
+ * @private
+ * @param {Object} branding - {logoUrl, accentColor, footer}; empty values
+ *     fall back to the organization's branding
+ * @returns {Object} The normalized branding that was saved
+ */
+function saveUserBranding_(branding) {
+  const normalized = normalizeBranding_(branding);
+  PropertiesService.getUserProperties().setProperty(BRANDING_PROPERTY_KEY_, JSON.stringify(normalized));
+  return normalized;
+}
+
+/**
+ * Drops branding values that aren't safe to put in inline styles or an
+ * img src: the accent must be a hex color and the logo an https URL.
+ *
+ * @private
+ * @param {Object} branding - {logoUrl, accentColor, footer}
+ * @returns {Object} Branding with invalid values emptied
+ */
+function normalizeBranding_(branding) {
+  const logoUrl = String(branding.logoUrl || '').trim();
+  const accentColor = String(branding.accentColor || '').trim();
+
+  return {
+    logoUrl: /^https:\/\/[^\s"'<>]+$/i.test(logoUrl) ? logoUrl : '',
+    accentColor: /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(accentColor) ? accentColor.toLowerCase() : '',
+    footer: String(branding.footer || '').trim()
+  };
+}
+
+/**
+ * Action handler for the "Theme & branding" button.
+ * Shows the theme picker and the user's branding fields.
+ *
+ * @param {Object} e - The event object (not used)
+ * @returns {ActionResponse} Response that pushes the theme card
+ */
+function showThemeSettings(e) {
+  const settings = getSettings_();
+  const branding = readBrandingProperty_(PropertiesService.getUserProperties());
+
+  const themeInput = CardService.newSelectionInput()
+    .setType(CardService.SelectionInputType.DROPDOWN)
+    .setTitle('Theme')
+    .setFieldName('theme');
+
+  for (const key of Object.keys(THEMES_)) {
+    themeInput.addItem(THEMES_[key].label, key, key === settings.theme);
+  }
+
+  const card = CardService.newCardBuilder()
+    .setHeader(
+      CardService.newCardHeader()
+        .setTitle('Theme & branding')
+        .setSubtitle('Applies to drafts, inserted threads and PDFs')
+    )
+    .addSection(
+      CardService.newCardSection()
+        .addWidget(themeInput)
+    )
+    .addSection(
+      CardService.newCardSection()
+        .setHeader('Branding')
+        .addWidget(
+          CardService.newTextParagraph()
+            .setText("Leave a field empty to use your organization's branding, if it has any.")
+        )
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('logoUrl')
+            .setTitle('Logo URL (https)')
+            .setValue(branding.logoUrl)
+        )
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('accentColor')
+            .setTitle('Accent color (e.g. #0f766e)')
+            .setValue(branding.accentColor)
+        )
+        .addWidget(
+          CardService.newTextInput()
+            .setFieldName('footer')
+            .setTitle('Footer')
+            .setMultiline(true)
+            .setValue(branding.footer)
+        )
+        .addWidget(
+          CardService.newTextButton()
+            .setText('Save')
+            .setTextButtonStyle(CardService.TextButtonStyle.FILLED)
+            .setOnClickAction(
+              CardService.newAction()
+                .setFunctionName('saveThemeSettings')
+            )
+        )
+    )
+    .build();
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().pushCard(card)
+    )
+    .build();
+}
+
+/**
+ * Action handler for the theme card's "Save" button.
+ *
+ * @param {Object} e - The event object with the theme and branding form inputs
+ * @returns {ActionResponse} Response that returns to the main card
+ */
+function saveThemeSettings(e) {
+  const theme = getFormValues_(e, 'theme')[0];
+  if (THEMES_[theme]) {
+    saveSettings_({ theme: theme });
+  }
+
+  const branding = {
+    logoUrl: getFormValues_(e, 'logoUrl')[0] || '',
+    accentColor: getFormValues_(e, 'accentColor')[0] || '',
+    footer: getFormValues_(e, 'footer')[0] || ''
+  };
+  const saved = saveUserBranding_(branding);
+  const rejected = Object.keys(branding).filter((key) => branding[key].trim() && !saved[key]);
+
+  return CardService.newActionResponseBuilder()
+    .setNavigation(
+      CardService.newNavigation().popCard()
+    )
+    .setNotification(
+      CardService.newNotification()
+        .setText(rejected.length
+          ? `Theme saved. Ignored invalid ${rejected.map((key) => key === 'logoUrl' ? 'logo URL' : 'accent color').join(' and ')}.`
+          : 'Theme saved.')
+    )
+    .build();
+}
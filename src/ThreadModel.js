@@ -0,0 +1,375 @@
+/**
+ * Thread model: the cleaned conversation as plain data.
+ *
+ * buildThreadModel_ reads a thread and returns everything the renderers
+ * need - parsed senders, cleaned text and HTML, attachments with their
+ * provenance, inline image references - without producing any layout or
+ * touching Drive or the draft. Renderers (src/Renderers.js) turn the model
+ * into HTML, Markdown or text; collectThreadFiles_ fetches the blobs the
+ * model refers to from the attachments buildThreadModel_ collected.
+ *
+ * The model is JSON-serializable (dates are Date objects):
+ *
+ *   {
+ *     subject, intro,
+ *     order,           // 'oldest' or 'newest': the order of messages below
+ *     timeZone,        // label for the zone dates are shown in, e.g. "America/Chicago (CST)"
+ *     participants: [{email, name, display, domain, internal, messageCount, roles,
+ *       firstMessageId, firstSeen, firstSeenLabel, signature}],   // signature: lines, or null
+ *     domains: [{domain, internal, emails}],   // both empty when the participant summary is off
+ *     threads: [{number, id, subject, url}],   // source threads when several were merged, else empty
+ *     files: [{key, name, size, contentType, from, date, dateLabel, messageId, url}],
+ *     images: [{cid, key, name, size, messageId}],
+ *     redactions: [{label, count}],   // placeholders inserted when redaction is on, else empty
+ *     signatures,      // {email: lines} used for this thread, for saveCachedSignatures_
+ *     messages: [{
+ *       id, subject, date, dateLabel,
+ *       sender: {name, email, display},
+ *       text,            // cleaned plain text
+ *       inlineReplies,   // [{quote, reply}] for inline or bottom-posted replies, else null
+ *       html, isHtml,    // cleaned body HTML; isHtml is false when it came from text
+ *       attachments: [{key, name, size, isNew}],
+ *       forwarded: [{sender: {name, email, display}, date, dateLabel, subject, text, html}],
+ *                        // forwarded content that isn't already in the thread; date may be null
+ *       recipientChanges,   // {added, removed} display names vs. the previous message, or null
+ *       source,             // its entry in threads when several were merged, else null
+ *       restored,           // true when the message was restored to its full text
+ *       edited,             // true when its text was edited on the preview card
+ *       isFirst, isLatest
+ *     }]
+ *   }
+ *
+ * Display preferences from the user's settings (order, date format,
+ * participant summary, recipient changes, signatures, time zone, locale
+ * and redaction) are applied here, so renderers don't read settings:
+ * dateLabel is the date formatted with formatDate_. isFirst and isLatest
+ * are chronological whatever the order. Files and images are keyed by
+ * content digest (getAttachmentKey_), in the order they first appear.
+ * A file's url is null until collectThreadFiles_ links it from Drive.
+ */
+
+/**
+ * Builds the thread model.
+ *
+ * @private
+ * @param {GmailThread|Object} thread - The Gmail thread to read, or a merged thread
+ *     from createMergedThread_
+ * @param {Object} [options] - Model options
+ * @param {string[]} [options.messageIds] - Ids of the messages to include (default: all)
+ * @param {string[]} [options.restoreIds] - Ids of the messages to keep in full: their
+ *     text is not cleaned (see the cleaning audit card)
+ * @param {Object} [options.edits] - Text to use instead of the cleaned text, by
+ *     message id (edited on the preview card)
+ * @param {string} [options.subject] - Subject line (default: "FWD: " + first subject)
+ * @param {string} [options.intro] - Plain-text note for the top of the output
+ * @param {boolean} [options.includeImages] - Reference inline images (default true);
+ *     when false they are left out of the message HTML
+ * @param {Object} [options.settings] - User settings (default: getSettings_())
+ * @param {Object} [options.blobs] - Filled with the attachment behind each model file
+ *     (by key) and image (by cid), so collectThreadFiles_ doesn't read them again
+ * @returns {Object|null} Thread model, or null when there are no messages
+ */
+function buildThreadModel_(thread, options) {
+  const opts = options || {};
+  const settings = opts.settings || getSettings_();
+  const messages = sortMessagesByDate_(thread.getMessages()
+    .filter((msg) => !opts.messageIds || opts.messageIds.indexOf(msg.getId()) !== -1));
+  if (messages.length === 0) return null;
+
+  const model = {
+    subject: opts.subject || getDefaultSubject_(messages[0].getSubject(), settings.subjectPrefix),
+    intro: opts.intro || '',
+    order: settings.sortOrder === 'newest' ? 'newest' : 'oldest',
+    timeZone: formatTimeZoneLabel_(settings, messages[messages.length - 1].getDate()),
+    participants: [],
+    domains: [],
+    threads: [],
+    files: [],
+    images: [],
+    redactions: [],
+    signatures: {},
+    messages: []
+  };
+  const sourceThreads = getSourceThreads_(thread);
+  if (sourceThreads.length > 1) {
+    model.threads = sourceThreads.map((source, i) => ({
+      number: i + 1,
+      id: source.getId(),
+      subject: source.getFirstMessageSubject(),
+      url: source.getPermalink()
+    }));
+  }
+  // Cleaned text of every thread message, to drop forwarded copies of them
+  let knownTexts = null;
+  const isKnownText = (key) => {
+    if (!knownTexts) {
+      knownTexts = {};
+      thread.getMessages().forEach((other) => {
+        knownTexts[getForwardedTextKey_(stripQuotedText_(other.getPlainBody(), cleaningOptions))] = true;
+      });
+    }
+    return !!knownTexts[key];
+  };
+  const filesByKey = {};
+  const imagesByKey = {};
+  const cleaningOptions = getCleaningOptions_(settings);
+  // Redaction runs on cleaned text, so quote detection sees the original.
+  // Each rendered value is counted once; keys and copies are redacted quietly
+  const redactionRules = settings.redact ? getRedactionRules_(settings) : [];
+  const redact = (value) => redactText_(value, redactionRules, model.redactions);
+  const redactQuietly = (value) => redactText_(value, redactionRules);
+  model.subject = redact(model.subject);
+  model.threads.forEach((source) => { source.subject = redact(source.subject); });
+
+  const signatures = settings.stripSignatures ? learnSignatures_(messages, cleaningOptions) : {};
+  model.signatures = signatures;
+  const roster = buildParticipantRoster_(messages, settings);
+  roster.people.forEach((person) => {
+    person.signature = settings.signatureInRoster && signatures[person.email]
+      ? signatures[person.email].map(redact)
+      : null;
+  });
+  const recipientChanges = settings.recipientChanges ? buildRecipientChanges_(messages, roster.people) : {};
+  Object.keys(recipientChanges).forEach((id) => {
+    recipientChanges[id].added = recipientChanges[id].added.map(redact);
+    recipientChanges[id].removed = recipientChanges[id].removed.map(redact);
+  });
+  if (settings.participantSummary) {
+    roster.people.forEach((person) => {
+      person.name = redactQuietly(person.name);
+      person.email = redactQuietly(person.email);
+      person.display = redact(person.display);
+    });
+    roster.domains.forEach((domain) => { domain.emails = domain.emails.map(redactQuietly); });
+    model.participants = roster.people;
+    model.domains = roster.domains;
+  }
+
+  messages.forEach((msg, i) => {
+    const fromParsed = parseEmailFrom_(msg.getFrom());
+    const sender = {
+      name: redactQuietly(fromParsed.name),
+      email: redactQuietly(fromParsed.email),
+      display: redact(fromParsed.name || fromParsed.email)
+    };
+    const date = msg.getDate();
+
+    // Clean the message body: the HTML pipeline keeps formatting, and the
+    // plain-text pipeline is the fallback when the HTML can't be cleaned.
+    // Inline replies come from the plain text, where the quotes are marked
+    const messageOptions = Object.assign({ signature: signatures[normalizeEmail_(fromParsed.email)] }, cleaningOptions);
+    const resolveImage = opts.includeImages === false
+      ? () => null
+      : createInlineImageResolver_(msg, model.images, imagesByKey, opts.blobs);
+    const edited = typeof (opts.edits || {})[msg.getId()] === 'string';
+    const restored = !!opts.restoreIds && opts.restoreIds.indexOf(msg.getId()) !== -1;
+    const inlineReplies = restored || edited ? null : findInlineReplies_(msg.getPlainBody(), messageOptions);
+    // Redactions are counted from the body that is rendered: the HTML
+    // when it could be cleaned, else the text
+    const htmlRedactions = [];
+    const cleanedHtml = settings.htmlBodies && !inlineReplies && !restored && !edited
+      ? cleanHtmlBody_(msg.getBody(), Object.assign({
+        resolveImage: resolveImage,
+        redactionRules: redactionRules,
+        redactions: htmlRedactions
+      }, messageOptions))
+      : null;
+    if (inlineReplies) {
+      inlineReplies.forEach((pair) => {
+        pair.quote = redact(pair.quote);
+        pair.reply = redact(pair.reply);
+      });
+    }
+    let text;
+    if (edited) {
+      text = opts.edits[msg.getId()];
+    } else if (restored) {
+      text = getFullPlainText_(msg.getPlainBody(), cleaningOptions);
+    } else if (inlineReplies) {
+      text = formatInlineReplies_(inlineReplies);
+    } else {
+      text = stripQuotedText_(msg.getPlainBody(), messageOptions);
+    }
+    if (cleanedHtml) {
+      addRedactionCounts_(model.redactions, htmlRedactions);
+      text = redactQuietly(text);
+    } else if (!inlineReplies) {
+      text = redact(text);
+    }
+    const dateLabel = formatDate_(date, settings);
+
+    const forwarded = [];
+    // A restored message already shows its forwarded part in full
+    for (const block of restored ? [] : parseForwardedBlocks_(msg.getPlainBody(), cleaningOptions)) {
+      const key = getForwardedTextKey_(block.text);
+      if (!key || isKnownText(key)) continue;
+      knownTexts[key] = true; // shown once, even when forwarded again
+      const forwardDate = parseForwardedDate_(block.date);
+      const forwardText = redact(block.text);
+      forwarded.push({
+        sender: {
+          name: redactQuietly(block.from.name),
+          email: redactQuietly(block.from.email),
+          display: redact(block.from.display)
+        },
+        date: forwardDate,
+        dateLabel: forwardDate ? formatDate_(forwardDate, settings) : block.date,
+        subject: redact(block.subject),
+        text: forwardText,
+        html: textToHtml_(forwardText)
+      });
+    }
+
+    const attachments = (msg.getAttachments({
+      includeInlineImages: false,
+      includeAttachments: true
+    }) || []).map((att) => {
+      const key = getAttachmentKey_(att);
+      const isNew = !filesByKey[key];
+      if (isNew) {
+        filesByKey[key] = {
+          key: key,
+          name: att.getName(),
+          size: att.getSize(),
+          contentType: att.getContentType(),
+          from: sender.display,
+          date: date,
+          dateLabel: dateLabel,
+          messageId: msg.getId(),
+          url: null
+        };
+        model.files.push(filesByKey[key]);
+        if (opts.blobs) opts.blobs[key] = att;
+      }
+      return { key: key, name: att.getName(), size: att.getSize(), isNew: isNew };
+    });
+
+    model.messages.push({
+      id: msg.getId(),
+      subject: redactQuietly(msg.getSubject() || ''),
+      date: date,
+      dateLabel: dateLabel,
+      sender: sender,
+      text: text,
+      inlineReplies: inlineReplies,
+      html: cleanedHtml || placeInlineImageMarkers_(textToHtml_(text), resolveImage),
+      isHtml: !!cleanedHtml,
+      attachments: attachments,
+      forwarded: forwarded,
+      recipientChanges: recipientChanges[msg.getId()] || null,
+      source: model.threads.length ? model.threads[getSourceThreadIndex_(sourceThreads, msg)] : null,
+      restored: restored,
+      edited: edited,
+      isFirst: i === 0,
+      isLatest: i === messages.length - 1
+    });
+  });
+
+  if (model.order === 'newest') {
+    model.messages.reverse();
+  }
+
+  return model;
+}
+
+/**
+ * Returns the model's file entry for a content digest.
+ *
+ * @private
+ * @param {Object} model - Thread model
+ * @param {string} key - Content digest
+ * @returns {Object|null} File entry
+ */
+function findModelFile_(model, key) {
+  return model.files.find((file) => file.key === key) || null;
+}
+
+/**
+ * Creates a resolver that maps an inline image referenced in a message body
+ * to a cid: URL in the output.
+ *
+ * Images are matched to the message's inline attachments by file name
+ * (Gmail puts it in the img alt text and in "[image: name]" plain-text
+ * markers), falling back to order of appearance. Each distinct image is
+ * added to the model's images once; an image already shown by an earlier
+ * message resolves to null so the screenshot quoted in every reply appears
+ * only where it was first posted. Each image's digest is computed once.
+ *
+ * @private
+ * @param {GmailMessage} msg - Message whose body is being cleaned
+ * @param {Object[]} images - Model images, {cid, key, name, size, messageId} (mutated)
+ * @param {Object.<string, Object>} imagesByKey - Content digest -> image entry (mutated)
+ * @param {Object.<string, GmailAttachment>} [blobs] - Cid -> inline image (mutated)
+ * @returns {function(string, string): ?string} (contentId, name) => "cid:..." or null to drop the image
+ */
+function createInlineImageResolver_(msg, images, imagesByKey, blobs) {
+  const inlineAttachments = msg.getAttachments({
+    includeInlineImages: true,
+    includeAttachments: false
+  }) || [];
+  const keys = new Map();
+  const keyOf = (img) => {
+    if (!keys.has(img)) keys.set(img, getAttachmentKey_(img));
+    return keys.get(img);
+  };
+  const usedHere = {};
+
+  return (contentId, name) => {
+    const image = inlineAttachments.find((img) => name && img.getName() === name) ||
+      inlineAttachments.find((img) => !usedHere[keyOf(img)]);
+    if (!image) return null;
+
+    const key = keyOf(image);
+    if (imagesByKey[key] && !usedHere[key]) return null; // shown in an earlier message
+
+    if (!imagesByKey[key]) {
+      imagesByKey[key] = {
+        cid: `cleanfwd-img-${images.length + 1}`,
+        key: key,
+        name: image.getName(),
+        size: image.getSize(),
+        messageId: msg.getId()
+      };
+      images.push(imagesByKey[key]);
+      if (blobs) blobs[imagesByKey[key].cid] = image;
+    }
+    usedHere[key] = true;
+    return `cid:${imagesByKey[key].cid}`;
+  };
+}
+
+/**
+ * Fetches the blobs a model refers to: inline images, which always go in
+ * the draft and are counted first, and the attachments that still fit in
+ * the size budget. Files over the budget are uploaded to Drive and their
+ * model entries get a url.
+ *
+ * @private
+ * @param {Object} model - Thread model (file urls are set)
+ * @param {Object.<string, GmailAttachment>} blobs - Attachments by file key and image
+ *     cid, from buildThreadModel_'s blobs option
+ * @param {Object} budget - Attachment size budget from createAttachmentBudget_ (mutated)
+ * @param {string} sharing - Key of DRIVE_SHARING_MODES_ for files linked from Drive
+ * @returns {Object} {attachments: Blob[], inlineImages: Object.<string, Blob>} (inline images by cid)
+ */
+function collectThreadFiles_(model, blobs, budget, sharing) {
+  const inlineImages = {};
+  for (const image of model.images) {
+    budget.used += image.size;
+    inlineImages[image.cid] = blobs[image.cid].copyBlob();
+  }
+
+  const attachments = [];
+  for (const file of model.files) {
+    const blob = blobs[file.key];
+    if (fitsAttachmentBudget_(budget, file.size)) {
+      attachments.push(blob);
+    } else {
+      const linked = linkAttachmentInDrive_(blob, sharing);
+      file.url = linked.url;
+      budget.linked.push({ name: file.name, size: file.size, url: file.url, fileId: linked.fileId, sharing: linked.sharing });
+    }
+  }
+
+  return { attachments: attachments, inlineImages: inlineImages };
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for the card-building entry points.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll, collectText } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/gmail-reply-chain.json');
+
+test('buildAddOn returns one card with the create, merge and settings buttons', () => {
+  const addon = loadAddon();
+  const cards = addon.run('buildAddOn', { gmail: { threadId: fixture.thread.id } });
+
+  assert.strictEqual(cards.length, 1);
+  assert.strictEqual(cards[0].arg('setHeader').arg('setTitle'), 'Clean Forward');
+
+  const buttons = findAll(cards[0], 'TextButton')
+    .map((button) => [button.arg('setText'), button.arg('setOnClickAction').arg('setFunctionName')]);
+  assert.deepStrictEqual(toHost(buttons), [
+    ['Create clean forward draft', 'showMessageSelection'],
+    ['Merge related threads', 'showMergeThreads'],
+    ['Settings', 'openSettings']
+  ]);
+});
+
+test('createCleanForwardFromContext pushes a success card linking to the draft', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const response = addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: { confirmed: 'true' } }
+  });
+
+  assert.strictEqual(addon.GmailApp.drafts.length, 1);
+
+  const card = response.arg('setNavigation').arg('pushCard');
+  assert.strictEqual(card.arg('setHeader').arg('setTitle'), 'Draft Created!');
+  assert.strictEqual(card.arg('setHeader').arg('setSubtitle'), 'FWD: Q1 launch plan');
+
+  const link = findAll(card, 'OpenLink')[0];
+  assert.match(link.arg('setUrl'), /#drafts\?compose=msg-draft-1$/);
+
+  const notification = response.arg('setNotification');
+  assert.strictEqual(notification.arg('setText'), 'Draft created: FWD: Q1 launch plan');
+  assert.strictEqual(notification.arg('setType'), 'NotificationType.INFO');
+});
+
+test('createCleanForwardFromContext notifies when there is no thread', () => {
+  const addon = loadAddon();
+  const response = addon.run('createCleanForwardFromContext', {});
+
+  assert.match(collectText(response), /No thread found/);
+  assert.strictEqual(addon.GmailApp.drafts.length, 0);
+});
+
+test('createCleanForwardFromContext reports errors from draft creation', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  addon.GmailApp.createDraft = () => { throw new Error('Attachment too large'); };
+
+  const response = addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: { confirmed: 'true' } }
+  });
+
+  assert.strictEqual(response.arg('setNotification').arg('setType'), 'NotificationType.ERROR');
+  assert.strictEqual(addon.console.entries[0].level, 'error');
+});
+
+test('resetToMainCard pops back to the main card', () => {
+  const addon = loadAddon();
+  const response = addon.run('resetToMainCard', {});
+  assert.strictEqual(response.arg('setNavigation').calls[0].method, 'popCard');
+});
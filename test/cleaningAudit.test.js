@@ -0,0 +1,157 @@
+/**
+ * Tests for cleaning reports, the low-confidence badge and the audit card.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost, findAll, collectText } = require('./harness/loadAddon');
+
+const LOW_BODY = 'The vendor said:\n\nwhat Jordan wrote:\nship it Friday, no later.\n';
+
+const thread = {
+  id: 'thread-audit',
+  messages: [
+    {
+      id: 'a1',
+      from: 'Jordan Lee <jordan@example.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-15T14:09:00-06:00',
+      subject: 'Launch',
+      plainBody: 'Can we ship Friday?\n'
+    },
+    {
+      id: 'a2',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Jordan Lee <jordan@example.org>',
+      date: '2025-12-16T09:00:00-06:00',
+      subject: 'Re: Launch',
+      plainBody: 'Yes.\n\nOn Mon, Dec 15, 2025 at 2:09 PM Jordan Lee <jordan@example.org> wrote:\n> Can we ship Friday?\n'
+    },
+    {
+      id: 'a3',
+      from: 'Jordan Lee <jordan@example.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-17T09:00:00-06:00',
+      subject: 'Re: Launch',
+      plainBody: LOW_BODY
+    }
+  ]
+};
+
+/** Builds a card action event, optionally with form inputs and parameters. */
+function event(parameters, formInputs) {
+  const inputs = {};
+  for (const name of Object.keys(formInputs || {})) {
+    inputs[name] = { stringInputs: { value: formInputs[name] } };
+  }
+  return {
+    gmail: { threadId: thread.id },
+    commonEventObject: { parameters: parameters || {}, formInputs: inputs }
+  };
+}
+
+test('analyzeQuotedText_ reports the rule, line and confidence of each cut', () => {
+  const addon = loadAddon();
+  const report = toHost(addon.run('analyzeQuotedText_', thread.messages[1].plainBody));
+
+  assert.strictEqual(report.text, 'Yes.');
+  assert.strictEqual(report.rule, 'wrote');
+  assert.strictEqual(report.line, 3);
+  assert.strictEqual(report.confidence, 0.9);
+  assert.deepStrictEqual(report.removed.map((span) => span.rule), ['wrote']);
+
+  const low = toHost(addon.run('analyzeQuotedText_', LOW_BODY));
+  assert.strictEqual(low.rule, 'wroteUnquoted');
+  assert.ok(low.confidence < addon.evaluate('LOW_CLEANING_CONFIDENCE_'));
+  assert.strictEqual(low.removed[0].text, 'what Jordan wrote:\nship it Friday, no later.');
+
+  const clean = toHost(addon.run('analyzeQuotedText_', 'Nothing to remove.'));
+  assert.deepStrictEqual([clean.rule, clean.line, clean.confidence, clean.removed], [null, 0, 1, []]);
+  assert.strictEqual(addon.run('stripQuotedText_', LOW_BODY), low.text);
+});
+
+test('the selection card flags low-confidence messages and links to the audit', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const card = addon.run('showMessageSelection', event()).arg('setNavigation').arg('pushCard');
+
+  const input = findAll(card, 'SelectionInput').find((i) => i.arg('setFieldName') === 'messageIds');
+  const labels = input.calls.filter((c) => c.method === 'addItem').map((c) => c.args[0]);
+  assert.ok(!labels[1].startsWith('⚠'));
+  assert.match(labels[2], /^⚠ Jordan Lee · /);
+
+  const button = findAll(card, 'TextButton').find((b) => b.arg('setText') === 'Review cleaning');
+  assert.strictEqual(button.arg('setOnClickAction').arg('setFunctionName'), 'showCleaningAudit');
+});
+
+test('the audit card lists removed spans and offers to restore them', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const response = addon.run('showCleaningAudit', event({ fromSelection: 'true', compose: '{}' }, { messageIds: ['a1', 'a2', 'a3'] }));
+  const card = response.arg('setNavigation').arg('pushCard');
+
+  assert.strictEqual(card.arg('setHeader').arg('setSubtitle'), '1 of 3 messages need a look');
+  const text = collectText(card);
+  assert.ok(text.includes('Nothing removed.'));
+  assert.ok(text.includes('Confidence 90% · cut at line 3 ("wrote:" line)'));
+  assert.ok(text.includes('<b>Low confidence</b></font> · Confidence 40%'));
+
+  const restore = findAll(card, 'SelectionInput').find((i) => i.arg('setFieldName') === 'restoreMessageIds');
+  assert.deepStrictEqual(
+    toHost(restore.calls.filter((c) => c.method === 'addItem').map((c) => c.args[1])),
+    ['a2', 'a3']
+  );
+
+  const none = addon.run('showCleaningAudit', event({ fromSelection: 'true', compose: '{}' }, {}));
+  assert.strictEqual(none.arg('setNotification').arg('setText'), 'Select at least one message.');
+});
+
+test('restored messages keep their full text in the draft', () => {
+  const addon = loadAddon({ threads: [thread] });
+  addon.run('createCleanForwardFromContext', event(
+    { fromSelection: 'true', messageIds: 'a2,a3', compose: '{}', confirmed: 'true' },
+    { restoreMessageIds: ['a3'] }
+  ));
+
+  const html = addon.GmailApp.drafts[0].options.htmlBody;
+  assert.ok(html.includes('ship it Friday, no later.'));
+  assert.ok(!html.includes('Can we ship Friday?'));
+});
+
+test('the audit reports what the draft removes from HTML bodies and learned signatures', () => {
+  const signature = 'Jordan Lee\nAcme Corp | +1 555 0100';
+  const htmlThread = {
+    id: 'thread-audit-html',
+    messages: [
+      {
+        id: 'h1',
+        from: 'Jordan Lee <jordan@example.org>',
+        to: 'Alex Rivera <alex@example.com>',
+        date: '2025-12-15T14:09:00-06:00',
+        subject: 'Launch',
+        plainBody: `Can we ship Friday?\n\n${signature}\n`
+      },
+      {
+        id: 'h2',
+        from: 'Jordan Lee <jordan@example.org>',
+        to: 'Alex Rivera <alex@example.com>',
+        date: '2025-12-16T09:00:00-06:00',
+        subject: 'Re: Launch',
+        plainBody: `QA signed off.\n\n${signature}\n`,
+        body: '<div>QA signed off.</div><div class="gmail_quote"><div>Earlier: can we ship Friday?</div></div>'
+      }
+    ]
+  };
+  const addon = loadAddon({ threads: [htmlThread] });
+  const card = addon.run('showCleaningAudit', {
+    gmail: { threadId: htmlThread.id },
+    commonEventObject: { parameters: { fromSelection: 'true', compose: '{}' }, formInputs: { messageIds: { stringInputs: { value: ['h1', 'h2'] } } } }
+  }).arg('setNavigation').arg('pushCard');
+
+  const text = collectText(card);
+  assert.ok(text.includes('<b>Learned signature</b> (line 3)<br>Jordan Lee\nAcme Corp | +1 555 0100'));
+  assert.ok(text.includes('<b>Quoted part of the HTML</b> (line 2)<br>Earlier: can we ship Friday?'));
+  assert.ok(!text.includes('Nothing removed.'));
+
+  const report = toHost(addon.run('analyzeHtmlBody_', htmlThread.messages[1].body));
+  assert.deepStrictEqual([report.text, report.rule, report.line, report.confidence], ['QA signed off.', 'htmlQuote', 2, 0.95]);
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the compose options: recipients, subject, intro note and
+ * draft-or-send.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll, collectText } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/gmail-reply-chain.json');
+
+/** Builds a card action event with form inputs and parameters. */
+function event(parameters, formInputs) {
+  const inputs = {};
+  for (const name of Object.keys(formInputs || {})) {
+    inputs[name] = { stringInputs: { value: [].concat(formInputs[name]) } };
+  }
+  return {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: parameters || {}, formInputs: inputs }
+  };
+}
+
+test('buildAddOn prefills the subject and offers draft or send', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const card = addon.run('buildAddOn', { gmail: { threadId: fixture.thread.id } })[0];
+
+  const inputs = findAll(card, 'TextInput');
+  assert.deepStrictEqual(toHost(inputs.map((i) => i.arg('setFieldName'))), ['recipients', 'subject', 'intro']);
+  assert.strictEqual(inputs[0].arg('setSuggestionsAction').arg('setFunctionName'), 'suggestRecipients');
+  assert.strictEqual(inputs[1].arg('setValue'), 'FWD: Q1 launch plan');
+
+  const delivery = findAll(card, 'SelectionInput')[0];
+  assert.strictEqual(delivery.arg('setType'), 'SelectionInputType.RADIO_BUTTON');
+  assert.deepStrictEqual(toHost(delivery.args('addItem')), ['Save as draft', 'Send now']);
+});
+
+test('suggestRecipients completes the address after the last comma', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const response = addon.run('suggestRecipients', event({}, { recipients: 'boss@example.com, jor' }));
+
+  const suggestions = response.arg('setSuggestions').args('addSuggestion');
+  assert.deepStrictEqual(toHost(suggestions), ['boss@example.com, Jordan Lee <jordan@example.org>']);
+});
+
+test('suggested and entered display names with commas are quoted', () => {
+  const addon = loadAddon({
+    threads: [{
+      id: fixture.thread.id,
+      messages: [{
+        id: 'q1',
+        from: '"Chen, Morgan" <morgan@acme.com>',
+        to: 'Alex Rivera <alex@example.com>',
+        date: '2025-12-01T09:00:00-06:00',
+        subject: 'Vendor review',
+        plainBody: 'Hi\n'
+      }]
+    }]
+  });
+  const response = addon.run('suggestRecipients', event({}, { recipients: '"Lee, Jordan" <jordan@example.org>, mor' }));
+  assert.deepStrictEqual(toHost(response.arg('setSuggestions').args('addSuggestion')), [
+    '"Lee, Jordan" <jordan@example.org>, "Chen, Morgan" <morgan@acme.com>'
+  ]);
+
+  const compose = toHost(addon.run('readComposeForm_', event({}, {
+    recipients: '"Chen, Morgan" <morgan@acme.com>; ops@example.com'
+  })));
+  assert.strictEqual(compose.recipients, '"Chen, Morgan" <morgan@acme.com>, ops@example.com');
+});
+
+test('suggestRecipients adds matching contacts after thread participants', () => {
+  const People = {
+    People: {
+      searchContacts: (request) => {
+        assert.strictEqual(request.query, 'a');
+        return {
+          results: [
+            { person: { names: [{ displayName: 'Avery Kim' }], emailAddresses: [{ value: 'avery@example.net' }] } },
+            { person: { names: [{ displayName: 'Alex Rivera' }], emailAddresses: [{ value: 'alex@example.com' }] } }
+          ]
+        };
+      }
+    }
+  };
+  const addon = loadAddon({ threads: [fixture.thread], globals: { People } });
+  const response = addon.run('suggestRecipients', event({}, { recipients: 'a' }));
+
+  assert.deepStrictEqual(toHost(response.arg('setSuggestions').args('addSuggestion')), [
+    'Alex Rivera <alex@example.com>',
+    'Jordan Lee <jordan@example.org>',
+    'Avery Kim <avery@example.net>'
+  ]);
+});
+
+test('compose options travel through the selection card into the draft', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const selection = addon.run('showMessageSelection', event({}, {
+    recipients: 'team@example.com; boss@example.com',
+    subject: 'Launch plan recap',
+    intro: 'Hi all,\nSee below for where we landed.',
+    delivery: 'draft'
+  })).arg('setNavigation').arg('pushCard');
+
+  const createButton = findAll(selection, 'TextButton').find((b) => b.arg('setText') === 'Create draft');
+  const parameters = toHost(createButton.arg('setOnClickAction').arg('setParameters'));
+  const preview = addon.run('createCleanForwardFromContext', event(parameters, { messageIds: ['m1', 'm2', 'm3'] }))
+    .arg('setNavigation').arg('pushCard');
+  const confirm = findAll(preview, 'TextButton').find((b) => b.arg('setText') === 'Create draft');
+  addon.run('createCleanForwardFromContext', event(toHost(confirm.arg('setOnClickAction').arg('setParameters'))));
+
+  const draft = addon.GmailApp.drafts[0];
+  assert.strictEqual(draft.recipient, 'team@example.com, boss@example.com');
+  assert.strictEqual(draft.subject, 'Launch plan recap');
+  assert.ok(!draft.sent);
+
+  const html = draft.options.htmlBody;
+  const intro = html.indexOf('Hi all,<br>See below for where we landed.');
+  assert.ok(intro !== -1);
+  assert.ok(intro < html.indexOf('Conversation Summary'));
+});
+
+test('send now sends the draft and says so', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const compose = JSON.stringify({ recipients: 'team@example.com', subject: '', intro: '', sendNow: true });
+  const response = addon.run('createCleanForwardFromContext', event({ fromSelection: 'true', compose, confirmed: 'true' }, { messageIds: ['m1', 'm2', 'm3'] }));
+
+  assert.strictEqual(addon.GmailApp.drafts[0].sent, true);
+  assert.strictEqual(addon.GmailApp.drafts[0].subject, 'FWD: Q1 launch plan');
+
+  const card = response.arg('setNavigation').arg('pushCard');
+  assert.strictEqual(card.arg('setHeader').arg('setTitle'), 'Sent!');
+  assert.match(collectText(card), /sent to team@example\.com/);
+  assert.match(findAll(card, 'OpenLink')[0].arg('setUrl'), /#sent\/msg-draft-1$/);
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Sent: FWD: Q1 launch plan');
+});
+
+test('send now without recipients is refused', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const compose = JSON.stringify({ recipients: '', subject: '', intro: '', sendNow: true });
+  const response = addon.run('createCleanForwardFromContext', event({ fromSelection: 'true', compose }, { messageIds: ['m1'] }));
+
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Add at least one recipient to send now.');
+  assert.strictEqual(addon.GmailApp.drafts.length, 0);
+});
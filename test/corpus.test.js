@@ -0,0 +1,39 @@
+/**
+ * Guards the golden corpus: no client may score below the precision or
+ * recall recorded in test/fixtures/corpus/baseline.json.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { scoreCorpus, readBaseline, tokenize, countOverlap } = require('./harness/corpus');
+
+const score = scoreCorpus();
+const baseline = readBaseline();
+
+for (const [client, stats] of Object.entries(score.clients)) {
+  test(`corpus: ${client} does not regress`, () => {
+    const base = baseline[client];
+    assert.ok(base, `no baseline for ${client}; run npm run corpus -- --update-baseline`);
+
+    const failing = score.results
+      .filter((r) => r.client === client && !r.perfect)
+      .map((r) => r.name)
+      .join(', ');
+    assert.ok(stats.precision >= base.precision,
+      `precision ${stats.precision.toFixed(3)} < baseline ${base.precision} (imperfect: ${failing})`);
+    assert.ok(stats.recall >= base.recall,
+      `recall ${stats.recall.toFixed(3)} < baseline ${base.recall} (imperfect: ${failing})`);
+  });
+}
+
+test('corpus: baseline has no stale clients', () => {
+  for (const client of Object.keys(baseline)) {
+    assert.ok(score.clients[client], `baseline lists ${client} but the corpus has no such directory`);
+  }
+});
+
+test('corpus scoring counts repeated words once per occurrence', () => {
+  assert.deepStrictEqual(tokenize('Thanks, thanks! 10:30'), ['thanks', 'thanks', '10', '30']);
+  assert.strictEqual(countOverlap(['a', 'a', 'b'], ['a', 'b', 'c']), 2);
+});
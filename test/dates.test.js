@@ -0,0 +1,58 @@
+/**
+ * Tests for time zone and locale aware date formatting.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/gmail-reply-chain.json');
+
+// 2025-12-19 16:12 in Chicago is 2025-12-19 22:12 UTC and 2025-12-20 07:12 in Tokyo
+const DATE = new Date('2025-12-19T16:12:00-06:00');
+
+test('formatDate_ shows absolute dates by default', () => {
+  const addon = loadAddon();
+  assert.match(addon.run('formatDate_', DATE), /^Dec 19, 2025 4:12\sPM$/);
+});
+
+test('formatDate_ formats in the given time zone and locale', () => {
+  const addon = loadAddon();
+
+  assert.match(addon.run('formatDate_', DATE, { timeZone: 'Asia/Tokyo' }), /^Dec 20, 2025 7:12\sAM$/);
+  assert.strictEqual(addon.run('formatDate_', DATE, { timeZone: 'Europe/Berlin', dateLocale: 'de-DE' }), '19. Dez. 2025 23:12');
+  assert.strictEqual(addon.run('formatDate_', DATE, { dateFormat: 'iso', timeZone: 'UTC' }), '2025-12-19 22:12');
+});
+
+test('relative dates count days in the user time zone', () => {
+  // The fixed clock is 2025-12-20 12:00 in Chicago, 2025-12-21 03:00 in Tokyo
+  const addon = loadAddon();
+
+  assert.match(addon.run('formatDate_', DATE, { dateFormat: 'relative' }), /^Yesterday 4:12\sPM$/);
+  assert.match(addon.run('formatDate_', DATE, { dateFormat: 'relative', timeZone: 'Asia/Tokyo' }), /^Yesterday 7:12\sAM$/);
+  assert.match(addon.run('formatDate_', DATE, { dateFormat: 'relative', dateLocale: 'fr' }), /^Hier 16:12$/);
+});
+
+test('drafts use the time zone and locale from the add-on event and label it', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: { confirmed: 'true' }, timeZone: { id: 'Europe/London', offset: 0 }, userLocale: 'en-GB' }
+  });
+
+  const html = addon.GmailApp.drafts[0].options.htmlBody;
+  assert.ok(html.includes('Times are in Europe/London (GMT).'));
+  assert.ok(html.includes('19 Dec 2025 22:12'));
+});
+
+test('an explicit time zone setting wins over the event', () => {
+  const addon = loadAddon({
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ timeZone: 'Asia/Tokyo' }) } }
+  });
+  const settings = addon.run('getSettings_', { commonEventObject: { timeZone: { id: 'Europe/London' }, userLocale: 'en_GB' } });
+
+  assert.strictEqual(settings.timeZone, 'Asia/Tokyo');
+  assert.strictEqual(settings.dateLocale, 'en-GB');
+  assert.strictEqual(addon.run('formatTimeZoneLabel_', settings, DATE), 'Asia/Tokyo (GMT+9)');
+});
@@ -0,0 +1,164 @@
+/**
+ * Tests for the scheduled batch digest.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll } = require('./harness/loadAddon');
+
+const replyChain = loadFixture('threads/gmail-reply-chain.json').thread;
+const attachments = loadFixture('threads/outlook-attachments.json').thread;
+
+/** Loads the add-on with two threads and a saved digest configuration. */
+function loadWithDigest(config) {
+  return loadAddon({
+    threads: [replyChain, attachments],
+    properties: {
+      user: {
+        'cleanForward.digest': JSON.stringify(Object.assign({ query: 'label:Escalations', recipients: 'team@example.com' }, config))
+      }
+    }
+  });
+}
+
+/** Builds a card action event with form inputs. */
+function event(formInputs) {
+  const inputs = {};
+  for (const name of Object.keys(formInputs || {})) {
+    inputs[name] = { stringInputs: { value: formInputs[name] } };
+  }
+  return { commonEventObject: { formInputs: inputs, timeZone: { id: 'Europe/Berlin' }, userLocale: 'en' } };
+}
+
+test('runDigest puts every matching thread in one draft with a table of contents', () => {
+  const addon = loadWithDigest();
+  const result = toHost(addon.run('runDigest'));
+
+  assert.strictEqual(result.threadCount, 2);
+  assert.strictEqual(result.sent, false);
+  assert.deepStrictEqual(toHost(addon.GmailApp.searches), ['(label:Escalations) newer_than:7d']);
+
+  const draft = addon.GmailApp.drafts[0];
+  assert.strictEqual(draft.recipient, 'team@example.com');
+  assert.strictEqual(draft.subject, 'Digest: label:Escalations (2 threads)');
+
+  const html = draft.options.htmlBody;
+  assert.ok(html.includes('<a href="#cleanfwd-digest-1"'));
+  assert.ok(html.includes('<a name="cleanfwd-digest-2" id="cleanfwd-digest-2"></a>'));
+  assert.ok(html.indexOf('Q1 launch plan') < html.indexOf('Contract draft'));
+  assert.ok(html.includes('book the room for Thursday'));
+  assert.ok(html.includes('Looks good overall'));
+  assert.strictEqual(draft.options.attachments, undefined);
+
+  assert.match(draft.body, /^1\. Q1 launch plan \(3 messages\)\n2\. Contract draft \(2 messages\)$/m);
+  assert.match(draft.body, /Alex Rivera - /);
+});
+
+test('processed threads are recorded and never included twice', () => {
+  const addon = loadWithDigest({ sendNow: true });
+  assert.strictEqual(addon.run('runDigest').sent, true);
+  assert.ok(addon.GmailApp.drafts[0].sent);
+
+  const state = JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.digest.state'));
+  assert.deepStrictEqual(state.processed, [replyChain.id, attachments.id]);
+  assert.strictEqual(state.lastCount, 2);
+
+  assert.strictEqual(addon.run('runDigest').threadCount, 0);
+  assert.strictEqual(addon.GmailApp.drafts.length, 1);
+});
+
+test('processed threads that no longer match the search are forgotten', () => {
+  const addon = loadWithDigest();
+  addon.PropertiesService.user.setProperty('cleanForward.digest.state', JSON.stringify({
+    processed: ['thread-gone', replyChain.id],
+    lastRun: '2025-12-19T13:00:00.000Z',
+    lastCount: 2
+  }));
+
+  assert.strictEqual(addon.run('runDigest').threadCount, 1);
+  const state = JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.digest.state'));
+  assert.deepStrictEqual(state.processed, [replyChain.id, attachments.id]);
+});
+
+test('a failed delivery keeps the threads for the next run', () => {
+  const addon = loadWithDigest({ sendNow: true });
+  const createDraft = addon.GmailApp.createDraft;
+  let deleted = false;
+  addon.GmailApp.createDraft = (...args) => {
+    const draft = createDraft(...args);
+    draft.send = () => { throw new Error('Service invoked too many times'); };
+    draft.deleteDraft = () => { deleted = true; };
+    return draft;
+  };
+  assert.throws(() => addon.run('runDigest'), /too many times/);
+  assert.ok(deleted);
+  assert.deepStrictEqual(JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.digest.state')).processed, []);
+
+  addon.GmailApp.createDraft = createDraft;
+  assert.strictEqual(addon.run('runDigest').threadCount, 2);
+});
+
+test('threads are recorded before delivery', () => {
+  const addon = loadWithDigest();
+  const createDraft = addon.GmailApp.createDraft;
+  let recorded = null;
+  addon.GmailApp.createDraft = (...args) => {
+    recorded = JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.digest.state')).processed;
+    return createDraft(...args);
+  };
+  addon.run('runDigest');
+  assert.deepStrictEqual(recorded, [replyChain.id, attachments.id]);
+});
+
+test('runDigest does nothing without a query or while another run holds the lock', () => {
+  const unconfigured = loadAddon({ threads: [replyChain] });
+  assert.strictEqual(unconfigured.run('runDigest'), null);
+
+  const busy = loadWithDigest();
+  busy.LockService.busy = true;
+  assert.strictEqual(busy.run('runDigest'), null);
+  assert.strictEqual(busy.GmailApp.drafts.length, 0);
+});
+
+test('the digest card saves the configuration and schedules one daily trigger', () => {
+  const addon = loadAddon({ threads: [replyChain] });
+  const card = addon.run('showDigestSettings', {}).arg('setNavigation').arg('pushCard');
+  assert.strictEqual(findAll(card, 'TextParagraph')[0].arg('setText'), 'Not scheduled.');
+
+  const save = (inputs) => addon.run('saveDigestSettings', event(inputs));
+  assert.strictEqual(
+    save({ digestQuery: ['label:Escalations'], digestDelivery: ['send'] }).arg('setNotification').arg('setText'),
+    'Add at least one recipient to send the digest.'
+  );
+
+  const inputs = { digestQuery: ['label:Escalations'], digestRecipients: ['"Ops, Team" <ops@example.com>'], digestDelivery: ['send'], digestHour: ['6'] };
+  save(inputs);
+  const response = save(inputs);
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Digest scheduled daily at 6:00.');
+
+  assert.strictEqual(addon.ScriptApp.triggers.length, 1);
+  assert.deepStrictEqual(toHost(addon.ScriptApp.triggers[0].schedule), { everyDays: 1, atHour: 6, inTimezone: 'Europe/Berlin' });
+  assert.deepStrictEqual(JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.digest')), {
+    query: 'label:Escalations',
+    recipients: 'ops@example.com',
+    hour: 6,
+    sendNow: true,
+    timeZone: 'Europe/Berlin',
+    locale: 'en'
+  });
+
+  const updated = response.arg('setNavigation').arg('updateCard');
+  assert.strictEqual(findAll(updated, 'TextParagraph')[0].arg('setText'), 'Runs daily at 6:00.');
+
+  addon.run('disableDigest', {});
+  assert.strictEqual(addon.ScriptApp.triggers.length, 0);
+});
+
+test('Run now reports the outcome', () => {
+  const addon = loadWithDigest();
+  const notify = () => addon.run('runDigestNow', {}).arg('setNotification').arg('setText');
+
+  assert.strictEqual(notify(), 'Digest draft created with 2 threads.');
+  assert.strictEqual(notify(), 'No new threads match.');
+});
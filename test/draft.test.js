@@ -0,0 +1,73 @@
+/**
+ * Fixture-driven tests for createCleanForwardDraftFromThread_.
+ * Each file in test/fixtures/threads describes a thread and what the
+ * resulting draft should (and should not) contain.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, listFixtures, toHost } = require('./harness/loadAddon');
+
+for (const fixturePath of listFixtures('threads')) {
+  const fixture = loadFixture(fixturePath);
+
+  test(`draft from ${fixturePath}`, () => {
+    const addon = loadAddon({ threads: [fixture.thread] });
+    const thread = addon.GmailApp.getThreadById(fixture.thread.id);
+
+    const result = toHost(addon.run('createCleanForwardDraftFromThread_', thread));
+    assert.strictEqual(addon.GmailApp.drafts.length, 1);
+
+    const draft = addon.GmailApp.drafts[0];
+    const html = draft.options.htmlBody;
+    const expected = fixture.expect;
+
+    assert.strictEqual(result.subject, expected.subject);
+    assert.strictEqual(draft.subject, expected.subject);
+    assert.match(result.draftUrl, /^https:\/\/mail\.google\.com\/mail\/u\/0\/#drafts\?compose=/);
+
+    let cursor = -1;
+    for (const snippet of expected.order) {
+      const at = html.indexOf(snippet, cursor + 1);
+      assert.ok(at > cursor, `expected "${snippet}" after position ${cursor}`);
+      cursor = at;
+    }
+    for (const snippet of expected.bodyContains) {
+      if (/^\w+day \d|^\w{3} \d/.test(snippet)) {
+        // Date labels use a locale-dependent space before AM/PM.
+        assert.match(html, new RegExp(snippet.replace(/ /g, '\\s')), `missing "${snippet}"`);
+      } else {
+        assert.ok(html.includes(snippet), `missing "${snippet}"`);
+      }
+    }
+    for (const snippet of expected.bodyExcludes) {
+      assert.ok(!html.includes(snippet), `unexpected "${snippet}"`);
+    }
+
+    const attachmentNames = toHost((draft.options.attachments || []).map((a) => a.getName()));
+    assert.deepStrictEqual(attachmentNames, expected.attachments);
+
+    const inlineImages = draft.options.inlineImages || {};
+    const inlineNames = {};
+    for (const cid of Object.keys(inlineImages)) inlineNames[cid] = inlineImages[cid].getName();
+    assert.deepStrictEqual(inlineNames, expected.inlineImages || {});
+  });
+}
+
+test('returns null for a thread with no messages', () => {
+  const addon = loadAddon({ threads: [{ id: 'empty', messages: [] }] });
+  const result = addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById('empty'));
+  assert.strictEqual(result, null);
+  assert.strictEqual(addon.GmailApp.drafts.length, 0);
+});
+
+test('marks only the newest message as latest', () => {
+  const fixture = loadFixture('threads/gmail-reply-chain.json');
+  const addon = loadAddon({ threads: [fixture.thread] });
+  addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id));
+
+  const html = addon.GmailApp.drafts[0].options.htmlBody;
+  assert.strictEqual(html.match(/background:#2563eb;/g).length, 1);
+  assert.ok(html.lastIndexOf('background:#2563eb;') > html.indexOf('Thursday works.'));
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the attachment size budget and Drive-link fallback.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, collectText } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/large-attachments.json');
+
+/** Loads the add-on with the large-attachments thread and optional settings. */
+function loadWithSettings(settings) {
+  return loadAddon({
+    threads: [fixture.thread],
+    properties: settings ? { user: { 'cleanForward.settings': JSON.stringify(settings) } } : undefined
+  });
+}
+
+test('uploads files over the budget to Drive and keeps them private in a draft', () => {
+  const addon = loadWithSettings();
+  const result = addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id), {
+    recipients: '"Lee, Sam" <sam@partner.org>, kim@partner.org'
+  });
+
+  assert.deepStrictEqual(toHost(result.linkedFiles), [{
+    name: 'session-recording.mp4',
+    size: 15728640,
+    url: 'https://drive.google.com/file/d/drive-2/view',
+    fileId: 'drive-2',
+    sharing: null
+  }]);
+
+  const folder = addon.DriveApp.folders[0];
+  assert.strictEqual(folder.getName(), 'Clean Forward');
+  assert.strictEqual(folder.files.length, 1);
+  assert.strictEqual(folder.files[0].viewers.length, 0);
+  assert.strictEqual(folder.files[0].sharing, null);
+  assert.strictEqual(addon.PropertiesService.user.getProperty('cleanForward.driveFolderId'), folder.getId());
+});
+
+test('shares linked files with the recipients once the forward is sent', () => {
+  const addon = loadWithSettings();
+  const createDraft = addon.GmailApp.createDraft;
+  let viewersAtSend = null;
+  addon.GmailApp.createDraft = (...args) => {
+    const draft = createDraft(...args);
+    const send = draft.send.bind(draft);
+    draft.send = () => {
+      viewersAtSend = addon.DriveApp.files[0].viewers.length;
+      return send();
+    };
+    return draft;
+  };
+  const result = addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id), {
+    recipients: '"Lee, Sam" <sam@partner.org>, kim@partner.org',
+    sendNow: true
+  });
+
+  assert.strictEqual(viewersAtSend, 0);
+  assert.strictEqual(result.linkedFiles[0].sharing, 'recipients');
+  assert.deepStrictEqual(toHost(addon.DriveApp.folders[0].files[0].viewers), ['sam@partner.org', 'kim@partner.org']);
+});
+
+test('shares linked files by link only when the setting asks for it', () => {
+  for (const [mode, access] of [['domain', 'Access.DOMAIN_WITH_LINK'], ['anyone', 'Access.ANYONE_WITH_LINK']]) {
+    const addon = loadWithSettings({ driveSharing: mode });
+    addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id), {
+      recipients: 'kim@partner.org'
+    });
+
+    const file = addon.DriveApp.folders[0].files[0];
+    assert.deepStrictEqual(toHost(file.sharing), { access: access, permission: 'Permission.VIEW' });
+    assert.strictEqual(file.viewers.length, 0);
+  }
+});
+
+test('reuses the saved Drive folder and recreates it once trashed', () => {
+  const addon = loadWithSettings();
+  const thread = addon.GmailApp.getThreadById(fixture.thread.id);
+
+  addon.run('createCleanForwardDraftFromThread_', thread);
+  addon.run('createCleanForwardDraftFromThread_', thread);
+  assert.strictEqual(addon.DriveApp.folders.length, 1);
+  assert.strictEqual(addon.DriveApp.folders[0].files.length, 2);
+
+  addon.DriveApp.folders[0].trashed = true;
+  addon.run('createCleanForwardDraftFromThread_', thread);
+  assert.strictEqual(addon.DriveApp.folders.length, 2);
+  assert.strictEqual(
+    addon.PropertiesService.user.getProperty('cleanForward.driveFolderId'),
+    addon.DriveApp.folders[1].getId()
+  );
+});
+
+test('a budget of 0 attaches everything', () => {
+  const addon = loadWithSettings({ attachmentBudgetMb: 0 });
+  const result = addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id));
+
+  assert.strictEqual(result.linkedFiles.length, 0);
+  assert.strictEqual(addon.DriveApp.folders.length, 0);
+  assert.strictEqual(addon.GmailApp.drafts[0].options.attachments.length, 3);
+});
+
+test('a smaller budget links more files', () => {
+  const addon = loadWithSettings({ attachmentBudgetMb: 10 });
+  const result = addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id));
+
+  assert.deepStrictEqual(toHost(result.linkedFiles.map((f) => f.name)), ['offsite-slides.pptx', 'session-recording.mp4']);
+  assert.deepStrictEqual(toHost(addon.GmailApp.drafts[0].options.attachments.map((a) => a.getName())), ['notes.txt']);
+});
+
+test('success card lists the linked files', () => {
+  const addon = loadWithSettings();
+  const response = addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: { confirmed: 'true' } }
+  });
+  const text = collectText(response.arg('setNavigation').arg('pushCard'));
+
+  assert.match(text, /1 file was too large to attach and is linked from Drive instead/);
+  assert.match(text, /<a href="https:\/\/drive\.google\.com\/file\/d\/drive-2\/view">session-recording\.mp4<\/a> \(15\.0 MB\) - not shared yet/);
+  assert.match(text, /Files not shared yet only open for you/);
+});
+
+test('success card says who can open publicly shared files', () => {
+  const addon = loadWithSettings({ driveSharing: 'anyone' });
+  const response = addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: { confirmed: 'true' } }
+  });
+  const text = collectText(response.arg('setNavigation').arg('pushCard'));
+
+  assert.match(text, /\(15\.0 MB\)<br>Shared with anyone with the link \(change this in Settings\)\./);
+  assert.ok(!text.includes('not shared yet'));
+});
+
+test('inline images count toward the budget before attachments', () => {
+  const thread = {
+    id: 'thread-big-screenshots',
+    messages: [{
+      id: 's1',
+      from: 'Dana Ortiz <dana@example.com>',
+      to: 'Team <team@example.com>',
+      date: '2025-12-08T11:00:00-06:00',
+      subject: 'Screenshots',
+      plainBody: 'See below.\n[image: dashboard.png]\n',
+      body: '<div>See below.<img src="cid:ii_s1" alt="dashboard.png"></div>',
+      attachments: [
+        { name: 'dashboard.png', contentType: 'image/png', size: 12582912, inline: true, contentId: 'ii_s1' },
+        { name: 'report.pdf', contentType: 'application/pdf', size: 10485760 }
+      ]
+    }]
+  };
+  const addon = loadAddon({ threads: [thread] });
+  const result = addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(thread.id));
+
+  assert.deepStrictEqual(toHost(result.linkedFiles.map((f) => f.name)), ['report.pdf']);
+  const draft = addon.GmailApp.drafts[0];
+  assert.strictEqual(draft.options.attachments, undefined);
+  assert.deepStrictEqual(Object.keys(draft.options.inlineImages), ['cleanfwd-img-1']);
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the Markdown, plain-text, PDF and Google Doc outputs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/outlook-attachments.json');
+
+/** Runs the selection card's create action with the given output format. */
+function exportAs(addon, format) {
+  const compose = JSON.stringify({ recipients: '', subject: '', intro: 'For the ticket.', sendNow: false, format });
+  return addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: {
+      parameters: { fromSelection: 'true', compose, confirmed: 'true' },
+      formInputs: { messageIds: { stringInputs: { value: ['o1', 'o2'] } } }
+    }
+  });
+}
+
+test('renderMarkdown_ renders the cleaned messages with headings and files', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(fixture.thread.id));
+  const markdown = addon.run('renderMarkdown_', model);
+
+  assert.match(markdown, /^# FWD: Contract draft\n/);
+  assert.match(markdown, /\*\*Participants:\*\* 2 people · 0 internal, 2 external\n\n- vendor\.example \(external\): Morgan Chen \(1 message, first seen Nov 3, 2025 10:30\sAM\)\n/);
+  assert.match(markdown, /- contract-v1\.pdf \(1 KB\) - first shared by Morgan Chen/);
+  assert.match(markdown, /### Sam Patel - Nov 4, 2025 8:15\sAM\n\nMorgan,\n\nLooks good overall\. Two comments:\n\n- Section 4 needs a termination clause  \n- Payment/);
+  assert.ok(!markdown.includes('Sent: Monday'));
+});
+
+test('renderMarkdown_ escapes message text so HTML and headings stay literal', () => {
+  const addon = loadAddon({
+    threads: [{
+      id: 'thread-markdown',
+      messages: [{
+        id: 'md1',
+        from: 'Jordan Lee <jordan@partner.org>',
+        to: 'Alex Rivera <alex@example.com>',
+        date: '2025-12-15T14:09:00-06:00',
+        subject: 'Snippet',
+        plainBody: '# Not a heading\nUse <script>alert(1)</script> and *stars*.\nTotals\n---\n- a list item\n'
+      }]
+    }]
+  });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById('thread-markdown'));
+  const markdown = addon.run('renderMarkdown_', model);
+
+  assert.ok(markdown.includes(
+    '\\# Not a heading  \nUse \\<script\\>alert(1)\\</script\\> and \\*stars\\*.  \nTotals  \n\\---  \n- a list item'
+  ));
+});
+
+test('drafts carry the plain-text rendering as their text body', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id));
+
+  const body = addon.GmailApp.drafts[0].body;
+  assert.match(body, /^FWD: Contract draft\n=+\n/);
+  assert.match(body, /Morgan Chen - Nov 3, 2025 10:30\sAM\n\nHi Sam,/);
+  assert.match(body, /Attachments:\n {2}\* contract-v1\.pdf \(1 KB\)/);
+});
+
+for (const [format, name, type] of [
+  ['markdown', 'FWD- Contract draft.md', 'text/markdown'],
+  ['text', 'FWD- Contract draft.txt', 'text/plain'],
+  ['pdf', 'FWD- Contract draft.pdf', 'application/pdf']
+]) {
+  test(`exports ${format} to the Drive folder and links it`, () => {
+    const addon = loadAddon({ threads: [fixture.thread] });
+    const response = exportAs(addon, format);
+
+    assert.strictEqual(addon.GmailApp.drafts.length, 0);
+    const file = addon.DriveApp.folders[0].files[0];
+    assert.strictEqual(file.getName(), name);
+    assert.strictEqual(file.getBlob().getContentType(), type);
+
+    const card = response.arg('setNavigation').arg('pushCard');
+    assert.strictEqual(card.arg('setHeader').arg('setTitle'), 'Exported!');
+    assert.strictEqual(findAll(card, 'OpenLink')[0].arg('setUrl'), file.getUrl());
+    assert.strictEqual(response.arg('setNotification').arg('setText'), `Exported: ${name}`);
+  });
+}
+
+test('exports a Google Doc built from the cleaned messages', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const response = exportAs(addon, 'doc');
+
+  const doc = addon.DocumentApp.documents[0];
+  assert.ok(doc.closed);
+  // Date labels may use a narrow no-break space before AM/PM
+  const elements = toHost(doc.elements.slice(0, 6)).map((el) => Object.assign(el, { text: el.text.replace(/\s/g, ' ') }));
+  assert.deepStrictEqual(elements, [
+    { type: 'paragraph', text: 'FWD: Contract draft', heading: 'ParagraphHeading.TITLE' },
+    { type: 'paragraph', text: 'For the ticket.', heading: null },
+    { type: 'paragraph', text: 'Times are in America/Chicago (CST).', heading: null },
+    { type: 'paragraph', text: 'Participants: 2 people · 0 internal, 2 external', heading: null },
+    { type: 'listItem', text: 'vendor.example (external): Morgan Chen (1 message, first seen Nov 3, 2025 10:30 AM)', heading: null },
+    { type: 'listItem', text: 'example.com (external): Sam Patel (1 message, first seen Nov 3, 2025 10:30 AM)', heading: null }
+  ]);
+  const headings = doc.elements.filter((el) => el.heading === 'ParagraphHeading.HEADING3').map((el) => el.text);
+  assert.strictEqual(headings.length, 2);
+  assert.match(headings[1], /^Sam Patel - Nov 4/);
+
+  assert.strictEqual(addon.DriveApp.folders[0].files[0].getId(), doc.getId());
+  const link = findAll(response.arg('setNavigation').arg('pushCard'), 'OpenLink')[0];
+  assert.strictEqual(link.arg('setUrl'), doc.getUrl());
+});
+
+test('the main card offers every output format, email first', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const card = addon.run('buildAddOn', { gmail: { threadId: fixture.thread.id } })[0];
+
+  const format = findAll(card, 'SelectionInput').find((i) => i.arg('setFieldName') === 'format');
+  assert.deepStrictEqual(toHost(format.args('addItem')), ['Email draft', 'Markdown (.md)', 'Plain text (.txt)', 'PDF', 'Google Doc']);
+});
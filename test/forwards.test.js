@@ -0,0 +1,123 @@
+/**
+ * Tests for forwarded blocks: parsing, de-duplication against the thread
+ * and the nested card.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { loadAddon, toHost } = require('./harness/loadAddon');
+
+/** Reads a body from the golden corpus. */
+function corpus(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'corpus', name), 'utf8');
+}
+
+test('forwarded blocks are parsed from every client\'s format', () => {
+  const addon = loadAddon();
+  const parse = (name) => toHost(addon.run('parseForwardedBlocks_', corpus(name)));
+
+  assert.deepStrictEqual(parse('gmail/forward.txt'), [{
+    from: { name: 'Jordan Lee', email: 'jordan@example.org', display: 'Jordan Lee' },
+    date: 'Mon, Dec 15, 2025 at 2:09 PM',
+    subject: 'Launch plan',
+    text: 'Here is the launch plan.'
+  }]);
+  assert.strictEqual(parse('apple-mail/forward.txt')[0].text, 'The building is closed Friday.');
+  assert.strictEqual(parse('zimbra/forward.txt')[0].date, 'Monday, December 15, 2025 2:09:11 PM');
+  assert.strictEqual(parse('thunderbird/forward.txt')[0].from.email, 'builds@example.org');
+  assert.deepStrictEqual(parse('gmail/reply-basic.txt'), []);
+});
+
+test('a forward of a forward gives one block per forwarded message', () => {
+  const addon = loadAddon();
+  const body = [
+    'See below.',
+    '',
+    '---------- Forwarded message ---------',
+    'From: Sam Patel <sam@example.com>',
+    'Date: Tue, Dec 16, 2025 at 10:00 AM',
+    'Subject: Fwd: Renewal',
+    '',
+    'Adding context.',
+    '',
+    '---------- Forwarded message ---------',
+    'From: Vendor <vendor@example.net>',
+    'Subject: Renewal',
+    '',
+    'Your renewal is due.'
+  ].join('\n');
+  const blocks = toHost(addon.run('parseForwardedBlocks_', body));
+
+  assert.deepStrictEqual(blocks.map((block) => [block.from.email, block.text]), [
+    ['sam@example.com', 'Adding context.'],
+    ['vendor@example.net', 'Your renewal is due.']
+  ]);
+});
+
+const thread = {
+  id: 'thread-forwards',
+  messages: [
+    {
+      id: 'f1',
+      from: 'Jordan Lee <jordan@example.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-15T14:09:00-06:00',
+      subject: 'Launch plan',
+      plainBody: 'Here is the launch plan.\n'
+    },
+    {
+      id: 'f2',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Jordan Lee <jordan@example.org>',
+      date: '2025-12-16T09:00:00-06:00',
+      subject: 'Fwd: Launch plan',
+      plainBody: corpus('gmail/forward.txt') + '\n---------- Forwarded message ---------\n' +
+        'From: Vendor <vendor@example.net>\nDate: Mon, Dec 15, 2025 at 4:30 PM\nSubject: Pricing\n\n' +
+        'Pricing goes up 5% in January.\n'
+    },
+    {
+      id: 'f3',
+      from: 'Jordan Lee <jordan@example.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-17T09:00:00-06:00',
+      subject: 'Fwd: Pricing',
+      plainBody: 'Again, for the record.\n\n---------- Forwarded message ---------\n' +
+        'From: Vendor <vendor@example.net>\nDate: Mon, Dec 15, 2025 at 4:30 PM\nSubject: Pricing\n\n' +
+        'Pricing goes up 5% in January.\n'
+    }
+  ]
+};
+
+test('forwarded copies of thread messages are dropped and new content is kept once', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+
+  assert.deepStrictEqual(toHost(model.messages[0].forwarded), []);
+  assert.strictEqual(model.messages[1].text, 'Looping you in on this one.');
+  assert.strictEqual(model.messages[1].forwarded.length, 1);
+
+  const forward = model.messages[1].forwarded[0];
+  assert.strictEqual(forward.sender.display, 'Vendor');
+  assert.strictEqual(forward.text, 'Pricing goes up 5% in January.');
+  assert.match(forward.dateLabel, /^Dec 15, 2025 4:30\sPM$/);
+  assert.deepStrictEqual(toHost(model.messages[2].forwarded), []);
+});
+
+test('new forwarded content renders as a nested card in every format', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+
+  const html = addon.run('renderThreadModel_', model, 'html');
+  assert.match(html, /Forwarded from Vendor · Dec 15, 2025 4:30\sPM · Pricing\s*<\/div>/);
+  assert.strictEqual(html.split('Pricing goes up 5%').length, 2);
+  assert.strictEqual(html.split('Here is the launch plan.').length, 2);
+
+  const markdown = addon.run('renderThreadModel_', model, 'markdown');
+  assert.match(markdown, /> \*\*Forwarded from Vendor · Dec 15, 2025 4:30\sPM · Pricing\*\*\n>\n> Pricing goes up 5% in January\.  \n/);
+
+  const text = addon.run('renderThreadModel_', model, 'text');
+  assert.match(text, /\n {2}\[Forwarded from Vendor · .+ · Pricing\]\n {2}\| Pricing goes up 5% in January\.\n/);
+});
@@ -0,0 +1,214 @@
+/**
+ * Golden-corpus scoring for stripQuotedText_.
+ *
+ * test/fixtures/corpus/<client>/<case>.txt holds an anonymized raw plain
+ * body as that client sends it; <case>.expected.txt holds the text we want
+ * left after cleaning. Each case is scored on words rather than lines,
+ * because collapseSoftLineBreaks_ legitimately re-wraps paragraphs:
+ *
+ * - precision: share of words in the output that belong there
+ *   (low precision = quoted history or signatures leaking through)
+ * - recall: share of expected words that survived
+ *   (low recall = the cleaner over-trimmed real content)
+ *
+ * Run `npm run corpus` for a per-client report, or
+ * `npm run corpus -- --verbose` to see every imperfect case.
+ * `npm run corpus -- --update-baseline` rewrites baseline.json after an
+ * intentional improvement; corpus.test.js fails if any client drops below it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadAddon } = require('./loadAddon');
+
+const CORPUS_DIR = path.join(__dirname, '..', 'fixtures', 'corpus');
+const BASELINE_PATH = path.join(CORPUS_DIR, 'baseline.json');
+
+/**
+ * Splits text into lowercase word tokens.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Word tokens
+ */
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Counts the words two token lists have in common (multiset intersection).
+ *
+ * @param {string[]} actual - Tokens produced by the cleaner
+ * @param {string[]} expected - Tokens from the golden output
+ * @returns {number} Number of shared tokens
+ */
+function countOverlap(actual, expected) {
+  const remaining = new Map();
+  for (const word of expected) remaining.set(word, (remaining.get(word) || 0) + 1);
+
+  let overlap = 0;
+  for (const word of actual) {
+    const left = remaining.get(word) || 0;
+    if (left > 0) {
+      overlap++;
+      remaining.set(word, left - 1);
+    }
+  }
+  return overlap;
+}
+
+/**
+ * Loads every corpus case, grouped by client directory.
+ *
+ * @returns {Object[]} Cases: {client, name, raw, expected}
+ */
+function loadCorpus() {
+  const cases = [];
+  const clients = fs.readdirSync(CORPUS_DIR, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+
+  for (const client of clients) {
+    const dir = path.join(CORPUS_DIR, client);
+    const names = fs.readdirSync(dir)
+      .filter((f) => f.endsWith('.txt') && !f.endsWith('.expected.txt'))
+      .map((f) => f.slice(0, -'.txt'.length))
+      .sort();
+
+    for (const name of names) {
+      cases.push({
+        client,
+        name,
+        raw: fs.readFileSync(path.join(dir, `${name}.txt`), 'utf8'),
+        expected: fs.readFileSync(path.join(dir, `${name}.expected.txt`), 'utf8')
+      });
+    }
+  }
+  return cases;
+}
+
+/**
+ * Runs stripQuotedText_ over the corpus and scores each client.
+ *
+ * @param {Object} [addon] - Sandbox from loadAddon(); a fresh one by default
+ * @returns {Object} {clients: {[client]: {cases, perfect, precision, recall}}, results: [...]}
+ */
+function scoreCorpus(addon) {
+  const sandbox = addon || loadAddon();
+  const results = [];
+  const clients = {};
+
+  for (const entry of loadCorpus()) {
+    const actual = sandbox.run('stripQuotedText_', entry.raw);
+    const actualTokens = tokenize(actual);
+    const expectedTokens = tokenize(entry.expected);
+    const overlap = countOverlap(actualTokens, expectedTokens);
+
+    const result = {
+      client: entry.client,
+      name: entry.name,
+      actual,
+      expected: entry.expected.trim(),
+      overlap,
+      actualCount: actualTokens.length,
+      expectedCount: expectedTokens.length
+    };
+    result.perfect = overlap === result.actualCount && overlap === result.expectedCount;
+    results.push(result);
+
+    const stats = clients[entry.client] || (clients[entry.client] = {
+      cases: 0, perfect: 0, overlap: 0, actualCount: 0, expectedCount: 0
+    });
+    stats.cases++;
+    stats.perfect += result.perfect ? 1 : 0;
+    stats.overlap += overlap;
+    stats.actualCount += result.actualCount;
+    stats.expectedCount += result.expectedCount;
+  }
+
+  // Micro-averaged over all words for the client
+  for (const stats of Object.values(clients)) {
+    stats.precision = stats.actualCount ? stats.overlap / stats.actualCount : 1;
+    stats.recall = stats.expectedCount ? stats.overlap / stats.expectedCount : 1;
+  }
+
+  return { clients, results };
+}
+
+/**
+ * Reads the checked-in baseline scores.
+ *
+ * @returns {Object} {[client]: {precision, recall}}
+ */
+function readBaseline() {
+  if (!fs.existsSync(BASELINE_PATH)) return {};
+  return JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+}
+
+/**
+ * Writes current scores as the new baseline (rounded to 3 places).
+ *
+ * @param {Object} clients - The `clients` map from scoreCorpus()
+ */
+function writeBaseline(clients) {
+  const baseline = {};
+  for (const client of Object.keys(clients).sort()) {
+    baseline[client] = {
+      precision: Math.floor(clients[client].precision * 1000) / 1000,
+      recall: Math.floor(clients[client].recall * 1000) / 1000
+    };
+  }
+  fs.writeFileSync(BASELINE_PATH, JSON.stringify(baseline, null, 2) + '\n');
+}
+
+/**
+ * Formats the per-client report as a text table.
+ *
+ * @param {Object} score - Result of scoreCorpus()
+ * @param {boolean} verbose - Include expected/actual for imperfect cases
+ * @returns {string} Report
+ */
+function formatReport(score, verbose) {
+  const baseline = readBaseline();
+  const pct = (n) => `${(n * 100).toFixed(1)}%`.padStart(7);
+  const lines = [
+    `${'client'.padEnd(18)}${'cases'.padStart(6)}${'perfect'.padStart(9)}${'precision'.padStart(11)}${'recall'.padStart(9)}`
+  ];
+
+  for (const [client, stats] of Object.entries(score.clients)) {
+    const base = baseline[client];
+    const regressed = base && (stats.precision < base.precision || stats.recall < base.recall);
+    lines.push(
+      `${client.padEnd(18)}${String(stats.cases).padStart(6)}${String(stats.perfect).padStart(9)}` +
+      `${pct(stats.precision).padStart(11)}${pct(stats.recall).padStart(9)}${regressed ? '  REGRESSED' : ''}`
+    );
+  }
+
+  if (verbose) {
+    for (const r of score.results.filter((res) => !res.perfect)) {
+      lines.push('', `--- ${r.client}/${r.name}`, 'expected:', r.expected, 'actual:', r.actual);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  tokenize,
+  countOverlap,
+  loadCorpus,
+  scoreCorpus,
+  readBaseline,
+  writeBaseline,
+  formatReport
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const score = scoreCorpus();
+  console.log(formatReport(score, args.includes('--verbose')));
+  if (args.includes('--update-baseline')) {
+    writeBaseline(score.clients);
+    console.log(`\nBaseline written to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+  }
+}
@@ -0,0 +1,661 @@
+/**
+ * Fake Apps Script services for running the add-on under Node.
+ *
+ * Only the surface the add-on actually touches is implemented. The fakes
+ * are intentionally dumb: they hold fixture data and record calls so tests
+ * can assert on what the add-on asked Gmail and CardService to do.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Converts fixture data (string or byte array) into a Node Buffer.
+ *
+ * @param {string|number[]|Buffer} data - Raw data
+ * @returns {Buffer} Buffer holding the data
+ */
+function toBuffer(data) {
+  if (Buffer.isBuffer(data)) return data;
+  if (Array.isArray(data)) return Buffer.from(data.map((b) => b & 0xff));
+  return Buffer.from(String(data || ''), 'utf8');
+}
+
+/**
+ * Minimal stand-in for Apps Script's Blob / GmailAttachment.
+ * Bytes are returned as signed integers, like Apps Script does.
+ */
+class FakeBlob {
+  /**
+   * @param {string|number[]|Buffer} data - Blob contents
+   * @param {string} [contentType] - MIME type
+   * @param {string} [name] - File name
+   */
+  constructor(data, contentType, name) {
+    this.buffer_ = toBuffer(data);
+    this.contentType_ = contentType || 'application/octet-stream';
+    this.name_ = name || null;
+  }
+
+  getName() { return this.name_; }
+  setName(name) { this.name_ = name; return this; }
+  getContentType() { return this.contentType_; }
+  setContentType(contentType) { this.contentType_ = contentType; return this; }
+  getSize() { return this.buffer_.length; }
+  getBytes() { return Array.from(this.buffer_, (b) => (b > 127 ? b - 256 : b)); }
+  getDataAsString() { return this.buffer_.toString('utf8'); }
+  copyBlob() { return new FakeBlob(Buffer.from(this.buffer_), this.contentType_, this.name_); }
+  getBlob() { return this; }
+  /** "Converts" by relabelling: the bytes stay the same, only the type changes. */
+  getAs(contentType) { return new FakeBlob(Buffer.from(this.buffer_), contentType, this.name_); }
+}
+
+/**
+ * Attachment fake. Adds the Gmail-specific bits on top of FakeBlob.
+ */
+class FakeAttachment extends FakeBlob {
+  /**
+   * @param {Object} spec - Fixture attachment: {name, contentType, data, size, inline, contentId}
+   */
+  constructor(spec) {
+    // Fixtures may give only a size for large files; pad with zeros.
+    const data = spec.data !== undefined ? spec.data : Buffer.alloc(spec.size || 0);
+    super(data, spec.contentType, spec.name);
+    this.inline_ = !!spec.inline;
+    this.contentId_ = spec.contentId || null;
+  }
+
+  isInline() { return this.inline_; }
+  getContentId() { return this.contentId_; }
+}
+
+/**
+ * Fake GmailMessage backed by a fixture object.
+ */
+class FakeGmailMessage {
+  /**
+   * @param {Object} spec - Fixture message
+   * @param {FakeGmailThread} [thread] - Owning thread
+   */
+  constructor(spec, thread) {
+    this.spec_ = spec;
+    this.thread_ = thread || null;
+    this.attachments_ = (spec.attachments || []).map((a) => new FakeAttachment(a));
+  }
+
+  getId() { return this.spec_.id; }
+  getFrom() { return this.spec_.from || ''; }
+  getTo() { return this.spec_.to || ''; }
+  getCc() { return this.spec_.cc || ''; }
+  getBcc() { return this.spec_.bcc || ''; }
+  getReplyTo() { return this.spec_.replyTo || ''; }
+  getDate() { return new Date(this.spec_.date); }
+  getSubject() { return this.spec_.subject || ''; }
+  getPlainBody() { return this.spec_.plainBody || ''; }
+  // Fixtures without a `body` exercise the plain-text pipeline only
+  getBody() { return this.spec_.body || ''; }
+  getThread() { return this.thread_; }
+  getHeader(name) {
+    const headers = this.spec_.headers || {};
+    const key = Object.keys(headers).find((h) => h.toLowerCase() === String(name).toLowerCase());
+    return key ? headers[key] : '';
+  }
+
+  /**
+   * Mirrors GmailMessage.getAttachments(options). Regular attachments are
+   * included unless includeAttachments is false; inline images only when
+   * includeInlineImages is true (Apps Script's default is true, but the
+   * add-on always passes it explicitly).
+   */
+  getAttachments(options) {
+    const opts = options || {};
+    const includeInline = opts.includeInlineImages !== false;
+    const includeRegular = opts.includeAttachments !== false;
+    return this.attachments_.filter((a) => (a.isInline() ? includeInline : includeRegular));
+  }
+}
+
+/**
+ * Fake GmailThread backed by a fixture object.
+ */
+class FakeGmailThread {
+  /**
+   * @param {Object} spec - Fixture thread: {id, subject, messages: [...]}
+   */
+  constructor(spec) {
+    this.spec_ = spec;
+    this.messages_ = (spec.messages || []).map((m) => new FakeGmailMessage(m, this));
+  }
+
+  getId() { return this.spec_.id; }
+  getFirstMessageSubject() { return this.messages_.length ? this.messages_[0].getSubject() : ''; }
+  getMessages() { return this.messages_.slice(); }
+  getMessageCount() { return this.messages_.length; }
+  getLastMessageDate() {
+    return new Date(Math.max(...this.messages_.map((m) => m.getDate().getTime())));
+  }
+  getLabels() { return (this.spec_.labels || []).map((name) => ({ getName: () => name })); }
+  getPermalink() { return `https://mail.google.com/mail/u/0/#inbox/${this.spec_.id}`; }
+}
+
+/**
+ * Draft object returned by the fake GmailApp.createDraft.
+ */
+class FakeGmailDraft {
+  /**
+   * @param {string} id - Draft id
+   * @param {Object} record - The recorded createDraft call
+   */
+  constructor(id, record) {
+    this.id_ = id;
+    this.record = record;
+    this.message_ = new FakeGmailMessage({
+      id: `msg-${id}`,
+      to: record.recipient,
+      subject: record.subject,
+      plainBody: record.body,
+      body: record.options.htmlBody
+    });
+  }
+
+  getId() { return this.id_; }
+  getMessage() { return this.message_; }
+  getMessageId() { return this.message_.getId(); }
+  /** Marks the recorded draft as sent and returns its message. */
+  send() {
+    this.record.sent = true;
+    return this.message_;
+  }
+  /** Marks the recorded draft as deleted. */
+  deleteDraft() { this.record.deleted = true; }
+}
+
+/**
+ * Creates a fake GmailApp service over the given fixture threads.
+ * Every createDraft call is recorded in `drafts` (with `sent: true` once sent),
+ * and every search query in `searches`. search() ignores the query and
+ * pages through all threads.
+ *
+ * @param {Object[]} threadSpecs - Fixture threads
+ * @returns {Object} GmailApp fake with `threads`, `drafts` and `searches` for inspection
+ */
+function createGmailApp(threadSpecs) {
+  const threads = (threadSpecs || []).map((spec) => new FakeGmailThread(spec));
+  const drafts = [];
+  const searches = [];
+
+  return {
+    threads,
+    drafts,
+    searches,
+    search(query, start, max) {
+      searches.push(query);
+      const from = start || 0;
+      return threads.slice(from, max === undefined ? undefined : from + max);
+    },
+    getThreadById(id) {
+      return threads.find((t) => t.getId() === id) || null;
+    },
+    /** The distinct labels of the fixture threads. */
+    getUserLabels() {
+      const names = [];
+      threads.forEach((t) => t.getLabels().forEach((label) => {
+        if (names.indexOf(label.getName()) === -1) names.push(label.getName());
+      }));
+      return names.map((name) => ({ getName: () => name }));
+    },
+    getMessageById(id) {
+      for (const thread of threads) {
+        const msg = thread.getMessages().find((m) => m.getId() === id);
+        if (msg) return msg;
+      }
+      return null;
+    },
+    createDraft(recipient, subject, body, options) {
+      const record = { recipient, subject, body, options: options || {} };
+      const draft = new FakeGmailDraft(`draft-${drafts.length + 1}`, record);
+      drafts.push(record);
+      return draft;
+    }
+  };
+}
+
+/**
+ * Fake Drive file created by FakeDriveFolder.createFile.
+ */
+class FakeDriveFile {
+  /**
+   * @param {string} id - File id
+   * @param {FakeBlob} blob - File contents
+   * @param {string} [url] - URL, if not a plain Drive file (e.g. a Google Doc)
+   */
+  constructor(id, blob, url) {
+    this.id_ = id;
+    this.blob_ = blob;
+    this.url_ = url || `https://drive.google.com/file/d/${id}/view`;
+    this.sharing = null;
+    this.viewers = [];
+  }
+
+  getId() { return this.id_; }
+  getName() { return this.blob_.getName(); }
+  getSize() { return this.blob_.getSize(); }
+  getBlob() { return this.blob_; }
+  getUrl() { return this.url_; }
+  setSharing(access, permission) { this.sharing = { access, permission }; return this; }
+  addViewers(emails) { this.viewers.push(...emails); return this; }
+  moveTo(folder) {
+    folder.files.push(this);
+    return this;
+  }
+}
+
+/**
+ * Fake Drive folder holding FakeDriveFiles.
+ */
+class FakeDriveFolder {
+  /**
+   * @param {string} id - Folder id
+   * @param {string} name - Folder name
+   * @param {Function} nextId - Returns a fresh id for new files
+   * @param {Function} trackFile - Registers a new file with the DriveApp fake
+   */
+  constructor(id, name, nextId, trackFile) {
+    this.id_ = id;
+    this.name_ = name;
+    this.nextId_ = nextId;
+    this.trackFile_ = trackFile;
+    this.files = [];
+    this.trashed = false;
+  }
+
+  getId() { return this.id_; }
+  getName() { return this.name_; }
+  isTrashed() { return this.trashed; }
+  createFile(blob) {
+    const file = this.trackFile_(new FakeDriveFile(this.nextId_(), blob));
+    this.files.push(file);
+    return file;
+  }
+}
+
+/**
+ * Creates a fake DriveApp. Folders are kept in `folders` and files created
+ * anywhere (folders, DocumentApp) in `files`; getFolderById and
+ * getFileById throw for unknown ids, like the real service.
+ *
+ * @returns {Object} DriveApp fake
+ */
+function createDriveApp() {
+  const folders = [];
+  const files = [];
+  let counter = 0;
+  const nextId = () => `drive-${++counter}`;
+  const trackFile = (file) => {
+    files.push(file);
+    return file;
+  };
+
+  return {
+    folders,
+    files,
+    nextId,
+    trackFile,
+    Access: createEnum('Access'),
+    Permission: createEnum('Permission'),
+    createFolder(name) {
+      const folder = new FakeDriveFolder(nextId(), name, nextId, trackFile);
+      folders.push(folder);
+      return folder;
+    },
+    getFileById(id) {
+      const file = files.find((f) => f.getId() === id);
+      if (!file) throw new Error(`No item with the given ID could be found: ${id}`);
+      return file;
+    },
+    getFolderById(id) {
+      const folder = folders.find((f) => f.getId() === id);
+      if (!folder) throw new Error(`No item with the given ID could be found: ${id}`);
+      return folder;
+    }
+  };
+}
+
+/**
+ * Creates a fake DocumentApp whose documents record their paragraphs and
+ * list items as {type, text, heading} in `doc.elements`. New documents are
+ * registered with the DriveApp fake so they can be moved into folders.
+ *
+ * @param {Object} driveApp - DriveApp fake from createDriveApp
+ * @returns {Object} DocumentApp fake with `documents` for inspection
+ */
+function createDocumentApp(driveApp) {
+  const documents = [];
+
+  return {
+    documents,
+    ParagraphHeading: createEnum('ParagraphHeading'),
+    create(name) {
+      const id = driveApp.nextId();
+      const elements = [];
+      const append = (type) => (text) => {
+        const element = { type, text, heading: null };
+        elements.push(element);
+        const handle = {
+          setHeading(heading) { element.heading = heading; return handle; }
+        };
+        return handle;
+      };
+      const doc = {
+        name,
+        elements,
+        closed: false,
+        getId: () => id,
+        getName: () => name,
+        getUrl: () => `https://docs.google.com/document/d/${id}/edit`,
+        getBody: () => ({
+          appendParagraph: append('paragraph'),
+          appendListItem: append('listItem')
+        }),
+        saveAndClose() { doc.closed = true; }
+      };
+      documents.push(doc);
+
+      driveApp.trackFile(new FakeDriveFile(id, new FakeBlob('', 'application/vnd.google-apps.document', name), doc.getUrl()));
+      return doc;
+    }
+  };
+}
+
+/**
+ * Creates a recording builder. Any method called on it is appended to
+ * `calls` and the builder is returned, so fluent chains work unchanged.
+ * `build()` returns the recorder itself so the built card can be inspected.
+ *
+ * @param {string} type - Builder type, e.g. "CardBuilder" for newCardBuilder()
+ * @returns {Object} Recording builder
+ */
+function createRecorder(type) {
+  const node = {
+    type,
+    calls: [],
+    /** Returns the args of the last call to `method`, or undefined. */
+    arg(method, index) {
+      const matches = this.calls.filter((c) => c.method === method);
+      return matches.length ? matches[matches.length - 1].args[index || 0] : undefined;
+    },
+    /** Returns the first args of every call to `method`. */
+    args(method) {
+      return this.calls.filter((c) => c.method === method).map((c) => c.args[0]);
+    }
+  };
+
+  const proxy = new Proxy(node, {
+    get(target, prop) {
+      if (prop in target) return target[prop];
+      if (typeof prop === 'symbol' || prop === 'toJSON' || prop === 'then') return undefined;
+      if (prop === 'build') return () => proxy;
+      return (...args) => {
+        target.calls.push({ method: prop, args });
+        return proxy;
+      };
+    }
+  });
+  return proxy;
+}
+
+/**
+ * Creates a namespace whose properties are their own dotted names, so
+ * `CardService.TextButtonStyle.FILLED` reads as "TextButtonStyle.FILLED".
+ *
+ * @param {string} name - Enum name
+ * @returns {Object} Enum proxy
+ */
+function createEnum(name) {
+  return new Proxy({}, {
+    get(target, prop) {
+      if (typeof prop === 'symbol') return undefined;
+      return `${name}.${prop}`;
+    }
+  });
+}
+
+/**
+ * Creates a fake CardService. `newX()` returns a recorder of type "X";
+ * any other property is treated as an enum.
+ *
+ * @returns {Object} CardService fake
+ */
+function createCardService() {
+  return new Proxy({}, {
+    get(target, prop) {
+      if (typeof prop === 'symbol') return undefined;
+      if (prop.startsWith('new')) return () => createRecorder(prop.slice(3));
+      if (!target[prop]) target[prop] = createEnum(prop);
+      return target[prop];
+    }
+  });
+}
+
+/**
+ * Creates a fake Utilities service.
+ *
+ * @returns {Object} Utilities fake
+ */
+function createUtilities() {
+  const algorithms = { MD5: 'md5', SHA_1: 'sha1', SHA_256: 'sha256', SHA_384: 'sha384', SHA_512: 'sha512' };
+  return {
+    DigestAlgorithm: Object.keys(algorithms).reduce((acc, name) => Object.assign(acc, { [name]: name }), {}),
+    newBlob(data, contentType, name) {
+      return new FakeBlob(data, contentType, name);
+    },
+    computeDigest(algorithm, value) {
+      const hash = crypto.createHash(algorithms[algorithm]).update(toBuffer(value)).digest();
+      return Array.from(hash, (b) => (b > 127 ? b - 256 : b));
+    },
+    getUuid: () => crypto.randomUUID()
+  };
+}
+
+/**
+ * Creates a fake ScriptApp with time-driven trigger builders. Created
+ * triggers are kept in `triggers`, with the builder calls in `schedule`
+ * (e.g. {everyDays: 1, atHour: 7, inTimezone: 'America/Chicago'}).
+ *
+ * @returns {Object} ScriptApp fake
+ */
+function createScriptApp() {
+  const triggers = [];
+  let nextId = 1;
+
+  return {
+    triggers,
+    newTrigger(handler) {
+      const schedule = {};
+      const builder = {
+        timeBased: () => builder,
+        create() {
+          const id = `trigger-${nextId++}`;
+          const trigger = { schedule, getHandlerFunction: () => handler, getUniqueId: () => id };
+          triggers.push(trigger);
+          return trigger;
+        }
+      };
+      ['everyDays', 'everyHours', 'atHour', 'nearMinute', 'inTimezone'].forEach((method) => {
+        builder[method] = (value) => { schedule[method] = value; return builder; };
+      });
+      return builder;
+    },
+    getProjectTriggers: () => triggers.slice(),
+    deleteTrigger(trigger) {
+      const index = triggers.indexOf(trigger);
+      if (index !== -1) triggers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Creates a fake LockService whose locks are always free, unless
+ * `busy` is set on it.
+ *
+ * @returns {Object} LockService fake
+ */
+function createLockService() {
+  const service = {
+    busy: false,
+    released: 0
+  };
+  const lock = {
+    tryLock: () => !service.busy,
+    waitLock() { if (service.busy) throw new Error('Lock timeout'); },
+    releaseLock() { service.released++; }
+  };
+  service.getUserLock = () => lock;
+  service.getScriptLock = () => lock;
+  return service;
+}
+
+/**
+ * In-memory cache mirroring Apps Script's Cache class. Entries don't
+ * expire; the expiration asked for is kept in `expirations`. Like the
+ * real cache, put() throws for values over 100 KB.
+ */
+class FakeCache {
+  constructor() {
+    this.values_ = {};
+    this.expirations = {};
+  }
+
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.values_, key) ? this.values_[key] : null;
+  }
+  put(key, value, expirationInSeconds) {
+    if (String(value).length > 100 * 1024) throw new Error('Argument too large: value');
+    this.values_[key] = String(value);
+    this.expirations[key] = expirationInSeconds;
+  }
+  remove(key) { delete this.values_[key]; }
+}
+
+/**
+ * Creates a fake CacheService with separate user and script caches.
+ *
+ * @returns {Object} CacheService fake; caches are exposed as `user` and `script`
+ */
+function createCacheService() {
+  const user = new FakeCache();
+  const script = new FakeCache();
+  return {
+    user,
+    script,
+    getUserCache: () => user,
+    getScriptCache: () => script
+  };
+}
+
+/**
+ * Creates a fake Session service.
+ *
+ * @param {Object} [options] - {email, timeZone, locale}
+ * @returns {Object} Session fake
+ */
+function createSession(options) {
+  const opts = options || {};
+  const user = { getEmail: () => opts.email || '' };
+  return {
+    getActiveUser: () => user,
+    getEffectiveUser: () => user,
+    getScriptTimeZone: () => opts.timeZone || 'America/Chicago',
+    getActiveUserLocale: () => opts.locale || 'en'
+  };
+}
+
+/**
+ * In-memory property store mirroring Apps Script's Properties class.
+ */
+class FakeProperties {
+  /**
+   * @param {Object} [initial] - Initial key/value pairs
+   */
+  constructor(initial) {
+    this.values_ = Object.assign({}, initial || {});
+  }
+
+  getProperty(key) {
+    return Object.prototype.hasOwnProperty.call(this.values_, key) ? this.values_[key] : null;
+  }
+  setProperty(key, value) { this.values_[key] = String(value); return this; }
+  getProperties() { return Object.assign({}, this.values_); }
+  setProperties(properties, deleteAllOthers) {
+    if (deleteAllOthers) this.values_ = {};
+    for (const key of Object.keys(properties)) this.values_[key] = String(properties[key]);
+    return this;
+  }
+  getKeys() { return Object.keys(this.values_); }
+  deleteProperty(key) { delete this.values_[key]; return this; }
+  deleteAllProperties() { this.values_ = {}; return this; }
+}
+
+/**
+ * Creates a fake PropertiesService with separate user, script and
+ * document stores.
+ *
+ * @param {Object} [initial] - {user: {...}, script: {...}, document: {...}}
+ * @returns {Object} PropertiesService fake; stores are exposed as `user`, `script`, `document`
+ */
+function createPropertiesService(initial) {
+  const init = initial || {};
+  const user = new FakeProperties(init.user);
+  const script = new FakeProperties(init.script);
+  const document = new FakeProperties(init.document);
+  return {
+    user,
+    script,
+    document,
+    getUserProperties: () => user,
+    getScriptProperties: () => script,
+    getDocumentProperties: () => document
+  };
+}
+
+/**
+ * Creates a console that records instead of printing, so expected
+ * error paths don't clutter test output.
+ *
+ * @returns {Object} Console fake with an `entries` array
+ */
+function createConsole() {
+  const entries = [];
+  const record = (level) => (...args) => entries.push({ level, args });
+  return {
+    entries,
+    log: record('log'),
+    info: record('info'),
+    warn: record('warn'),
+    error: record('error')
+  };
+}
+
+module.exports = {
+  FakeBlob,
+  FakeAttachment,
+  FakeGmailMessage,
+  FakeGmailThread,
+  FakeGmailDraft,
+  createGmailApp,
+  FakeDriveFile,
+  FakeDriveFolder,
+  createDriveApp,
+  createDocumentApp,
+  createRecorder,
+  createEnum,
+  createCardService,
+  createUtilities,
+  createScriptApp,
+  createLockService,
+  FakeCache,
+  createCacheService,
+  createSession,
+  FakeProperties,
+  createPropertiesService,
+  createConsole
+};
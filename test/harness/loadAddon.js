@@ -0,0 +1,208 @@
+/**
+ * Loads the add-on source into a Node vm sandbox with fake Apps Script
+ * services, so functions in src/ can be exercised without a deployment.
+ *
+ * Every .js file in src/ is evaluated into one shared context, the same
+ * way Apps Script gives all script files a single global scope.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const fakes = require('./fakes');
+
+// Match the manifest's timeZone so date formatting is deterministic.
+process.env.TZ = 'America/Chicago';
+
+const SRC_DIR = path.join(__dirname, '..', '..', 'src');
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/** Default "now" for the sandbox clock (a few days after the fixtures). */
+const DEFAULT_NOW = '2025-12-20T12:00:00-06:00';
+
+/**
+ * Replaces the sandbox's Date with one whose "now" is fixed, so relative
+ * date labels ("Today", "Yesterday") are stable across runs.
+ */
+const FIXED_CLOCK_PRELUDE = `
+  (function (nowMs) {
+    const RealDate = Date;
+    class FixedDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) super(nowMs);
+        else super(...args);
+      }
+      static now() { return nowMs; }
+    }
+    globalThis.Date = FixedDate;
+  })(__NOW_MS__);
+`;
+
+/**
+ * Loads the add-on into a fresh sandbox.
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.threads] - Fixture threads served by GmailApp
+ * @param {string|Date} [options.now] - Fixed clock for the sandbox
+ * @param {Object} [options.properties] - Initial {user, script, document} properties
+ * @param {Object} [options.session] - Session fake options: {email, timeZone, locale}
+ * @param {Object} [options.globals] - Extra or replacement globals
+ * @returns {Object} {context, GmailApp, CardService, PropertiesService, DriveApp, DocumentApp,
+ *     ScriptApp, LockService, CacheService, console, run, evaluate}
+ */
+function loadAddon(options) {
+  const opts = options || {};
+  const GmailApp = fakes.createGmailApp(opts.threads);
+  const CardService = fakes.createCardService();
+  const PropertiesService = fakes.createPropertiesService(opts.properties);
+  const DriveApp = fakes.createDriveApp();
+  const DocumentApp = fakes.createDocumentApp(DriveApp);
+  const ScriptApp = fakes.createScriptApp();
+  const LockService = fakes.createLockService();
+  const CacheService = fakes.createCacheService();
+  const recordingConsole = fakes.createConsole();
+
+  const sandbox = Object.assign({
+    GmailApp,
+    CardService,
+    PropertiesService,
+    DriveApp,
+    DocumentApp,
+    ScriptApp,
+    LockService,
+    CacheService,
+    Utilities: fakes.createUtilities(),
+    Session: fakes.createSession(opts.session),
+    console: recordingConsole,
+    Logger: { log: recordingConsole.log }
+  }, opts.globals || {});
+
+  const context = vm.createContext(sandbox);
+  const nowMs = new Date(opts.now || DEFAULT_NOW).getTime();
+  vm.runInContext(FIXED_CLOCK_PRELUDE.replace('__NOW_MS__', String(nowMs)), context);
+
+  const files = fs.readdirSync(SRC_DIR).filter((f) => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const filename = path.join(SRC_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  }
+
+  return {
+    context,
+    GmailApp,
+    CardService,
+    PropertiesService,
+    DriveApp,
+    DocumentApp,
+    ScriptApp,
+    LockService,
+    CacheService,
+    console: recordingConsole,
+    /** Calls a global function in the sandbox by name. */
+    run(name, ...args) {
+      if (typeof context[name] !== 'function') {
+        throw new Error(`No function named ${name} in src/`);
+      }
+      return context[name](...args);
+    },
+    /** Evaluates an expression in the sandbox (e.g. to read a top-level const). */
+    evaluate(expression) {
+      return vm.runInContext(expression, context);
+    }
+  };
+}
+
+/**
+ * Reads a JSON fixture relative to test/fixtures.
+ *
+ * @param {string} relativePath - e.g. "threads/gmail-reply-chain.json"
+ * @returns {Object} Parsed fixture
+ */
+function loadFixture(relativePath) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, relativePath), 'utf8'));
+}
+
+/**
+ * Lists fixture files in a test/fixtures subdirectory.
+ *
+ * @param {string} dir - Subdirectory, e.g. "threads"
+ * @returns {string[]} Relative paths of the JSON files, sorted
+ */
+function listFixtures(dir) {
+  return fs.readdirSync(path.join(FIXTURES_DIR, dir))
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => `${dir}/${f}`);
+}
+
+/**
+ * Copies a value out of the sandbox realm so assert.deepStrictEqual
+ * doesn't trip over the sandbox's own Array/Object prototypes.
+ *
+ * @param {*} value - JSON-serializable value from the sandbox
+ * @returns {*} Equivalent host value
+ */
+function toHost(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Recursively collects recorders of a given type from a built card or
+ * action response (e.g. every "TextButton" widget).
+ *
+ * @param {Object} node - Recorder returned by the fake CardService
+ * @param {string} type - Recorder type to collect
+ * @returns {Object[]} Matching recorders in document order
+ */
+function findAll(node, type) {
+  const found = [];
+  const seen = new Set();
+  const walk = (n) => {
+    if (!n || typeof n !== 'object' || !Array.isArray(n.calls) || seen.has(n)) return;
+    seen.add(n);
+    if (n.type === type) found.push(n);
+    for (const call of n.calls) {
+      for (const arg of call.args) {
+        if (Array.isArray(arg)) arg.forEach(walk);
+        else walk(arg);
+      }
+    }
+  };
+  walk(node);
+  return found;
+}
+
+/**
+ * Collects every string argument passed anywhere in a recorder tree,
+ * which is handy for "the card mentions X" assertions.
+ *
+ * @param {Object} node - Recorder returned by the fake CardService
+ * @returns {string} All string args joined by newlines
+ */
+function collectText(node) {
+  const parts = [];
+  const seen = new Set();
+  const walk = (n) => {
+    if (!n || typeof n !== 'object' || !Array.isArray(n.calls) || seen.has(n)) return;
+    seen.add(n);
+    for (const call of n.calls) {
+      for (const arg of call.args) {
+        if (typeof arg === 'string') parts.push(arg);
+        else walk(arg);
+      }
+    }
+  };
+  walk(node);
+  return parts.join('\n');
+}
+
+module.exports = {
+  loadAddon,
+  loadFixture,
+  listFixtures,
+  toHost,
+  findAll,
+  collectText,
+  fakes
+};
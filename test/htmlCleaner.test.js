@@ -0,0 +1,110 @@
+/**
+ * Unit tests for the HTML cleaning pipeline.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon } = require('./harness/loadAddon');
+
+const addon = loadAddon();
+const clean = (html, options) => addon.run('cleanHtmlBody_', html, options);
+
+test('cleanHtmlBody_ returns null for empty input', () => {
+  assert.strictEqual(clean(''), null);
+  assert.strictEqual(clean('   '), null);
+  assert.strictEqual(clean('<div><br></div>'), null);
+});
+
+test('parseHtml_ tolerates unbalanced and implicitly closed markup', () => {
+  assert.strictEqual(
+    clean('<p>one<p>two</b></span><ul><li>a<li>b</ul><div>tail'),
+    '<p>one</p><p>two</p><ul><li>a</li><li>b</li></ul><div>tail</div>'
+  );
+});
+
+test('cleanHtmlBody_ decodes entities and re-escapes text', () => {
+  assert.strictEqual(clean('<div>a &lt;b&gt; &amp; &#169; &#x41;&nbsp;z</div>'), '<div>a &lt;b&gt; &amp; © A z</div>');
+});
+
+test('cleanHtmlBody_ cuts at an unmarked reply header', () => {
+  const html = '<div>Sounds good.<br><br>On Mon, Dec 15, 2025 at 2:09 PM Alex &lt;alex@example.com&gt; wrote:<br>&gt; old</div>';
+  assert.strictEqual(clean(html), '<div>Sounds good.</div>');
+});
+
+test('a bare "wrote:" line counts as a quote header only when quoted text follows', () => {
+  const quoted = addon.run('analyzeHtmlBody_', '<div>See below.</div><div>Alex wrote:</div><div>&gt; old</div>', {});
+  assert.strictEqual(quoted.rule, 'wrote');
+  assert.strictEqual(quoted.html, '<div>See below.</div>');
+
+  const unquoted = addon.run('analyzeHtmlBody_', '<div>Quick update.</div><div>Here is what Alex wrote:</div><div>We should ship on Friday.</div>', {});
+  assert.strictEqual(unquoted.rule, 'wroteUnquoted');
+  assert.strictEqual(unquoted.confidence, 0.4);
+});
+
+test('cleanHtmlBody_ cuts at a localized Outlook header block', () => {
+  const html = '<p>Danke, das passt.</p><p><b>Von:</b> Sam &lt;sam@example.com&gt;<br><b>Gesendet:</b> Montag<br><b>Betreff:</b> Vertrag</p><p>alt</p>';
+  assert.strictEqual(clean(html, { locales: ['de'] }), '<p>Danke, das passt.</p>');
+});
+
+test('cleanHtmlBody_ strips unsafe links, handlers, scripts and layout styles', () => {
+  const html = '<div style="position:fixed;color:red" onmouseover="x()">' +
+    '<a href="javascript:alert(1)">bad</a> <a href="mailto:a@example.com">mail</a>' +
+    '<iframe src="https://evil.example"></iframe><style>.x{}</style><script>y()</script></div>';
+  assert.strictEqual(
+    clean(html),
+    '<div style="color:red"><a style="color:#2563eb;text-decoration:underline;">bad</a> ' +
+    '<a href="mailto:a@example.com" style="color:#2563eb;text-decoration:underline;">mail</a></div>'
+  );
+});
+
+test('cleanHtmlBody_ keeps https images and drops ones that would not resolve', () => {
+  assert.strictEqual(
+    clean('<div><img src="https://example.com/a.png" alt="chart" onerror="x()"><img src="cid:ii_123">text</div>'),
+    '<div><img src="https://example.com/a.png" alt="chart" style="max-width:100%;height:auto;">text</div>'
+  );
+});
+
+test('cleanHtmlBody_ rewrites cid: images through the resolver', () => {
+  const seen = [];
+  const resolveImage = (contentId, alt) => {
+    seen.push([contentId, alt]);
+    return alt === 'keep.png' ? 'cid:cleanfwd-img-1' : null;
+  };
+  assert.strictEqual(
+    clean('<div><img src="cid:ii_1" alt="keep.png"><img src="cid:ii_2" alt="drop.png">x</div>', { resolveImage }),
+    '<div><img src="cid:cleanfwd-img-1" alt="keep.png" style="max-width:100%;height:auto;">x</div>'
+  );
+  assert.deepStrictEqual(seen, [['ii_1', 'keep.png'], ['ii_2', 'drop.png']]);
+});
+
+test('cleanHtmlBody_ falls back (null) when the HTML cannot be parsed', () => {
+  const sandbox = loadAddon();
+  assert.strictEqual(sandbox.run('cleanHtmlBody_', '<div>'.repeat(1000) + 'deep'), null);
+  assert.strictEqual(sandbox.console.entries[0].level, 'warn');
+});
+
+test('htmlBodies setting switches the draft back to the plain-text pipeline', () => {
+  const thread = {
+    id: 't-html',
+    messages: [{
+      id: 'x1',
+      from: 'Alex <alex@example.com>',
+      date: '2025-12-16T10:00:00-06:00',
+      subject: 'Hi',
+      plainBody: 'Plain version',
+      body: '<div><b>Rich</b> version</div>'
+    }]
+  };
+
+  const rich = loadAddon({ threads: [thread] });
+  rich.run('createCleanForwardDraftFromThread_', rich.GmailApp.getThreadById('t-html'));
+  assert.ok(rich.GmailApp.drafts[0].options.htmlBody.includes('<b>Rich</b> version'));
+
+  const plain = loadAddon({
+    threads: [thread],
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ htmlBodies: false }) } }
+  });
+  plain.run('createCleanForwardDraftFromThread_', plain.GmailApp.getThreadById('t-html'));
+  assert.ok(plain.GmailApp.drafts[0].options.htmlBody.includes('Plain version'));
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for inline and bottom-posted reply detection.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost } = require('./harness/loadAddon');
+
+const HEADER = 'On Mon, Dec 15, 2025 at 2:09 PM Jordan Lee <jordan@example.org> wrote:';
+
+const INLINE_BODY = [
+  HEADER,
+  '> Hi Alex,',
+  '> Can we ship Friday?',
+  'Yes, if QA signs off.',
+  '',
+  '> And the budget?',
+  '> Is it approved?',
+  '',
+  'Approved yesterday.',
+  '',
+  '> Thanks,',
+  '> Jordan',
+  '>',
+  '> On Sun, Dec 14, 2025 at 9:00 AM Alex Rivera <alex@example.com> wrote:',
+  '>> Status update attached.',
+  ''
+].join('\n');
+
+test('inline answers keep the question they respond to', () => {
+  const addon = loadAddon();
+  const pairs = toHost(addon.run('findInlineReplies_', INLINE_BODY));
+
+  assert.deepStrictEqual(pairs, [
+    { quote: 'Hi Alex, Can we ship Friday?', reply: 'Yes, if QA signs off.' },
+    { quote: 'And the budget? Is it approved?', reply: 'Approved yesterday.' }
+  ]);
+  assert.strictEqual(
+    addon.run('formatInlineReplies_', pairs),
+    '> Hi Alex, Can we ship Friday?\nYes, if QA signs off.\n\n> And the budget? Is it approved?\nApproved yesterday.'
+  );
+});
+
+test('bottom-posted replies keep the text above the header and a short excerpt', () => {
+  const addon = loadAddon();
+  const question = 'Here is some background on the vendor review that goes on for a while. ' +
+    'We compared three vendors on price, support and integration effort. Which one should we pick?';
+  const body = `Answer below.\n\n${HEADER}\n> ${question}\n\nAcme, for the support.\n\n--\nAlex\n`;
+  const pairs = toHost(addon.run('findInlineReplies_', body));
+
+  assert.strictEqual(pairs.length, 2);
+  assert.deepStrictEqual(pairs[0], { quote: '', reply: 'Answer below.' });
+  assert.match(pairs[1].quote, /^…\S.*Which one should we pick\?$/);
+  assert.ok(pairs[1].quote.length <= 120);
+  assert.strictEqual(pairs[1].reply, 'Acme, for the support.');
+});
+
+test('top-posted replies and stray ">" lines are left to stripQuotedText_', () => {
+  const addon = loadAddon();
+  assert.strictEqual(addon.run('findInlineReplies_', `Sounds good.\n\n${HEADER}\n> Can we ship Friday?\n> Jordan\n`), null);
+  assert.strictEqual(addon.run('findInlineReplies_', 'Numbers so far:\n> 50 users\nMore next week.\n'), null);
+  assert.strictEqual(addon.run('findInlineReplies_', 'No quotes at all.'), null);
+});
+
+test('the model and renderers show inline replies as question/answer pairs', () => {
+  const addon = loadAddon({
+    threads: [{
+      id: 'thread-inline',
+      messages: [{
+        id: 'i1',
+        from: 'Alex Rivera <alex@example.com>',
+        to: 'Jordan Lee <jordan@example.org>',
+        date: '2025-12-15T15:00:00-06:00',
+        subject: 'Re: Launch',
+        plainBody: INLINE_BODY,
+        body: '<div>Yes, if QA signs off.</div><blockquote class="gmail_quote">Can we ship Friday?</blockquote>'
+      }]
+    }]
+  });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById('thread-inline'));
+  const message = model.messages[0];
+
+  assert.strictEqual(message.inlineReplies.length, 2);
+  assert.ok(!message.isHtml);
+  assert.ok(message.text.startsWith('> Hi Alex, Can we ship Friday?\nYes, if QA signs off.'));
+
+  const html = addon.run('renderThreadModel_', model, 'html');
+  assert.match(html, /border-left:3px solid #e5e7eb;[^>]*>Hi Alex, Can we ship Friday\?<\/div><div[^>]*>Yes, if QA signs off\.<\/div>/);
+
+  const markdown = addon.run('renderThreadModel_', model, 'markdown');
+  assert.ok(markdown.includes('> Hi Alex, Can we ship Friday?\n\nYes, if QA signs off.\n\n> And the budget?'));
+});
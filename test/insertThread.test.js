@@ -0,0 +1,81 @@
+/**
+ * Tests for the compose trigger that inserts a clean thread into an open
+ * draft.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll } = require('./harness/loadAddon');
+
+const replyChain = loadFixture('threads/gmail-reply-chain.json');
+const withImages = loadFixture('threads/inline-images.json');
+
+test('buildInsertThreadCard lists inbox threads to pick from', () => {
+  const addon = loadAddon({ threads: [replyChain.thread, withImages.thread] });
+  const cards = addon.run('buildInsertThreadCard', {});
+
+  assert.strictEqual(cards.length, 1);
+  assert.deepStrictEqual(toHost(addon.GmailApp.searches), ['in:inbox']);
+
+  const rows = findAll(cards[0], 'DecoratedText');
+  assert.strictEqual(rows.length, 2);
+  assert.strictEqual(rows[0].arg('setBottomLabel'), '3 messages');
+  const action = rows[0].arg('setOnClickAction');
+  assert.strictEqual(action.arg('setFunctionName'), 'insertCleanThread');
+  assert.deepStrictEqual(toHost(action.arg('setParameters')), { threadId: replyChain.thread.id });
+});
+
+test('the picker escapes thread subjects', () => {
+  const addon = loadAddon({
+    threads: [{
+      id: 'thread-markup',
+      messages: [{ id: 'm1', from: 'Alex <alex@example.com>', to: 'me@example.com', date: '2025-12-18T10:00:00-06:00', subject: '<b>Q1</b> & <a href="x">plan</a>', plainBody: 'Hi' }]
+    }]
+  });
+  const rows = findAll(addon.run('buildInsertThreadCard', {})[0], 'DecoratedText');
+
+  assert.strictEqual(rows[0].arg('setText'), '&lt;b&gt;Q1&lt;/b&gt; &amp; &lt;a href=&quot;x&quot;&gt;plan&lt;/a&gt;');
+});
+
+test('searchThreadsForInsert re-runs the picker with the typed query', () => {
+  const addon = loadAddon({ threads: [replyChain.thread] });
+  const response = addon.run('searchThreadsForInsert', {
+    commonEventObject: { formInputs: { threadQuery: { stringInputs: { value: ['from:alex'] } } } }
+  });
+
+  assert.deepStrictEqual(toHost(addon.GmailApp.searches), ['from:alex']);
+  const card = response.arg('setNavigation').arg('updateCard');
+  assert.strictEqual(findAll(card, 'TextInput')[0].arg('setValue'), 'from:alex');
+});
+
+test('insertCleanThread inserts the same timeline a draft would get', () => {
+  const addon = loadAddon({ threads: [replyChain.thread] });
+  const response = addon.run('insertCleanThread', {
+    commonEventObject: { parameters: { threadId: replyChain.thread.id } }
+  });
+
+  const bodyAction = response.arg('setUpdateDraftBodyAction');
+  assert.strictEqual(bodyAction.arg('setUpdateType'), 'UpdateDraftBodyType.IN_PLACE_INSERT');
+  assert.strictEqual(bodyAction.arg('addUpdateContent', 1), 'ContentType.MUTABLE_HTML');
+
+  addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(replyChain.thread.id));
+  assert.strictEqual(bodyAction.arg('addUpdateContent'), addon.GmailApp.drafts[0].options.htmlBody);
+});
+
+test('insertCleanThread leaves out inline images and uploads nothing', () => {
+  const addon = loadAddon({ threads: [withImages.thread] });
+  const response = addon.run('insertCleanThread', {
+    commonEventObject: { parameters: { threadId: withImages.thread.id } }
+  });
+
+  const html = response.arg('setUpdateDraftBodyAction').arg('addUpdateContent');
+  assert.ok(!html.includes('cid:'));
+  assert.strictEqual(addon.DriveApp.folders.length, 0);
+});
+
+test('insertCleanThread notifies when the thread is gone', () => {
+  const addon = loadAddon();
+  const response = addon.run('insertCleanThread', { commonEventObject: { parameters: { threadId: 'missing' } } });
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'That thread is empty or no longer available.');
+});
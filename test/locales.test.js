@@ -0,0 +1,99 @@
+/**
+ * Tests for localized quote detection and the language settings card.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, findAll, toHost } = require('./harness/loadAddon');
+
+const GERMAN_REPLY = [
+  'Danke, das passt mir gut. Ich schicke die Unterlagen morgen.',
+  '',
+  // Gmail wraps long reply headers, which hides them from the English emailLine pattern
+  'Am Mo., 15. Dez. 2025 um 14:09 Uhr schrieb Jordan Lee <',
+  'jordan@example.org>:',
+  '',
+  '> Können wir uns am Donnerstag treffen?'
+].join('\n');
+
+test('detectLanguage_ picks the language with the most hint words', () => {
+  const addon = loadAddon();
+  const detect = (text, locales) => addon.run('detectLanguage_', text, locales);
+
+  assert.strictEqual(detect(GERMAN_REPLY), 'de');
+  assert.strictEqual(detect('Merci pour votre message, nous vous envoyons le contrat.'), 'fr');
+  assert.strictEqual(detect('Gracias por el mensaje, te envío los datos para la reunión.'), 'es');
+  assert.strictEqual(detect('修正版を添付します。ご確認ください。'), 'ja');
+  assert.strictEqual(detect('Thanks for the update, please send the file to me.'), 'en');
+  assert.strictEqual(detect(''), 'en');
+});
+
+test('detectLanguage_ ignores inactive locales', () => {
+  const addon = loadAddon();
+  assert.strictEqual(addon.run('detectLanguage_', GERMAN_REPLY, ['fr']), 'en');
+});
+
+test('stripQuotedText_ applies only the active locales', () => {
+  const addon = loadAddon();
+  assert.strictEqual(
+    addon.run('stripQuotedText_', GERMAN_REPLY, { locales: ['de'] }),
+    'Danke, das passt mir gut. Ich schicke die Unterlagen morgen.'
+  );
+  assert.ok(addon.run('stripQuotedText_', GERMAN_REPLY, { locales: [] }).includes('schrieb Jordan Lee'));
+});
+
+test('stripQuotedText_ stops at a localized mobile signature after content', () => {
+  const addon = loadAddon();
+  const body = 'Hallo,\nich bin gleich da.\nDie Tür ist offen.\nBitte wartet kurz.\nDanke\nund bis gleich\nVon meinem iPhone gesendet\n';
+  assert.ok(!addon.run('stripQuotedText_', body).includes('iPhone'));
+});
+
+test('a localized "De:" line alone is not treated as a header block', () => {
+  const addon = loadAddon();
+  const body = 'Hola equipo,\nDe: parte de la dirección, gracias por el esfuerzo.\nSaludos para todos';
+  assert.ok(addon.run('stripQuotedText_', body).includes('De: parte de la dirección'));
+});
+
+test('draft creation reads active locales from user settings', () => {
+  const thread = {
+    id: 't-de',
+    messages: [{
+      id: 'd1',
+      from: 'Kim Weber <kim@example.de>',
+      date: '2025-12-16T10:00:00-06:00',
+      subject: 'Termin',
+      plainBody: GERMAN_REPLY
+    }]
+  };
+
+  const withGerman = loadAddon({ threads: [thread] });
+  withGerman.run('createCleanForwardDraftFromThread_', withGerman.GmailApp.getThreadById('t-de'));
+  assert.ok(!withGerman.GmailApp.drafts[0].options.htmlBody.includes('schrieb'));
+
+  const withoutGerman = loadAddon({
+    threads: [thread],
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ locales: [] }) } }
+  });
+  withoutGerman.run('createCleanForwardDraftFromThread_', withoutGerman.GmailApp.getThreadById('t-de'));
+  assert.ok(withoutGerman.GmailApp.drafts[0].options.htmlBody.includes('schrieb'));
+});
+
+test('language card lists every locale and saves the selection', () => {
+  const addon = loadAddon({
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ locales: ['fr'] }) } }
+  });
+
+  const card = addon.run('showLanguageSettings', {}).arg('setNavigation').arg('pushCard');
+  const input = findAll(card, 'SelectionInput')[0];
+  const items = input.calls.filter((c) => c.method === 'addItem').map((c) => [c.args[1], c.args[2]]);
+  assert.deepStrictEqual(items, [['de', false], ['es', false], ['fr', true], ['ja', false]]);
+
+  addon.run('saveLanguageSettings', {
+    commonEventObject: { formInputs: { locales: { stringInputs: { value: ['de', 'ja', 'xx'] } } } }
+  });
+  assert.deepStrictEqual(toHost(addon.run('getSettings_').locales), ['de', 'ja']);
+
+  addon.run('saveLanguageSettings', { commonEventObject: { formInputs: {} } });
+  assert.deepStrictEqual(toHost(addon.run('getSettings_').locales), []);
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for merging related threads into one clean forward.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost, findAll } = require('./harness/loadAddon');
+
+const planning = {
+  id: 'thread-planning',
+  labels: ['Projects/Q1'],
+  messages: [
+    {
+      id: 'p1',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Jordan Lee <jordan@example.org>',
+      date: '2025-12-01T09:00:00-06:00',
+      subject: 'Q1 launch',
+      headers: { 'Message-ID': '<launch-1@example.com>' },
+      plainBody: 'Kicking off the Q1 launch plan.\n'
+    },
+    {
+      id: 'p2',
+      from: 'Jordan Lee <jordan@example.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-03T09:00:00-06:00',
+      subject: 'Re: Q1 launch',
+      headers: { 'Message-ID': '<launch-3@example.org>' },
+      plainBody: 'Dates look fine.\n'
+    }
+  ]
+};
+
+/** A fork of the planning thread that also carries its first message. */
+const budget = {
+  id: 'thread-budget',
+  labels: ['Projects/Q1'],
+  messages: [
+    {
+      id: 'b1',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Jordan Lee <jordan@example.org>',
+      date: '2025-12-01T09:00:00-06:00',
+      subject: 'Q1 launch',
+      headers: { 'Message-ID': '<LAUNCH-1@example.com>' },
+      plainBody: 'Kicking off the Q1 launch plan.\n'
+    },
+    {
+      id: 'b2',
+      from: 'Sam Patel <sam@example.com>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-02T09:00:00-06:00',
+      subject: 'Q1 launch budget',
+      headers: { 'Message-ID': '<budget-2@example.com>' },
+      plainBody: 'Budget is approved.\n'
+    }
+  ]
+};
+
+/** Builds a card action event on the planning thread. */
+function event(parameters, formInputs) {
+  const inputs = {};
+  for (const name of Object.keys(formInputs || {})) {
+    inputs[name] = { stringInputs: { value: formInputs[name] } };
+  }
+  return {
+    gmail: { threadId: planning.id },
+    commonEventObject: { parameters: parameters || {}, formInputs: inputs }
+  };
+}
+
+test('createMergedThread_ keeps each Message-ID once, from the first thread', () => {
+  const addon = loadAddon({ threads: [planning, budget] });
+  const merged = addon.run('createMergedThread_', [addon.GmailApp.getThreadById(planning.id), addon.GmailApp.getThreadById(budget.id)]);
+
+  assert.deepStrictEqual(toHost(merged.getMessages().map((msg) => msg.getId())), ['p1', 'p2', 'b2']);
+  assert.strictEqual(merged.getId(), planning.id);
+});
+
+test('the merge card searches by query and label, leaving out the current thread', () => {
+  const addon = loadAddon({ threads: [planning, budget] });
+  const card = addon.run('showMergeThreads', event()).arg('setNavigation').arg('pushCard');
+  assert.deepStrictEqual(toHost(addon.GmailApp.searches), ['subject:(Q1 launch)']);
+
+  const inputs = findAll(card, 'SelectionInput');
+  const labels = inputs[0].calls.filter((c) => c.method === 'addItem').map((c) => c.args[1]);
+  assert.deepStrictEqual(toHost(labels), ['', 'Projects/Q1']);
+  const threads = inputs[1].calls.filter((c) => c.method === 'addItem').map((c) => c.args[1]);
+  assert.deepStrictEqual(toHost(threads), [budget.id]);
+
+  addon.run('searchMergeThreads', event({ compose: '{}' }, { mergeQuery: ['budget'], mergeLabel: ['Projects/Q1'] }));
+  assert.strictEqual(addon.GmailApp.searches[1], 'budget label:Projects-Q1');
+});
+
+test('merged threads flow through the selection card into one draft', () => {
+  const addon = loadAddon({ threads: [planning, budget] });
+  const selection = addon.run('showMessageSelection', event({ compose: '{}' }, { mergeThreadIds: [budget.id] }))
+    .arg('setNavigation').arg('pushCard');
+
+  assert.strictEqual(selection.arg('setHeader').arg('setSubtitle'), '3 messages in 2 threads');
+  const items = findAll(selection, 'SelectionInput')[0].calls.filter((c) => c.method === 'addItem').map((c) => c.args[0]);
+  assert.match(items[1], /^\[2\] Sam Patel/);
+
+  const create = findAll(selection, 'Action').find((action) => action.arg('setFunctionName') === 'createCleanForwardFromContext');
+  const parameters = create.arg('setParameters');
+  assert.strictEqual(parameters.mergeThreadIds, budget.id);
+
+  const preview = addon.run('createCleanForwardFromContext', event(parameters, { messageIds: ['p1', 'p2', 'b2'] }))
+    .arg('setNavigation').arg('pushCard');
+  const confirm = findAll(preview, 'Action').find((action) => action.arg('setParameters').confirmed === 'true');
+  addon.run('createCleanForwardFromContext', event(confirm.arg('setParameters')));
+  const draft = addon.GmailApp.drafts[0];
+  const html = draft.options.htmlBody;
+
+  assert.ok(html.indexOf('Kicking off') < html.indexOf('Budget is approved') && html.indexOf('Budget is approved') < html.indexOf('Dates look fine'));
+  assert.strictEqual(html.split('Kicking off').length, 2);
+  assert.ok(html.includes('Merged from 2 threads:'));
+  assert.ok(html.includes('Thread 2: Q1 launch</div>'));
+  assert.match(draft.body, /Sam Patel - Dec 2, 2025 9:00\sAM\n\n\(Thread 2: Q1 launch\)/);
+});
+
+test('a single thread has no source markers', () => {
+  const addon = loadAddon({ threads: [planning, budget] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(planning.id));
+
+  assert.deepStrictEqual(toHost(model.threads), []);
+  assert.ok(model.messages.every((message) => message.source === null));
+  assert.ok(!addon.run('renderMarkdown_', model).includes('Merged from'));
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for the message selection card and its presets.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost, findAll } = require('./harness/loadAddon');
+
+const thread = {
+  id: 'thread-selection',
+  messages: [
+    {
+      id: 's1',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Jordan Lee <jordan@partner.org>',
+      date: '2025-12-01T09:00:00-06:00',
+      subject: 'Renewal',
+      plainBody: 'Jordan,\n\nOur renewal is coming up in January. Can you send the updated pricing for the enterprise tier?\n\nAlex\n'
+    },
+    {
+      id: 's2',
+      from: 'Jordan Lee <jordan@partner.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-02T10:00:00-06:00',
+      subject: 'Re: Renewal',
+      plainBody: 'Pricing attached.\n\nOn Mon, Dec 1, 2025 at 9:00 AM Alex Rivera <alex@example.com> wrote:\n> Jordan,\n'
+    },
+    {
+      id: 's3',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Jordan Lee <jordan@partner.org>',
+      cc: 'Sam Patel <Sam@Example.com>',
+      date: '2025-12-03T11:00:00-06:00',
+      subject: 'Re: Renewal',
+      plainBody: 'Looping in Sam from finance.\n'
+    },
+    {
+      id: 's4',
+      from: 'Sam Patel <sam@example.com>',
+      to: 'Jordan Lee <jordan@partner.org>',
+      date: '2025-12-04T12:00:00-06:00',
+      subject: 'Re: Renewal',
+      plainBody: 'Thanks, approved.\n'
+    }
+  ]
+};
+
+/** Builds a card action event, optionally with form inputs and parameters. */
+function event(parameters, formInputs) {
+  const inputs = {};
+  for (const name of Object.keys(formInputs || {})) {
+    inputs[name] = { stringInputs: { value: formInputs[name] } };
+  }
+  return {
+    gmail: { threadId: thread.id },
+    commonEventObject: { parameters: parameters || {}, formInputs: inputs }
+  };
+}
+
+/** Returns [{text, value, selected}] for the message checkboxes on a card. */
+function checkboxes(card) {
+  const input = findAll(card, 'SelectionInput').find((i) => i.arg('setFieldName') === 'messageIds');
+  return input.calls
+    .filter((c) => c.method === 'addItem')
+    .map((c) => ({ text: c.args[0], value: c.args[1], selected: c.args[2] }));
+}
+
+function selectedIds(card) {
+  return toHost(checkboxes(card).filter((item) => item.selected).map((item) => item.value));
+}
+
+test('showMessageSelection lists every message, oldest first, all selected', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const card = addon.run('showMessageSelection', event()).arg('setNavigation').arg('pushCard');
+
+  const items = checkboxes(card);
+  assert.deepStrictEqual(toHost(items.map((i) => i.value)), ['s1', 's2', 's3', 's4']);
+  assert.ok(items.every((i) => i.selected));
+  assert.match(items[0].text, /^Alex Rivera · Dec 1, 2025 9:00\sAM — Jordan,$/);
+  assert.match(items[1].text, /— Pricing attached\.$/);
+});
+
+test('"Last N" selects the newest N messages', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const response = addon.run('applyMessagePreset', event({ preset: 'last' }, { presetCount: ['2'] }));
+  assert.deepStrictEqual(selectedIds(response.arg('setNavigation').arg('updateCard')), ['s3', 's4']);
+
+  for (const count of ['0', '-2']) {
+    const clamped = addon.run('applyMessagePreset', event({ preset: 'last' }, { presetCount: [count] }))
+      .arg('setNavigation').arg('updateCard');
+    assert.deepStrictEqual(selectedIds(clamped), ['s4']);
+  }
+});
+
+test('"External senders" selects messages from other domains', () => {
+  const addon = loadAddon({ threads: [thread], session: { email: 'sam@example.com' } });
+  const response = addon.run('applyMessagePreset', event({ preset: 'external' }));
+  assert.deepStrictEqual(selectedIds(response.arg('setNavigation').arg('updateCard')), ['s2']);
+});
+
+test('"Since I joined" selects from the first message addressed to the user', () => {
+  const addon = loadAddon({ threads: [thread], session: { email: 'sam@example.com' } });
+  const response = addon.run('applyMessagePreset', event({ preset: 'joined' }));
+  assert.deepStrictEqual(selectedIds(response.arg('setNavigation').arg('updateCard')), ['s3', 's4']);
+
+  // "am@example.com" is inside "sam@example.com" but is someone else
+  const lookalike = loadAddon({ threads: [thread], session: { email: 'am@example.com' } })
+    .run('applyMessagePreset', event({ preset: 'joined' }));
+  assert.deepStrictEqual(selectedIds(lookalike.arg('setNavigation').arg('updateCard')), ['s1', 's2', 's3', 's4']);
+});
+
+test('a preset that matches nothing says so', () => {
+  const addon = loadAddon({ threads: [thread], session: { email: 'jordan@partner.org' } });
+  const response = addon.run('applyMessagePreset', event({ preset: 'external' }));
+  assert.deepStrictEqual(selectedIds(response.arg('setNavigation').arg('updateCard')), ['s1', 's3', 's4']);
+
+  const none = loadAddon({ threads: [{ id: thread.id, messages: thread.messages.slice(0, 1) }], session: { email: 'alex@example.com' } })
+    .run('applyMessagePreset', event({ preset: 'external' }));
+  assert.strictEqual(none.arg('setNotification').arg('setText'), 'No messages match that preset.');
+});
+
+test('createCleanForwardFromContext builds the draft from the selected messages only', () => {
+  const addon = loadAddon({ threads: [thread] });
+  addon.run('createCleanForwardFromContext', event({ fromSelection: 'true', confirmed: 'true' }, { messageIds: ['s2', 's4'] }));
+
+  const html = addon.GmailApp.drafts[0].options.htmlBody;
+  assert.ok(html.includes('Pricing attached.'));
+  assert.ok(html.includes('Thanks, approved.'));
+  assert.ok(!html.includes('Looping in Sam'));
+  assert.ok(!html.includes('Our renewal is coming up'));
+  assert.strictEqual(addon.GmailApp.drafts[0].subject, 'FWD: Re: Renewal');
+});
+
+test('createCleanForwardFromContext asks for a selection when nothing is ticked', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const response = addon.run('createCleanForwardFromContext', event({ fromSelection: 'true' }));
+
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Select at least one message.');
+  assert.strictEqual(addon.GmailApp.drafts.length, 0);
+});
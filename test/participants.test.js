@@ -0,0 +1,178 @@
+/**
+ * Tests for address parsing and the participant roster.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost, findAll } = require('./harness/loadAddon');
+
+/** A thread where two different people are both called Alex, with Cc-only recipients. */
+const thread = {
+  id: 'thread-roster',
+  messages: [
+    {
+      id: 'r1',
+      from: 'Alex <alex@example.com>',
+      to: '"Chen, Morgan" <Morgan@Vendor.example>, Alex <alex@partner.example>',
+      cc: 'Finance: billing@example.com, "Pat \\"PK\\" Kim" <pat@example.com>;',
+      date: '2025-12-18T09:00:00-06:00',
+      subject: 'Renewal',
+      plainBody: 'Morgan, can you send the renewal quote?'
+    },
+    {
+      id: 'r2',
+      from: 'Morgan Chen <morgan@vendor.example>',
+      to: 'alex@example.com (Alex Rivera)',
+      cc: 'alex@partner.example',
+      date: '2025-12-18T11:00:00-06:00',
+      subject: 'Re: Renewal',
+      plainBody: 'Attached is the quote.'
+    },
+    {
+      id: 'r3',
+      from: 'Alex <alex@example.com>',
+      to: 'Morgan Chen <morgan@vendor.example>',
+      date: '2025-12-18T12:00:00-06:00',
+      subject: 'Re: Renewal',
+      plainBody: 'Thanks!'
+    }
+  ]
+};
+
+/** Loads the add-on as alex@example.com with the given user settings. */
+function load(settings) {
+  return loadAddon({
+    threads: [thread],
+    session: { email: 'alex@example.com' },
+    properties: { user: { 'cleanForward.settings': JSON.stringify(settings || {}) } }
+  });
+}
+
+test('parseAddressList_ handles quoted commas, escapes, comments and groups', () => {
+  const addon = loadAddon();
+  const parse = (header) => toHost(addon.run('parseAddressList_', header));
+
+  assert.deepStrictEqual(parse('"Chen, Morgan" <morgan@vendor.example>, ops@example.com'), [
+    { name: 'Chen, Morgan', email: 'morgan@vendor.example' },
+    { name: '', email: 'ops@example.com' }
+  ]);
+  assert.deepStrictEqual(parse('"Pat \\"PK\\" Kim" <pat@example.com>'), [{ name: 'Pat "PK" Kim', email: 'pat@example.com' }]);
+  assert.deepStrictEqual(parse('jordan@example.org (Jordan (work) Lee)'), [{ name: 'Jordan (work) Lee', email: 'jordan@example.org' }]);
+  assert.deepStrictEqual(parse('Team: a@example.com, B <b@example.com>;, c@example.com'), [
+    { name: '', email: 'a@example.com' },
+    { name: 'B', email: 'b@example.com' },
+    { name: '', email: 'c@example.com' }
+  ]);
+  assert.deepStrictEqual(parse('undisclosed-recipients:;'), []);
+  assert.deepStrictEqual(parse(''), []);
+});
+
+test('the roster has one entry per email, with message counts and Cc-only people', () => {
+  const addon = load();
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+  const people = toHost(model.participants).map((person) =>
+    [person.display, person.email, person.internal, person.messageCount, person.roles.join('/')]);
+
+  assert.deepStrictEqual(people, [
+    ['Alex (alex@example.com)', 'alex@example.com', true, 2, 'from/to'],
+    ['Morgan Chen', 'morgan@vendor.example', false, 1, 'to/from'],
+    ['Alex (alex@partner.example)', 'alex@partner.example', false, 0, 'to/cc'],
+    ['billing@example.com', 'billing@example.com', true, 0, 'cc'],
+    ['Pat "PK" Kim', 'pat@example.com', true, 0, 'cc']
+  ]);
+  assert.deepStrictEqual(toHost(model.domains).map((group) => [group.domain, group.internal, group.emails.length]), [
+    ['example.com', true, 3],
+    ['vendor.example', false, 1],
+    ['partner.example', false, 1]
+  ]);
+});
+
+test('Bcc recipients of the user\'s sent messages stay out of the roster', () => {
+  const sent = {
+    id: 'thread-bcc',
+    messages: [{
+      id: 'b1',
+      from: 'Alex <alex@example.com>',
+      to: 'Morgan Chen <morgan@vendor.example>',
+      bcc: 'Legal <legal@example.com>, Jordan <jordan@private.example>',
+      date: '2025-12-18T09:00:00-06:00',
+      subject: 'Renewal',
+      plainBody: 'Morgan, can you send the renewal quote?'
+    }]
+  };
+  const addon = loadAddon({ threads: [sent], session: { email: 'alex@example.com' } });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(sent.id));
+
+  assert.deepStrictEqual(toHost(model.participants.map((person) => person.email)), ['alex@example.com', 'morgan@vendor.example']);
+  assert.deepStrictEqual(toHost(model.domains.map((group) => group.domain)), ['example.com', 'vendor.example']);
+  assert.ok(!addon.run('renderPlainText_', model).includes('private.example'));
+});
+
+test('internal domains from settings are grouped with the user', () => {
+  const addon = load({ internalDomains: ['partner.example'] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+  const text = addon.run('renderPlainText_', model);
+
+  assert.match(text, /Participants: 5 people · 4 internal, 1 external\n/);
+  assert.match(text, /\* example\.com \(internal\): Alex \(alex@example\.com\) \(2 messages, first seen Dec 18, 2025 9:00\sAM\), billing@example\.com \(Cc, first seen/);
+  assert.match(text, /\* partner\.example \(internal\): Alex \(alex@partner\.example\) \(To, Cc, first seen Dec 18, 2025 9:00\sAM\)\n {2}\* vendor\.example \(external\)/);
+});
+
+test('the HTML summary lists each domain and the roster respects the setting', () => {
+  const html = (settings) => {
+    const addon = load(settings);
+    addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(thread.id));
+    return addon.GmailApp.drafts[0].options.htmlBody;
+  };
+
+  const on = html({});
+  assert.ok(on.includes('Participants: 5 people · 3 internal, 2 external'));
+  assert.match(on, /vendor\.example<\/strong>\s*external: Morgan Chen \(1 message, first seen Dec 18, 2025 9:00\sAM\)/);
+  assert.ok(!html({ participantSummary: false }).includes('Participants:'));
+});
+
+test('each message notes who was added or removed since the previous one', () => {
+  const addon = load({ internalDomains: ['partner.example'] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+
+  assert.deepStrictEqual(toHost(model.messages.map((message) => message.recipientChanges)), [
+    null,
+    { added: [], removed: ['billing@example.com', 'Pat "PK" Kim'] },
+    { added: [], removed: ['Alex (alex@partner.example)'] }
+  ]);
+  assert.match(addon.run('renderMarkdown_', model), /### Alex - Dec 18, 2025 12:00\sPM\n\n_Removed: Alex \(alex@partner\.example\)_\n/);
+
+  addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(thread.id));
+  assert.ok(addon.GmailApp.drafts[0].options.htmlBody.includes('Removed: billing@example.com, Pat &quot;PK&quot; Kim'));
+});
+
+test('recipient changes can be turned off', () => {
+  const addon = load({ recipientChanges: false });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+
+  assert.ok(model.messages.every((message) => message.recipientChanges === null));
+  assert.ok(!addon.run('renderPlainText_', model).includes('Removed:'));
+});
+
+test('saveUserSettings keeps valid internal domains', () => {
+  const addon = load();
+  addon.run('saveUserSettings', {
+    commonEventObject: {
+      formInputs: { internalDomains: { stringInputs: { value: ['@Partner.example, not a domain; sub.example.co.uk'] } } }
+    }
+  });
+
+  assert.deepStrictEqual(toHost(addon.run('getSettings_').internalDomains), ['partner.example', 'sub.example.co.uk']);
+});
+
+test('internal domains saved as a string by the organization are read as a list', () => {
+  const addon = loadAddon({
+    properties: { script: { 'cleanForward.settings': JSON.stringify({ internalDomains: 'partner.example; @Sub.example.co.uk' }) } }
+  });
+
+  assert.deepStrictEqual(toHost(addon.run('getSettings_').internalDomains), ['partner.example', 'sub.example.co.uk']);
+  const card = addon.run('buildSettingsCard_', addon.run('getSettings_'));
+  const input = findAll(card, 'TextInput').find((field) => field.arg('setFieldName') === 'internalDomains');
+  assert.strictEqual(input.arg('setValue'), 'partner.example, sub.example.co.uk');
+});
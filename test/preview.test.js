@@ -0,0 +1,163 @@
+/**
+ * Tests for the preview card: rendering, leaving messages out, editing
+ * and confirming.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll, collectText } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/outlook-attachments.json');
+
+/** Builds a card action event, optionally with form inputs and parameters. */
+function event(parameters, formInputs) {
+  const inputs = {};
+  for (const name of Object.keys(formInputs || {})) {
+    inputs[name] = { stringInputs: { value: formInputs[name] } };
+  }
+  return {
+    gmail: { threadId: fixture.thread.id },
+    commonEventObject: { parameters: parameters || {}, formInputs: inputs }
+  };
+}
+
+/** Returns the parameters of the first button on a card with the given text. */
+function buttonParameters(card, text) {
+  const button = findAll(card, 'TextButton').find((b) => b.arg('setText') === text);
+  return toHost(button.arg('setOnClickAction').arg('setParameters'));
+}
+
+/** Reads the preview state a card's buttons refer to from the user cache. */
+function cachedState(addon, card) {
+  return JSON.parse(addon.CacheService.user.get(`cleanForward.preview.${buttonParameters(card, 'Create draft').previewId}`));
+}
+
+/** Opens the preview for both fixture messages. */
+function openPreview(addon) {
+  return addon.run('createCleanForwardFromContext', event({ fromSelection: 'true', compose: '{}' }, { messageIds: ['o1', 'o2'] }))
+    .arg('setNavigation').arg('pushCard');
+}
+
+test('createCleanForwardFromContext shows a preview of the cleaned messages first', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const card = openPreview(addon);
+
+  assert.strictEqual(addon.GmailApp.drafts.length, 0);
+  assert.strictEqual(card.arg('setHeader').arg('setTitle'), 'Preview');
+  assert.strictEqual(card.arg('setHeader').arg('setSubtitle'), 'FWD: Contract draft · 2 of 2 messages');
+
+  const headers = findAll(card, 'CardSection').map((section) => section.arg('setHeader')).filter((h) => h);
+  assert.match(headers[0], /^Morgan Chen · Nov 3, 2025 10:30\sAM$/);
+
+  const text = collectText(card);
+  assert.ok(text.includes('Hi Sam,<br><br>Attached is the contract draft for review.'));
+  assert.ok(text.includes('📎 contract-v1.pdf ('));
+  assert.strictEqual(buttonParameters(card, 'Create draft').confirmed, 'true');
+  assert.deepStrictEqual(Object.keys(buttonParameters(card, 'Leave out')).sort(), ['mergeThreadIds', 'messageId', 'previewId']);
+  assert.deepStrictEqual(cachedState(addon, card).messageIds, ['o1', 'o2']);
+  assert.strictEqual(addon.CacheService.user.expirations[`cleanForward.preview.${buttonParameters(card, 'Edit').previewId}`], 21600);
+});
+
+test('messages the draft takes from HTML are previewed from the cleaned HTML', () => {
+  const thread = {
+    id: 'thread-html-preview',
+    messages: [{
+      id: 'h1',
+      from: 'Jordan Lee <jordan@partner.org>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-15T14:09:00-06:00',
+      subject: 'Agenda',
+      plainBody: 'Agenda *attached*\n',
+      body: '<div>Agenda <b>attached</b></div><div>See you <i>Monday</i>.</div>'
+    }]
+  };
+  const addon = loadAddon({ threads: [thread] });
+  const card = addon.run('createCleanForwardFromContext', { gmail: { threadId: thread.id }, commonEventObject: { parameters: {} } })
+    .arg('setNavigation').arg('pushCard');
+  assert.ok(collectText(card).includes('Agenda attached<br>See you Monday.'));
+
+  const plain = loadAddon({ threads: [thread], properties: { user: { 'cleanForward.settings': JSON.stringify({ htmlBodies: false }) } } });
+  const plainCard = plain.run('createCleanForwardFromContext', { gmail: { threadId: thread.id }, commonEventObject: { parameters: {} } })
+    .arg('setNavigation').arg('pushCard');
+  assert.ok(collectText(plainCard).includes('Agenda *attached*'));
+});
+
+test('a preview whose state has left the cache asks to start again', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const response = addon.run('togglePreviewMessage', event({ previewId: 'gone', messageId: 'o1' }));
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'This preview has expired. Create the forward again.');
+  assert.strictEqual(addon.GmailApp.drafts.length, 0);
+});
+
+test('a message left out of the preview is left out of the draft', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const preview = openPreview(addon);
+
+  const toggled = addon.run('togglePreviewMessage', event(buttonParameters(preview, 'Leave out')))
+    .arg('setNavigation').arg('updateCard');
+  assert.strictEqual(toggled.arg('setHeader').arg('setSubtitle'), 'FWD: RE: Contract draft · 1 of 2 messages');
+  const leftOut = findAll(toggled, 'DecoratedText')[0];
+  assert.strictEqual(leftOut.arg('setText'), 'Morgan Chen');
+  assert.strictEqual(leftOut.arg('setButton').arg('setText'), 'Include');
+
+  addon.run('createCleanForwardFromContext', event(buttonParameters(toggled, 'Create draft')));
+  const html = addon.GmailApp.drafts[0].options.htmlBody;
+  assert.ok(html.includes('Looks good overall.'));
+  assert.ok(!html.includes('Attached is the contract draft'));
+
+  const none = addon.run('togglePreviewMessage', event(buttonParameters(toggled, 'Leave out')))
+    .arg('setNavigation').arg('updateCard');
+  const response = addon.run('createCleanForwardFromContext', event(buttonParameters(none, 'Create draft')));
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Select at least one message.');
+});
+
+test('edited text replaces the cleaned text in the preview and the draft', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const preview = openPreview(addon);
+
+  const editCard = addon.run('editPreviewMessage', event(buttonParameters(preview, 'Edit')))
+    .arg('setNavigation').arg('pushCard');
+  const input = findAll(editCard, 'TextInput')[0];
+  assert.ok(input.arg('setValue').startsWith('Hi Sam,\n\nAttached is the contract draft for review.'));
+
+  const saved = addon.run('savePreviewEdit', event(buttonParameters(editCard, 'Save'), { previewText: ['Contract draft attached.'] }));
+  assert.ok(saved.arg('setNavigation').calls.some((c) => c.method === 'popCard'));
+  const updated = saved.arg('setNavigation').arg('updateCard');
+  assert.match(collectText(updated), /Morgan Chen · .+ \(edited\)/);
+
+  addon.run('createCleanForwardFromContext', event(buttonParameters(updated, 'Create draft')));
+  const html = addon.GmailApp.drafts[0].options.htmlBody;
+  assert.ok(html.includes('Contract draft attached.'));
+  assert.ok(!html.includes('Attached is the contract draft for review.'));
+
+  const reverted = addon.run('savePreviewEdit', event(
+    buttonParameters(addon.run('editPreviewMessage', event(buttonParameters(updated, 'Edit'))).arg('setNavigation').arg('pushCard'), 'Revert to cleaned text')
+  )).arg('setNavigation').arg('updateCard');
+  assert.deepStrictEqual(cachedState(addon, reverted).edits, {});
+});
+
+test('edits too large for the cache are refused and the previous state is kept', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const preview = openPreview(addon);
+  const editCard = addon.run('editPreviewMessage', event(buttonParameters(preview, 'Edit')))
+    .arg('setNavigation').arg('pushCard');
+
+  const response = addon.run('savePreviewEdit', event(buttonParameters(editCard, 'Save'), { previewText: ['x'.repeat(120 * 1024)] }));
+  assert.strictEqual(response.arg('setNotification').arg('setText'),
+    'Your edits are too large to keep. Shorten the edited text and try again.');
+  assert.strictEqual(response.arg('setNavigation'), undefined);
+  assert.deepStrictEqual(cachedState(addon, preview).edits, {});
+});
+
+test('preview actions report errors instead of failing', () => {
+  const addon = loadAddon({ threads: [fixture.thread] });
+  const preview = openPreview(addon);
+  const parameters = buttonParameters(preview, 'Edit');
+  addon.CacheService.user.put(`cleanForward.preview.${parameters.previewId}`, '{not json');
+
+  for (const handler of ['togglePreviewMessage', 'editPreviewMessage', 'savePreviewEdit']) {
+    const response = addon.run(handler, event(parameters, { previewText: ['Short.'] }));
+    assert.strictEqual(response.arg('setNotification').arg('setText'), 'Error updating the preview. Check Logs.', handler);
+  }
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for redaction: the built-in detectors, user rules, the settings
+ * card and redacted drafts.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost, collectText } = require('./harness/loadAddon');
+
+const ALL_DETECTORS = ['iban', 'card', 'ssn', 'email', 'internal', 'phone'];
+
+/** Redacts text with the given settings and returns {text, counts}. */
+function redact(addon, text, settings) {
+  const rules = addon.run('getRedactionRules_', Object.assign({ redactDetectors: ALL_DETECTORS }, settings));
+  const counts = [];
+  return { text: addon.run('redactText_', text, rules, counts), counts: toHost(counts) };
+}
+
+test('built-in detectors replace sensitive data with labeled placeholders', () => {
+  const addon = loadAddon({ session: { email: 'alex@example.com' } });
+  const result = redact(addon, [
+    'Card 4111 1111 1111 1111, ref 4111 1111 1111 1112.',
+    'IBAN DE89 3704 0044 0532 0130 00, SSN 123-45-6789.',
+    'Mail jordan@partner.org or see https://wiki.example.com/pages/42.',
+    'Call 573-442-1838 or +44 20 7946 0958 before 15.12.2025 (net 30, order 12345678).'
+  ].join('\n'), { internalDomains: [] });
+
+  assert.strictEqual(result.text, [
+    'Card [CARD NUMBER], ref 4111 1111 1111 1112.',
+    'IBAN [IBAN], SSN [SSN].',
+    'Mail [EMAIL] or see [INTERNAL URL].',
+    'Call [PHONE] or [PHONE] before 15.12.2025 (net 30, order 12345678).'
+  ].join('\n'));
+  assert.deepStrictEqual(result.counts, [
+    { label: 'IBAN', count: 1 },
+    { label: 'CARD NUMBER', count: 1 },
+    { label: 'SSN', count: 1 },
+    { label: 'EMAIL', count: 1 },
+    { label: 'INTERNAL URL', count: 1 },
+    { label: 'PHONE', count: 2 }
+  ]);
+});
+
+test('checksums and the detector list decide what is redacted', () => {
+  const addon = loadAddon();
+  assert.strictEqual(addon.run('isLuhnValid_', '4111111111111111'), true);
+  assert.strictEqual(addon.run('isLuhnValid_', '4111111111111112'), false);
+  assert.strictEqual(addon.run('isIbanValid_', 'GB82 WEST 1234 5698 7654 32'), true);
+  assert.strictEqual(addon.run('isIbanValid_', 'GB82 WEST 1234 5698 7654 33'), false);
+
+  const phonesOnly = redact(addon, 'jordan@partner.org, 573-442-1838', { redactDetectors: ['phone'] });
+  assert.strictEqual(phonesOnly.text, 'jordan@partner.org, [PHONE]');
+});
+
+test('user rules are applied after the detectors and invalid ones are skipped', () => {
+  const addon = loadAddon();
+  const result = redact(addon, 'See INC123456 about Project Falcon.', {
+    redactDetectors: [],
+    redactionRules: [{ label: 'TICKET', pattern: 'INC\\d{6}' }, { label: 'BROKEN', pattern: '(' }, { label: 'CODENAME', pattern: 'project falcon' }]
+  });
+
+  assert.strictEqual(result.text, 'See [TICKET] about [CODENAME].');
+  assert.strictEqual(addon.console.entries[0].level, 'warn');
+});
+
+test('the redaction card saves the switch, detectors and valid rules', () => {
+  const addon = loadAddon();
+  const card = addon.run('showRedactionSettings', {}).arg('setNavigation').arg('pushCard');
+  assert.match(collectText(card), /Card numbers \(Luhn-checked\)/);
+
+  const response = addon.run('saveRedactionSettings', {
+    commonEventObject: {
+      formInputs: {
+        redact: { stringInputs: { value: ['true'] } },
+        redactDetectors: { stringInputs: { value: ['email', 'phone', 'bogus'] } },
+        redactionRules: { stringInputs: { value: ['TICKET = INC\\d{6}\n\nBROKEN = (\n[A-Z]{3}-\\d+'] } }
+      }
+    }
+  });
+
+  const saved = JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.settings'));
+  assert.strictEqual(saved.redact, true);
+  assert.deepStrictEqual(saved.redactDetectors, ['email', 'phone']);
+  assert.deepStrictEqual(saved.redactionRules, [
+    { label: 'TICKET', pattern: 'INC\\d{6}' },
+    { label: 'REDACTED', pattern: '[A-Z]{3}-\\d+' }
+  ]);
+  assert.match(response.arg('setNotification').arg('setText'), /Skipped 1 rule that isn't a valid regular expression/);
+});
+
+const thread = {
+  id: 'thread-redaction',
+  messages: [{
+    id: 'r1',
+    from: 'Jordan Lee <jordan@partner.org>',
+    to: 'Alex Rivera <alex@example.com>',
+    date: '2025-12-15T14:09:00-06:00',
+    subject: 'Refund',
+    plainBody: 'Refund to card 4111 1111 1111 1111.\nQuestions: billing@partner.org or 573-442-1838.\n',
+    body: '<div>Refund to card <b>4111 1111 1111 1111</b>.</div>' +
+      '<div>Questions: <a href="mailto:billing@partner.org">billing@partner.org</a> or 573-442-1838.</div>'
+  }]
+};
+
+test('drafts are redacted when the setting is on and the success card lists the counts', () => {
+  const addon = loadAddon({
+    threads: [thread],
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ redact: true }) } }
+  });
+  const response = addon.run('createCleanForwardFromContext', {
+    gmail: { threadId: thread.id },
+    commonEventObject: { parameters: { confirmed: 'true' } }
+  });
+
+  const draft = addon.GmailApp.drafts[0];
+  assert.ok(draft.options.htmlBody.includes('Refund to card <b>[CARD NUMBER]</b>.'));
+  assert.ok(!draft.options.htmlBody.includes('billing@partner.org'));
+  assert.ok(!draft.options.htmlBody.includes('573-442-1838'));
+  assert.ok(draft.body.includes('Questions: [EMAIL] or [PHONE].'));
+
+  const text = collectText(response.arg('setNavigation').arg('pushCard'));
+  assert.ok(text.includes('3 items were redacted:<br>• CARD NUMBER: 1<br>• EMAIL: 1<br>• PHONE: 1'));
+});
+
+test('redaction is off by default', () => {
+  const addon = loadAddon({ threads: [thread] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+
+  assert.ok(model.messages[0].text.includes('573-442-1838'));
+  assert.deepStrictEqual(toHost(model.redactions), []);
+});
+
+test('subjects, senders, the roster and forwarded headers are redacted and counted as rendered', () => {
+  const addon = loadAddon({
+    threads: [{
+      id: 'thread-headers',
+      messages: [{
+        id: 'h1',
+        from: 'billing@partner.org',
+        to: 'Alex Rivera <alex@example.com>',
+        date: '2025-12-15T14:09:00-06:00',
+        subject: 'Call 573-442-1838',
+        plainBody: [
+          'See below.',
+          '',
+          '---------- Forwarded message ---------',
+          'From: vendor@example.net',
+          'Date: Mon, Dec 15, 2025 at 2:09 PM',
+          'Subject: Card 4111 1111 1111 1111',
+          '',
+          'Your refund is on its way.'
+        ].join('\n')
+      }]
+    }],
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ redact: true, htmlBodies: false }) } }
+  });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById('thread-headers'));
+
+  assert.strictEqual(model.subject, 'FWD: Call [PHONE]');
+  assert.strictEqual(model.messages[0].sender.display, '[EMAIL]');
+  assert.deepStrictEqual(toHost(model.messages[0].forwarded[0].sender), { name: '[EMAIL]', email: '[EMAIL]', display: '[EMAIL]' });
+  assert.strictEqual(model.messages[0].forwarded[0].subject, 'Card [CARD NUMBER]');
+  assert.deepStrictEqual(toHost(model.participants.map((person) => person.display)), ['[EMAIL]', 'Alex Rivera']);
+  assert.ok(!addon.run('renderThreadModel_', model, 'html').includes('billing@'));
+  assert.deepStrictEqual(toHost(model.redactions), [
+    { label: 'PHONE', count: 1 },
+    { label: 'EMAIL', count: 3 },
+    { label: 'CARD NUMBER', count: 1 }
+  ]);
+});
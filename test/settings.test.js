@@ -0,0 +1,134 @@
+/**
+ * Tests for the settings card and the settings the processing functions read.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/gmail-reply-chain.json');
+
+const DISCLAIMER = 'CONFIDENTIALITY NOTICE: This message is for the named recipient only.';
+
+/** A thread whose single message ends with a disclaimer and has an emoji. */
+function disclaimerThread() {
+  const lines = ['Hi team,', '', 'The launch is on track 🚀', '', 'Numbers attached.', '', 'Thanks,', 'Sam', '', DISCLAIMER];
+  return {
+    id: 'thread-disclaimer',
+    messages: [{
+      id: 'd1',
+      from: 'Sam Patel <sam@example.com>',
+      to: 'team@example.com',
+      date: '2025-12-18T10:00:00-06:00',
+      subject: 'Launch status',
+      plainBody: lines.join('\n'),
+      body: `<div>${lines.filter((line) => line).map((line) => `<p>${line}</p>`).join('')}</div>`
+    }]
+  };
+}
+
+/** Creates a draft from a thread with the given user settings, returning the draft. */
+function draftWith(thread, settings) {
+  const addon = loadAddon({
+    threads: [thread],
+    properties: { user: { 'cleanForward.settings': JSON.stringify(settings) } }
+  });
+  addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(thread.id));
+  return addon.GmailApp.drafts[0];
+}
+
+test('getSettings_ layers user values over organization defaults', () => {
+  const addon = loadAddon({
+    properties: {
+      script: { 'cleanForward.settings': JSON.stringify({ subjectPrefix: 'Fwd: ', sortOrder: 'newest' }) },
+      user: { 'cleanForward.settings': JSON.stringify({ sortOrder: 'oldest' }) }
+    }
+  });
+
+  const settings = addon.run('getSettings_');
+  assert.strictEqual(settings.subjectPrefix, 'Fwd: ');
+  assert.strictEqual(settings.sortOrder, 'oldest');
+  assert.strictEqual(settings.dateFormat, 'absolute');
+
+  addon.run('saveSettings_', { emoji: 'keep' });
+  assert.deepStrictEqual(JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.settings')), {
+    sortOrder: 'oldest',
+    emoji: 'keep'
+  });
+});
+
+test('the Settings universal action displays the settings card', () => {
+  const addon = loadAddon();
+  const response = addon.run('showSettings', {});
+
+  const card = response.arg('displayAddOnCards')[0];
+  assert.strictEqual(card.arg('setHeader').arg('setTitle'), 'Settings');
+  const fields = findAll(card, 'SelectionInput').map((input) => input.arg('setFieldName'));
+  assert.deepStrictEqual(toHost(fields), ['sortOrder', 'dateFormat', 'emoji', 'driveSharing', 'flags']);
+});
+
+test('saveUserSettings stores valid choices and ignores unknown ones', () => {
+  const addon = loadAddon();
+  const response = addon.run('saveUserSettings', {
+    commonEventObject: {
+      formInputs: {
+        subjectPrefix: { stringInputs: { value: ['Fw:'] } },
+        sortOrder: { stringInputs: { value: ['newest'] } },
+        dateFormat: { stringInputs: { value: ['weekly'] } },
+        emoji: { stringInputs: { value: ['keep'] } },
+        driveSharing: { stringInputs: { value: ['everyone'] } },
+        flags: { stringInputs: { value: ['htmlBodies'] } }
+      }
+    }
+  });
+
+  const settings = addon.run('getSettings_');
+  assert.strictEqual(settings.subjectPrefix, 'Fw: ');
+  assert.strictEqual(settings.sortOrder, 'newest');
+  assert.strictEqual(settings.dateFormat, 'absolute');
+  assert.strictEqual(settings.emoji, 'keep');
+  assert.strictEqual(settings.driveSharing, 'recipients');
+  assert.strictEqual(settings.participantSummary, false);
+  assert.strictEqual(settings.stripDisclaimers, false);
+  assert.strictEqual(settings.htmlBodies, true);
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Settings saved.');
+});
+
+test('drafts follow the subject prefix, order, date format and participant settings', () => {
+  const draft = draftWith(fixture.thread, {
+    subjectPrefix: '[fwd] ',
+    sortOrder: 'newest',
+    dateFormat: 'iso',
+    participantSummary: false
+  });
+  const html = draft.options.htmlBody;
+
+  assert.strictEqual(draft.subject, '[fwd] Q1 launch plan');
+  assert.ok(html.indexOf('book the room for Thursday') < html.indexOf('Can we meet next week'));
+  assert.ok(html.includes('(newest to oldest)'));
+  assert.ok(html.includes('2025-12-19 16:12'));
+  assert.ok(!html.includes('Participants:'));
+  assert.match(draft.body, /Jordan Lee - 2025-12-19 16:12/);
+});
+
+test('disclaimers and emoji are removed by default, in both pipelines', () => {
+  for (const htmlBodies of [true, false]) {
+    const draft = draftWith(disclaimerThread(), { htmlBodies });
+    const html = draft.options.htmlBody;
+
+    assert.ok(html.includes('Numbers attached.'), `htmlBodies: ${htmlBodies}`);
+    assert.ok(!html.includes('CONFIDENTIALITY NOTICE'), `htmlBodies: ${htmlBodies}`);
+    assert.ok(!html.includes('🚀'), `htmlBodies: ${htmlBodies}`);
+  }
+});
+
+test('disclaimers and emoji can be kept', () => {
+  for (const htmlBodies of [true, false]) {
+    const draft = draftWith(disclaimerThread(), { htmlBodies, stripDisclaimers: false, emoji: 'keep' });
+    const html = draft.options.htmlBody;
+
+    assert.ok(html.includes('CONFIDENTIALITY NOTICE'), `htmlBodies: ${htmlBodies}`);
+    assert.ok(html.includes('🚀'), `htmlBodies: ${htmlBodies}`);
+  }
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for per-sender signature learning and stripping.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, toHost } = require('./harness/loadAddon');
+
+const SIGNATURE = 'Morgan Chen\nDirector of Operations | Acme Corp\n+1 (555) 010-2000\n500 Market St, Suite 200';
+
+/** A thread where Morgan signs both messages with a corporate signature. */
+const thread = {
+  id: 'thread-signatures',
+  messages: [
+    {
+      id: 's1',
+      from: 'Morgan Chen <morgan@acme.com>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-01T09:00:00-06:00',
+      subject: 'Vendor review',
+      plainBody: `Can you send the vendor shortlist?\n\n${SIGNATURE}\n`,
+      body: `<div>Can you send the vendor shortlist?</div><div><br></div><div>${SIGNATURE.split('\n').join('<br>')}</div>`
+    },
+    {
+      id: 's2',
+      from: 'Alex Rivera <alex@example.com>',
+      to: 'Morgan Chen <morgan@acme.com>',
+      date: '2025-12-02T09:00:00-06:00',
+      subject: 'Re: Vendor review',
+      plainBody: 'Attached.\n\nAlex\n'
+    },
+    {
+      id: 's3',
+      from: 'Morgan Chen <morgan@acme.com>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-03T09:00:00-06:00',
+      subject: 'Re: Vendor review',
+      plainBody: `Thanks, this works.\n\n${SIGNATURE}\n`
+    }
+  ]
+};
+
+/** A later thread where Morgan writes once. */
+const single = {
+  id: 'thread-single',
+  messages: [
+    {
+      id: 'n1',
+      from: 'Morgan Chen <morgan@acme.com>',
+      to: 'Alex Rivera <alex@example.com>',
+      date: '2025-12-10T09:00:00-06:00',
+      subject: 'Renewal',
+      plainBody: `The renewal is due in March.\n\n${SIGNATURE}\n`
+    }
+  ]
+};
+
+test('a trailing block repeated across a sender\'s messages is stripped from text and HTML', () => {
+  const addon = loadAddon({ threads: [thread, single] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+
+  assert.strictEqual(model.messages[0].text, 'Can you send the vendor shortlist?');
+  assert.strictEqual(model.messages[2].text, 'Thanks, this works.');
+  assert.strictEqual(model.messages[1].text, 'Attached.\n\nAlex');
+  assert.ok(model.messages[0].isHtml);
+  assert.ok(model.messages[0].html.includes('vendor shortlist'));
+  assert.ok(!model.messages[0].html.includes('Director of Operations'));
+  assert.ok(model.participants.every((person) => person.signature === null));
+});
+
+test('learned signatures are cached when the thread is rendered and recognized in later threads', () => {
+  const addon = loadAddon({ threads: [thread, single] });
+  addon.run('buildThreadModel_', addon.GmailApp.getThreadById(thread.id));
+  assert.strictEqual(addon.PropertiesService.user.getProperty('cleanForward.signatures'), null);
+
+  addon.run('renderCleanThread_', addon.GmailApp.getThreadById(thread.id));
+  const cache = JSON.parse(addon.PropertiesService.user.getProperty('cleanForward.signatures'));
+  assert.deepStrictEqual(cache['morgan@acme.com'], SIGNATURE.split('\n'));
+  assert.strictEqual(cache['alex@example.com'], undefined);
+
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(single.id));
+  assert.strictEqual(model.messages[0].text, 'The renewal is due in March.');
+
+  const fresh = loadAddon({ threads: [single] });
+  const unlearned = fresh.run('buildThreadModel_', fresh.GmailApp.getThreadById(single.id));
+  assert.ok(unlearned.messages[0].text.includes('Director of Operations'));
+});
+
+test('findSignatureStart_ needs the whole signature at the end with content before it', () => {
+  const addon = loadAddon();
+  const signature = ['Morgan Chen', 'Acme Corp'];
+
+  assert.strictEqual(addon.run('findSignatureStart_', ['Hi', '', 'morgan  chen', 'Acme Corp', ''], signature), 2);
+  assert.strictEqual(addon.run('findSignatureStart_', ['Morgan Chen', 'Acme Corp'], signature), -1);
+  assert.strictEqual(addon.run('findSignatureStart_', ['Hi', 'Morgan Chen', 'Acme Corp', 'PS: call me'], signature), -1);
+  assert.deepStrictEqual(
+    toHost(addon.run('getSharedTrailingLines_', ['Hi', 'Morgan Chen', 'Acme Corp'], ['Bye', 'Morgan Chen', 'ACME Corp'])),
+    signature
+  );
+});
+
+test('the signature can be shown once in the roster, or left in place', () => {
+  const shown = loadAddon({
+    threads: [thread],
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ signatureInRoster: true }) } }
+  });
+  const model = shown.run('buildThreadModel_', shown.GmailApp.getThreadById(thread.id));
+  const morgan = model.participants.find((person) => person.email === 'morgan@acme.com');
+  assert.deepStrictEqual(toHost(morgan.signature), SIGNATURE.split('\n'));
+
+  const html = shown.run('renderThreadModel_', model, 'html');
+  assert.strictEqual(html.split('Director of Operations').length, 2);
+  assert.ok(html.includes('Signature of Morgan Chen: Morgan Chen · Director of Operations'));
+  assert.match(shown.run('renderThreadModel_', model, 'text'), /\n {2}\* Signature of Morgan Chen: /);
+
+  const kept = loadAddon({
+    threads: [thread],
+    properties: { user: { 'cleanForward.settings': JSON.stringify({ stripSignatures: false }) } }
+  });
+  const unstripped = kept.run('renderCleanThread_', kept.GmailApp.getThreadById(thread.id)).model;
+  assert.ok(unstripped.messages[2].text.includes('500 Market St'));
+  assert.strictEqual(kept.PropertiesService.user.getProperty('cleanForward.signatures'), null);
+});
+
+test('the signature cache is kept under the property size limit and a failed write is logged', () => {
+  const addon = loadAddon();
+  const long = Array.from({ length: 12 }, (unused, i) => `Line ${i} of a very long corporate signature block`);
+  for (let i = 0; i < 20; i++) {
+    addon.run('saveCachedSignatures_', { [`person${i}@example.com`]: long });
+  }
+
+  const json = addon.PropertiesService.user.getProperty('cleanForward.signatures');
+  assert.ok(json.length <= addon.evaluate('MAX_SIGNATURE_CACHE_BYTES_'));
+  const emails = Object.keys(JSON.parse(json));
+  assert.ok(emails.length < 20);
+  assert.strictEqual(emails[emails.length - 1], 'person19@example.com');
+
+  addon.PropertiesService.user.setProperty = () => { throw new Error('Argument too large'); };
+  addon.run('saveCachedSignatures_', { 'morgan@acme.com': SIGNATURE.split('\n') });
+  assert.strictEqual(addon.console.entries[0].level, 'warn');
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the plain-text cleaning helpers.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon } = require('./harness/loadAddon');
+
+const addon = loadAddon();
+const strip = (body) => addon.run('stripQuotedText_', body);
+
+test('stripQuotedText_ returns empty string for empty input', () => {
+  assert.strictEqual(strip(''), '');
+  assert.strictEqual(strip(null), '');
+});
+
+test('stripQuotedText_ cuts at a Gmail reply header', () => {
+  const body = 'Sounds good.\n\nOn Mon, Dec 15, 2025 at 2:09 PM Alex <alex@example.com> wrote:\n> Earlier text\n';
+  assert.strictEqual(strip(body), 'Sounds good.');
+});
+
+test('stripQuotedText_ cuts at a reply header wrapped over two lines', () => {
+  const body = 'Works for me.\n\nOn Mon, Dec 15, 2025 at 2:09 PM Alex Rivera <\nalex@example.com> wrote:\n> Earlier text\n';
+  assert.strictEqual(strip(body), 'Works for me.');
+});
+
+test('stripQuotedText_ skips quoted lines', () => {
+  assert.strictEqual(strip('> quoted\nreply text'), 'reply text');
+});
+
+test('stripQuotedText_ cuts at an Outlook header block after content', () => {
+  const body = [
+    'Line one.',
+    'Line two.',
+    'Line three.',
+    'Line four.',
+    '',
+    'From: Morgan <morgan@vendor.example>',
+    'Sent: Monday, November 3, 2025 10:30 AM',
+    'To: Sam <sam@example.com>',
+    'Subject: Contract'
+  ].join('\n');
+  assert.strictEqual(strip(body), 'Line one.\nLine two.\nLine three.\nLine four.');
+});
+
+test('stripQuotedText_ drops a signature after substantial content', () => {
+  const body = 'One\nTwo\nThree\nFour\nFive\nSix\n--\nSignature Name\n';
+  assert.ok(!strip(body).includes('Signature Name'));
+});
+
+test('stripQuotedText_ keeps a short message that only looks like a signature', () => {
+  assert.strictEqual(strip('Thanks!\n--\nAlex'), 'Thanks!\n--\nAlex');
+});
+
+test('collapseSoftLineBreaks_ joins wrapped prose but keeps lists', () => {
+  const text = 'This paragraph was wrapped by the mail client at a fixed\ncolumn width and should be joined.\n\n- first\n- second';
+  assert.strictEqual(
+    addon.run('collapseSoftLineBreaks_', text),
+    'This paragraph was wrapped by the mail client at a fixed column width and should be joined.\n\n- first\n- second'
+  );
+});
+
+test('cleanPlainTextArtifacts_ removes duplicated link targets', () => {
+  assert.strictEqual(
+    addon.run('cleanPlainTextArtifacts_', 'See example.com <https://example.com/docs> or mail a@b.co <mailto:a@b.co>'),
+    'See https://example.com/docs or mail a@b.co'
+  );
+});
+
+test('textToHtml_ escapes markup and linkifies URLs', () => {
+  assert.strictEqual(
+    addon.run('textToHtml_', '<b> see https://example.com/a.\nnext'),
+    '&lt;b&gt; see <a href="https://example.com/a" style="color:#2563eb;text-decoration:underline;">https://example.com/a</a>.<br>next'
+  );
+});
+
+test('parseEmailFrom_ handles quoted names and bare addresses', () => {
+  assert.deepStrictEqual(
+    { ...addon.run('parseEmailFrom_', '"Chen, Morgan" <morgan@vendor.example>') },
+    { name: 'Chen, Morgan', email: 'morgan@vendor.example' }
+  );
+  assert.deepStrictEqual(
+    { ...addon.run('parseEmailFrom_', 'ops@example.com') },
+    { name: 'ops@example.com', email: 'ops@example.com' }
+  );
+});
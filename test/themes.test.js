@@ -0,0 +1,99 @@
+/**
+ * Tests for themes, branding and the theme card.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost, findAll } = require('./harness/loadAddon');
+
+const fixture = loadFixture('threads/attachment-provenance.json');
+
+/** Creates a draft with the given settings and branding, returning its HTML. */
+function draftHtml(settings, branding) {
+  const addon = loadAddon({
+    threads: [fixture.thread],
+    properties: {
+      user: { 'cleanForward.settings': JSON.stringify(settings) },
+      script: branding ? { 'cleanForward.branding': JSON.stringify(branding) } : {}
+    }
+  });
+  addon.run('createCleanForwardDraftFromThread_', addon.GmailApp.getThreadById(fixture.thread.id));
+  return addon.GmailApp.drafts[0].options.htmlBody;
+}
+
+test('getTheme_ applies a theme and the accent color over the defaults', () => {
+  const addon = loadAddon();
+  const compact = toHost(addon.run('getTheme_', 'compact', { accentColor: '#0f766e' }));
+
+  assert.strictEqual(compact.fontSize, 13);
+  assert.strictEqual(compact.background, '#f8fafc');
+  assert.strictEqual(compact.accent, '#0f766e');
+  assert.strictEqual(toHost(addon.run('getTheme_', 'nope')).layout, 'timeline');
+});
+
+test('getBranding_ lets user values override the organization and drops invalid ones', () => {
+  const addon = loadAddon({
+    properties: {
+      script: { 'cleanForward.branding': JSON.stringify({ logoUrl: 'https://example.com/logo.png', accentColor: '#123456', footer: 'Acme Corp' }) },
+      user: { 'cleanForward.branding': JSON.stringify({ accentColor: 'red', footer: 'Sales team' }) }
+    }
+  });
+
+  assert.deepStrictEqual(toHost(addon.run('getBranding_')), {
+    logoUrl: 'https://example.com/logo.png',
+    accentColor: '#123456',
+    footer: 'Sales team'
+  });
+});
+
+test('the default theme keeps the timeline layout', () => {
+  const html = draftHtml({});
+  assert.ok(html.includes('display:flex'));
+  assert.ok(html.includes('background:#f8fafc'));
+});
+
+test('the dark theme recolors the output', () => {
+  const html = draftHtml({ theme: 'dark' });
+  assert.ok(html.includes('background:#111827'));
+  assert.ok(!html.includes('background:#f8fafc'));
+});
+
+test('the Outlook-safe theme uses tables only, with branding', () => {
+  const html = draftHtml({ theme: 'outlook' }, {
+    logoUrl: 'https://example.com/logo.png',
+    accentColor: '#0f766e',
+    footer: 'Acme Corp - confidential'
+  });
+
+  assert.ok(html.includes('<table role="presentation"'));
+  assert.ok(!/display:\s*flex|position:\s*absolute/.test(html));
+  assert.ok(html.includes('<img src="https://example.com/logo.png"'));
+  assert.ok(html.includes('border-left:4px solid #0f766e'));
+  assert.ok(html.includes('Acme Corp - confidential'));
+  assert.ok(html.includes('Leo Park'));
+});
+
+test('theme card saves the theme and branding, ignoring invalid values', () => {
+  const addon = loadAddon();
+
+  const card = addon.run('showThemeSettings', {}).arg('setNavigation').arg('pushCard');
+  const themes = findAll(card, 'SelectionInput')[0].calls
+    .filter((c) => c.method === 'addItem').map((c) => c.args[1]);
+  assert.deepStrictEqual(toHost(themes), ['default', 'compact', 'dark', 'highContrast', 'outlook']);
+
+  const response = addon.run('saveThemeSettings', {
+    commonEventObject: {
+      formInputs: {
+        theme: { stringInputs: { value: ['highContrast'] } },
+        logoUrl: { stringInputs: { value: ['javascript:alert(1)'] } },
+        accentColor: { stringInputs: { value: ['#ABC'] } },
+        footer: { stringInputs: { value: ['Team footer'] } }
+      }
+    }
+  });
+
+  assert.strictEqual(addon.run('getSettings_').theme, 'highContrast');
+  assert.deepStrictEqual(toHost(addon.run('getBranding_')), { logoUrl: '', accentColor: '#abc', footer: 'Team footer' });
+  assert.strictEqual(response.arg('setNotification').arg('setText'), 'Theme saved. Ignored invalid logo URL.');
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the thread model and the renderers that consume it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadAddon, loadFixture, toHost } = require('./harness/loadAddon');
+
+const provenance = loadFixture('threads/attachment-provenance.json');
+const inlineImages = loadFixture('threads/inline-images.json');
+
+test('buildThreadModel_ parses senders, order and latest flags', () => {
+  const addon = loadAddon({ threads: [provenance.thread] });
+  const model = toHost(addon.run('buildThreadModel_', addon.GmailApp.getThreadById(provenance.thread.id)));
+
+  assert.strictEqual(model.subject, provenance.expect.subject);
+  assert.deepStrictEqual(model.messages.map((m) => m.id), ['p1', 'p2']);
+  assert.deepStrictEqual(model.messages[0].sender, { name: 'Priya Raman', email: 'priya@example.com', display: 'Priya Raman' });
+  assert.deepStrictEqual(model.messages.map((m) => [m.isFirst, m.isLatest]), [[true, false], [false, true]]);
+  assert.ok(model.messages.every((m) => typeof m.text === 'string' && typeof m.html === 'string'));
+});
+
+test('buildThreadModel_ records each distinct file once with its first sender', () => {
+  const addon = loadAddon({ threads: [provenance.thread] });
+  const model = toHost(addon.run('buildThreadModel_', addon.GmailApp.getThreadById(provenance.thread.id)));
+
+  assert.deepStrictEqual(model.files.map((f) => [f.name, f.from, f.messageId, f.url]), [
+    ['q4.xlsx', 'Priya Raman', 'p1', null],
+    ['q4.xlsx', 'Leo Park', 'p2', null]
+  ]);
+  assert.deepStrictEqual(model.messages[1].attachments.map((a) => [a.name, a.isNew]), [
+    ['Q4 numbers - final.xlsx', false],
+    ['q4.xlsx', true]
+  ]);
+  assert.strictEqual(model.messages[1].attachments[0].key, model.files[0].key);
+});
+
+test('buildThreadModel_ references each inline image once, unless images are excluded', () => {
+  const addon = loadAddon({ threads: [inlineImages.thread] });
+  const thread = addon.GmailApp.getThreadById(inlineImages.thread.id);
+
+  const model = toHost(addon.run('buildThreadModel_', thread));
+  assert.deepStrictEqual(model.images.map((img) => [img.cid, img.name, img.messageId]), [
+    ['cleanfwd-img-1', 'screenshot.png', 'i1'],
+    ['cleanfwd-img-2', 'chart.png', 'i3']
+  ]);
+
+  const withoutImages = toHost(addon.run('buildThreadModel_', thread, { includeImages: false }));
+  assert.deepStrictEqual(withoutImages.images, []);
+  assert.ok(withoutImages.messages.every((m) => !m.html.includes('cid:')));
+});
+
+test('each attachment and inline image is read and hashed once per render', () => {
+  for (const spec of [inlineImages.thread, provenance.thread]) {
+    const addon = loadAddon({ threads: [spec] });
+    const thread = addon.GmailApp.getThreadById(spec.id);
+    const utilities = addon.evaluate('Utilities');
+    const computeDigest = utilities.computeDigest;
+    let digests = 0;
+    utilities.computeDigest = (...args) => {
+      digests++;
+      return computeDigest(...args);
+    };
+
+    const rendered = addon.run('renderCleanThread_', thread);
+    const total = thread.getMessages()
+      .reduce((sum, msg) => sum + msg.getAttachments({ includeInlineImages: true, includeAttachments: true }).length, 0);
+    assert.ok(digests <= total, `${spec.id}: ${digests} digests for ${total} files`);
+    assert.strictEqual(Object.keys(rendered.inlineImages).length, rendered.model.images.length);
+  }
+});
+
+test('buildThreadModel_ returns null when no messages are selected', () => {
+  const addon = loadAddon({ threads: [provenance.thread] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(provenance.thread.id), { messageIds: [] });
+  assert.strictEqual(model, null);
+});
+
+test('every registered renderer renders the same model', () => {
+  const addon = loadAddon({ threads: [provenance.thread] });
+  const model = addon.run('buildThreadModel_', addon.GmailApp.getThreadById(provenance.thread.id), { intro: 'See below.' });
+
+  for (const format of ['html', 'markdown', 'text']) {
+    const output = addon.run('renderThreadModel_', model, format);
+    assert.ok(output.includes('See below.'), `${format} is missing the intro`);
+    assert.ok(output.includes('Leo Park'), `${format} is missing a sender`);
+  }
+  assert.throws(() => addon.run('renderThreadModel_', model, 'rtf'), /Unknown renderer: rtf/);
+});